@@ -2,6 +2,19 @@
 
 const DEFAULT_WS_URL = "ws://localhost:8766";
 const DEFAULT_URL = "http://localhost:5173/";
+const DEBUGGER_PROTOCOL_VERSION = "1.3";
+// Chrome refuses to rasterize surfaces taller than this in a single capture.
+const MAX_FULL_PAGE_HEIGHT = 16384;
+const VIEWPORT_SETTLE_MS = 150;
+const MAX_RECORDING_FRAMES = 600;
+// Base64 characters of all buffered frames; stopRecording sends them in one bridge message.
+const MAX_RECORDING_BYTES = 16 * 1024 * 1024;
+const MAX_CONSOLE_ENTRIES = 1000;
+const MAX_CONSOLE_TEXT = 2000;
+const MAX_NETWORK_ENTRIES = 1000;
+const MAX_POST_DATA_CHARS = 65536;
+const MAX_PERF_RESOURCES = 2000;
+const IMAGE_MIME_TYPES = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
 const bridgeStatus = {
   connected: false,
   wsUrl: DEFAULT_WS_URL,
@@ -11,6 +24,16 @@ const bridgeStatus = {
   lastChangeAt: null
 };
 let alarmListenerRegistered = false;
+// tabId -> { refs, ready }: shared debugger attachments, see acquireDebugger.
+const debuggerSessions = new Map();
+// tabId -> Set<(method, params) => void>, fed by chrome.debugger.onEvent.
+const debuggerEventListeners = new Map();
+// recordingId -> active screencast recording, see startRecording.
+const recordings = new Map();
+// tabId -> console capture ({entries, nextSeq, dropped, release, unsubscribe, armedAt})
+const consoleCaptures = new Map();
+// tabId -> network capture ({inflight, entries, nextSeq, dropped, release, unsubscribe, armedAt})
+const networkCaptures = new Map();
 let commandLock = Promise.resolve();
 
 async function withCommandLock(fn) {
@@ -62,6 +85,14 @@ function lastErrorMessage() {
   return chrome?.runtime?.lastError?.message || null;
 }
 
+// The 'reason' property lets the MCP server tell failure categories apart
+// (see findOrOpenTab for the longer note).
+function errorWithReason(message, reason) {
+  const err = new Error(message);
+  err.reason = reason;
+  return err;
+}
+
 async function pOffscreenHasDocument() {
   // Some Chrome APIs are promise-based only. Prefer promises, fall back to callbacks.
   try {
@@ -178,6 +209,20 @@ function pTabsUpdate(tabId, updateProperties) {
   });
 }
 
+function pTabsReload(tabId, reloadProperties) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.tabs.reload(tabId, reloadProperties, () => {
+        const msg = lastErrorMessage();
+        if (msg) reject(new Error(msg));
+        else resolve();
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
 function pWindowsGetLastFocused() {
   return new Promise((resolve, reject) => {
     try {
@@ -220,6 +265,62 @@ function pCaptureVisibleTab(windowId, options) {
   });
 }
 
+function pDebuggerAttach(target, version) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.debugger.attach(target, version, () => {
+        const msg = lastErrorMessage();
+        if (msg) reject(new Error(msg));
+        else resolve(true);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function pDebuggerDetach(target) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.debugger.detach(target, () => {
+        const msg = lastErrorMessage();
+        if (msg) reject(new Error(msg));
+        else resolve(true);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function pDebuggerSendCommand(target, method, commandParams) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.debugger.sendCommand(target, method, commandParams ?? {}, (result) => {
+        const msg = lastErrorMessage();
+        if (msg) reject(new Error(msg));
+        else resolve(result);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+function pExecuteScript(injection) {
+  return new Promise((resolve, reject) => {
+    try {
+      chrome.scripting.executeScript(injection, (results) => {
+        const msg = lastErrorMessage();
+        if (msg) reject(new Error(msg));
+        else resolve(results);
+      });
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
 async function ensureOffscreen() {
   if (
     !chrome.offscreen ||
@@ -280,10 +381,11 @@ function setupAlarm() {
   }
 }
 
-function normalizeUrl(url) {
+function normalizeUrl(url, { ignoreQuery = false, ignoreHash = true } = {}) {
   try {
     const u = new URL(url);
-    u.hash = "";
+    if (ignoreHash) u.hash = "";
+    if (ignoreQuery) u.search = "";
     const host = u.hostname;
     if (host === "127.0.0.1" || host === "::1") u.hostname = "localhost";
     // Trim trailing slash for non-root paths
@@ -296,6 +398,82 @@ function normalizeUrl(url) {
   }
 }
 
+function isHttpUrl(url) {
+  return url.startsWith("http://") || url.startsWith("https://");
+}
+
+// A regex/glob pattern can only be opened when it is also a plain http(s) URL.
+function isOpenablePattern(pattern) {
+  return isHttpUrl(pattern) && !/[*?\\^$()[\]{}|+]/.test(pattern);
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("")
+    .map((ch) => {
+      if (ch === "*") return ".*";
+      if (ch === "?") return ".";
+      return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Builds the URL predicate used to pick candidate tabs.
+ * prefix/exact/origin compare normalized http(s) URLs; regex/glob treat `url` as a
+ * pattern and test it against both the raw and the normalized tab URL.
+ * @param {Object} params
+ * @param {string} params.url - Target URL, or the pattern for regex/glob.
+ * @param {"prefix"|"exact"|"origin"|"regex"|"glob"} params.match
+ * @param {boolean} [params.ignoreQuery=false] - Drop query strings before comparing.
+ * @param {boolean} [params.ignoreHash=true] - Drop fragments before comparing.
+ * @returns {{test?: (tabUrl: string) => boolean, error?: {message: string, reason: string}}}
+ */
+function buildUrlMatcher({ url, match, ignoreQuery = false, ignoreHash = true }) {
+  const opts = { ignoreQuery, ignoreHash };
+
+  if (match === "regex" || match === "glob") {
+    let re;
+    try {
+      re = match === "regex" ? new RegExp(url) : globToRegExp(url);
+    } catch (err) {
+      return {
+        error: { message: `Invalid ${match} pattern: ${err?.message ?? String(err)}`, reason: "invalid_match_pattern" }
+      };
+    }
+    return {
+      test: (tabUrl) => {
+        if (re.test(tabUrl)) return true;
+        try {
+          return re.test(normalizeUrl(tabUrl, opts));
+        } catch {
+          return false;
+        }
+      }
+    };
+  }
+
+  let targetNorm;
+  try {
+    targetNorm = normalizeUrl(url, opts);
+  } catch {
+    return { error: { message: `Invalid URL format: ${url}`, reason: "invalid_url_format" } };
+  }
+  const targetOrigin = new URL(targetNorm).origin;
+
+  return {
+    test: (tabUrl) => {
+      // Skip non-http(s) URLs to prevent normalizeUrl from throwing
+      if (!isHttpUrl(tabUrl)) return false;
+      const tabNorm = normalizeUrl(tabUrl, opts);
+      if (match === "exact") return tabNorm === targetNorm;
+      if (match === "origin") return new URL(tabNorm).origin === targetOrigin;
+      return tabNorm.startsWith(targetNorm);
+    }
+  };
+}
+
 async function getLastFocusedWindowId() {
   try {
     const w = await pWindowsGetLastFocused();
@@ -325,51 +503,119 @@ function pickBestTab(candidates, lastFocusedWindowId) {
   return candidates[0]?.tab ?? null;
 }
 
+/**
+ * Resolves an explicitly targeted tab: `tabId`, or the active tab of `windowId`.
+ * When both are given the tab must live in that window.
+ * @returns {Promise<{tab?: chrome.tabs.Tab, action?: string, error?: {message: string, reason: string}}>}
+ */
+async function resolveTargetTab({ tabId, windowId }) {
+  if (tabId !== undefined && (!Number.isInteger(tabId) || tabId < 0)) {
+    return { error: { message: `Invalid tabId: ${tabId}`, reason: "invalid_tab_id" } };
+  }
+  if (windowId !== undefined && (!Number.isInteger(windowId) || windowId < 0)) {
+    return { error: { message: `Invalid windowId: ${windowId}`, reason: "invalid_window_id" } };
+  }
+
+  if (tabId !== undefined) {
+    let tab;
+    try {
+      tab = await pTabsGet(tabId);
+    } catch {
+      tab = null;
+    }
+    if (!tab?.id) {
+      return {
+        error: {
+          message: `Tab ${tabId} does not exist (it may have been closed).`,
+          reason: "tab_not_found"
+        }
+      };
+    }
+    if (windowId !== undefined && tab.windowId !== windowId) {
+      return {
+        error: {
+          message: `Tab ${tabId} is in window ${tab.windowId}, not window ${windowId}.`,
+          reason: "tab_window_mismatch"
+        }
+      };
+    }
+    return { tab, action: "targeted_tab" };
+  }
+
+  let tabs = [];
+  try {
+    tabs = await pTabsQuery({ windowId, active: true });
+  } catch {
+    tabs = [];
+  }
+  if (!tabs[0]?.id) {
+    return {
+      error: {
+        message: `Window ${windowId} does not exist or has no active tab.`,
+        reason: "window_not_found"
+      }
+    };
+  }
+  return { tab: tabs[0], action: "targeted_window_active_tab" };
+}
+
 /**
  * Resolves a tab for a given URL, either by finding an existing matching tab or creating a new one.
  * @param {Object} params - Parameters for resolving the tab.
  * @param {string} params.url - The URL to match or open.
- * @param {"prefix"|"exact"} params.match - How to match the URL against existing tabs.
+ * @param {"prefix"|"exact"|"origin"|"regex"|"glob"} params.match - How to match the URL against
+ *   existing tabs (see buildUrlMatcher).
+ * @param {string} [params.titleIncludes] - Only consider tabs whose title contains this (case-insensitive).
+ * @param {boolean} [params.ignoreQuery=false] - Ignore query strings when matching.
+ * @param {boolean} [params.ignoreHash=true] - Ignore fragments when matching.
  * @param {boolean} [params.reuseIfExists=true] - Whether to reuse an existing matching tab.
  * @param {boolean} [params.openIfMissing=true] - Whether to open a new tab if no match is found.
  * @param {boolean} [params.waitForComplete=true] - Whether to wait for the tab to finish loading.
  * @param {number} [params.timeoutMs=15000] - Max time to wait for tab load.
+ * @param {boolean} [params.openInBackground=false] - Open new tabs without activating them.
+ * @param {number} [params.tabId] - Target this tab directly; URL matching is skipped.
+ * @param {number} [params.windowId] - Target the active tab of this window (or check tabId's window).
  * @returns {Promise<{tab?: chrome.tabs.Tab, action?: string, error?: {message: string, reason: string}}>}
  *   Resolves with tab and action, or error if unable to resolve.
  */
 async function resolveTabForUrl({
   url,
   match,
+  titleIncludes,
+  ignoreQuery = false,
+  ignoreHash = true,
   reuseIfExists,
   openIfMissing,
   waitForComplete = true,
-  timeoutMs
+  timeoutMs,
+  openInBackground = false,
+  tabId,
+  windowId
 }) {
+  if (tabId !== undefined || windowId !== undefined) {
+    return await resolveTargetTab({ tabId, windowId });
+  }
+
   // Validate URL before attempting to create/lookup tab
   if (!url || typeof url !== "string" || url.trim().length === 0) {
     return { error: { message: "Invalid URL: must be a non-empty string", reason: "invalid_url" } };
   }
 
-  let targetNorm;
-  try {
-    targetNorm = normalizeUrl(url);
-  } catch {
-    return { error: { message: `Invalid URL format: ${url}`, reason: "invalid_url_format" } };
-  }
+  const matcher = buildUrlMatcher({ url, match, ignoreQuery, ignoreHash });
+  if (matcher.error) return { error: matcher.error };
+  const titleNeedle =
+    typeof titleIncludes === "string" && titleIncludes.length > 0
+      ? titleIncludes.toLowerCase()
+      : null;
 
   if (reuseIfExists) {
     const tabs = await pTabsQuery({});
     const candidates = [];
     for (const tab of tabs) {
       if (!tab?.id || !tab?.url) continue;
-      // Skip non-http(s) URLs to prevent normalizeUrl from throwing
-      if (!tab.url.startsWith('http://') && !tab.url.startsWith('https://')) {
-        continue;
-      }
-      const tabNorm = normalizeUrl(tab.url);
-      const ok =
-        match === "exact" ? tabNorm === targetNorm : tabNorm.startsWith(targetNorm);
-      if (ok) candidates.push({ tab, tabNorm });
+      if (!matcher.test(tab.url)) continue;
+      if (titleNeedle && !(tab.title ?? "").toLowerCase().includes(titleNeedle)) continue;
+      candidates.push({ tab });
     }
 
     const lastFocusedWindowId = await getLastFocusedWindowId();
@@ -383,7 +629,16 @@ async function resolveTabForUrl({
     return { error: { message: "No matching tab found and openIfMissing is false", reason: "open_if_missing_disabled" } };
   }
 
-  const created = await pTabsCreate({ url });
+  if ((match === "regex" || match === "glob") && !isOpenablePattern(url)) {
+    return {
+      error: {
+        message: `No tab matches the ${match} pattern and it cannot be opened as a URL: ${url}`,
+        reason: "pattern_not_openable"
+      }
+    };
+  }
+
+  const created = await pTabsCreate({ url, active: !openInBackground });
   if (!created || !created.id) return { error: { message: "Failed to create new tab", reason: "tab_creation_failed" } };
 
   if (waitForComplete) {
@@ -397,15 +652,27 @@ async function resolveTabForUrl({
 async function findOrOpenTab({
   url,
   match,
+  titleIncludes,
+  ignoreQuery,
+  ignoreHash,
   openIfMissing,
-  timeoutMs
+  timeoutMs,
+  openInBackground = false,
+  tabId,
+  windowId
 }) {
   const result = await resolveTabForUrl({
     url,
     match,
+    titleIncludes,
+    ignoreQuery,
+    ignoreHash,
     reuseIfExists: true,
     openIfMissing,
-    timeoutMs
+    timeoutMs,
+    openInBackground,
+    tabId,
+    windowId
   });
   // Handle error case - re-throw with context
   // Note: The 'reason' property is a custom extension property used for programmatic error categorization.
@@ -419,6 +686,47 @@ async function findOrOpenTab({
   return result?.tab ?? null;
 }
 
+/**
+ * Resolves the tab for read-only tools (DOM, text, logs...). Unlike captures these
+ * work on background tabs, so new tabs open inactive and nothing is focused.
+ * @returns {Promise<{tab: chrome.tabs.Tab, waits: Array<{type: string, elapsedMs: number}>}>}
+ * @throws {Error} With the resolution reason (invalid_url, open_if_missing_disabled, ...).
+ */
+async function resolveInspectionTab({
+  url,
+  match = "prefix",
+  titleIncludes,
+  ignoreQuery = false,
+  ignoreHash = true,
+  openIfMissing = true,
+  waitForComplete = true,
+  timeoutMs = 15000,
+  waitFor = [],
+  tabId,
+  windowId
+}) {
+  const tab = await findOrOpenTab({
+    url,
+    match,
+    titleIncludes,
+    ignoreQuery,
+    ignoreHash,
+    openIfMissing,
+    timeoutMs,
+    openInBackground: true,
+    tabId,
+    windowId
+  });
+  if (!tab?.id) {
+    throw new Error("No matching tab found and could not open a new one.");
+  }
+  if (waitForComplete) {
+    await waitForTabComplete(tab.id, timeoutMs);
+  }
+  const waits = waitFor.length > 0 ? await waitForConditions(tab.id, waitFor) : [];
+  return { tab, waits };
+}
+
 function waitForTabComplete(tabId, timeoutMs) {
   return new Promise((resolve, reject) => {
     let resolved = false;
@@ -433,7 +741,7 @@ function waitForTabComplete(tabId, timeoutMs) {
 
     const t = setTimeout(() => {
       chrome.tabs.onUpdated.removeListener(onUpdated);
-      reject(new Error("Timeout waiting for tab to complete."));
+      reject(errorWithReason("Timeout waiting for tab to complete.", "tab_load_timeout"));
     }, timeoutMs);
 
     const onUpdated = (updatedTabId, changeInfo) => {
@@ -457,80 +765,1716 @@ function waitForTabComplete(tabId, timeoutMs) {
   });
 }
 
-async function captureScreenshot(params) {
-  return await withCommandLock(async () => {
-    const {
-      url,
-      match = "prefix",
-      openIfMissing = true,
-      focusWindow = true,
-      activateTab = true,
-      waitForComplete = true,
-      timeoutMs = 15000,
-      extraWaitMs = 250,
-      format = "png",
-      jpegQuality = 80
-    } = params || {};
+/**
+ * Runs a self-contained function in the tab's main frame and returns its result.
+ * `func` is serialized, so it must not close over anything from this file.
+ * @param {"ISOLATED"|"MAIN"} [world="ISOLATED"] - MAIN shares globals (Date, etc.) with the page.
+ */
+async function runInTab(tabId, func, args = [], world = "ISOLATED") {
+  const results = await pExecuteScript({ target: { tabId }, func, args, world });
+  return results?.[0]?.result;
+}
 
-    const tab = await findOrOpenTab({
-      url,
-      match,
-      openIfMissing,
-      timeoutMs
-    });
+// Injected into the page: scrolls the first match into view and reports its box.
+async function locateElementInPage(selector) {
+  let el;
+  try {
+    el = document.querySelector(selector);
+  } catch (err) {
+    return { error: "invalid_selector", message: String(err?.message ?? err) };
+  }
+  if (!el) return { error: "selector_not_found" };
 
-    if (!tab?.id || !tab?.windowId) {
-      throw new Error("No matching tab found and could not open a new one.");
-    }
+  el.scrollIntoView({ block: "center", inline: "center", behavior: "instant" });
+  await new Promise((resolve) => {
+    const t = setTimeout(resolve, 100);
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      clearTimeout(t);
+      resolve();
+    }));
+  });
 
-    if (focusWindow) {
-      try {
-        await pWindowsUpdate(tab.windowId, { focused: true });
-      } catch (err) {
-        console.warn("Failed to focus window:", err?.message);
+  const r = el.getBoundingClientRect();
+  return {
+    rect: { x: r.left, y: r.top, width: r.width, height: r.height },
+    scrollX: window.scrollX,
+    scrollY: window.scrollY,
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+/**
+ * Finds `selector` in the tab and returns the CSS-pixel crop rect around it.
+ * @param {number} tabId
+ * @param {{selector: string, padding: number, fullPage: boolean}} options - With
+ *   fullPage the rect is in document coordinates, otherwise in viewport coordinates.
+ * @returns {Promise<{crop: {x: number, y: number, width: number, height: number}, devicePixelRatio: number}>}
+ * @throws {Error} With reason invalid_selector, selector_not_found or selector_not_visible.
+ */
+async function locateElementCrop(tabId, { selector, padding, fullPage }) {
+  const located = await runInTab(tabId, locateElementInPage, [selector]);
+  if (!located) {
+    throw new Error("Failed to query the page for the selector.");
+  }
+  if (located.error === "invalid_selector") {
+    throw errorWithReason(`Invalid selector "${selector}": ${located.message}`, "invalid_selector");
+  }
+  if (located.error === "selector_not_found") {
+    throw errorWithReason(`No element matches selector "${selector}".`, "selector_not_found");
+  }
+  if (!(located.rect.width > 0) || !(located.rect.height > 0)) {
+    throw errorWithReason(`Element matching "${selector}" has an empty bounding box.`, "selector_not_visible");
+  }
+
+  const offsetX = fullPage ? located.scrollX : 0;
+  const offsetY = fullPage ? located.scrollY : 0;
+  return {
+    crop: {
+      x: located.rect.x + offsetX - padding,
+      y: located.rect.y + offsetY - padding,
+      width: located.rect.width + padding * 2,
+      height: located.rect.height + padding * 2
+    },
+    devicePixelRatio: located.devicePixelRatio
+  };
+}
+
+// Injected into the page: covers `mask` matches with solid boxes and hides `hide`
+// matches. Everything added is tagged with `token` so removeCaptureOverlaysInPage can undo it.
+async function applyCaptureMasksInPage({ mask, hide, maskColor, token }) {
+  const query = (selector) => {
+    try {
+      return { elements: Array.from(document.querySelectorAll(selector)) };
+    } catch (err) {
+      return { error: String(err?.message ?? err) };
+    }
+  };
+  const isFixed = (el) => {
+    for (let node = el; node && node !== document.documentElement; node = node.parentElement) {
+      if (getComputedStyle(node).position === "fixed") return true;
+    }
+    return false;
+  };
+
+  const matches = [];
+  const hidden = [];
+  for (const selector of hide) {
+    const res = query(selector);
+    if (res.error) return { error: "invalid_selector", selector, message: res.error };
+    for (const el of res.elements) {
+      if (!el.hasAttribute("data-mcp-hide")) {
+        el.setAttribute("data-mcp-hide", token);
+        hidden.push(el);
       }
     }
+    matches.push({ kind: "hide", selector, count: res.elements.length });
+  }
 
-    if (activateTab) {
-      try {
-        await pTabsUpdate(tab.id, { active: true });
-      } catch (err) {
-        console.warn("Failed to activate tab:", err?.message);
+  const boxes = [];
+  for (const selector of mask) {
+    const res = query(selector);
+    if (res.error) return { error: "invalid_selector", selector, message: res.error };
+    let count = 0;
+    for (const el of res.elements) {
+      const r = el.getBoundingClientRect();
+      if (r.width <= 0 || r.height <= 0) continue;
+      const fixed = isFixed(el);
+      boxes.push({
+        position: fixed ? "fixed" : "absolute",
+        left: r.left + (fixed ? 0 : window.scrollX),
+        top: r.top + (fixed ? 0 : window.scrollY),
+        width: r.width,
+        height: r.height
+      });
+      count++;
+    }
+    matches.push({ kind: "mask", selector, count });
+  }
+
+  if (hidden.length > 0) {
+    const style = document.createElement("style");
+    style.setAttribute("data-mcp-capture", token);
+    style.textContent = `[data-mcp-hide="${token}"] { visibility: hidden !important; }`;
+    document.documentElement.appendChild(style);
+  }
+  for (const box of boxes) {
+    const div = document.createElement("div");
+    div.setAttribute("data-mcp-capture", token);
+    div.style.cssText =
+      `position:${box.position};left:${box.left}px;top:${box.top}px;` +
+      `width:${box.width}px;height:${box.height}px;background:${maskColor};` +
+      "z-index:2147483647;pointer-events:none;margin:0;border:0;";
+    document.documentElement.appendChild(div);
+  }
+
+  // Hidden tabs never run rAF callbacks; the timeout keeps background captures from hanging.
+  await new Promise((resolve) => {
+    const t = setTimeout(resolve, 100);
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      clearTimeout(t);
+      resolve();
+    }));
+  });
+  return { masked: boxes.length, hidden: hidden.length, matches };
+}
+
+// Injected into the page: removes overlays added by applyCaptureMasksInPage or
+// annotateInteractiveInPage.
+function removeCaptureOverlaysInPage(token) {
+  for (const node of document.querySelectorAll(`[data-mcp-capture="${token}"]`)) node.remove();
+  for (const el of document.querySelectorAll(`[data-mcp-hide="${token}"]`)) {
+    el.removeAttribute("data-mcp-hide");
+  }
+}
+
+/**
+ * Applies `mask`/`hide` selectors in the tab and registers their removal in `cleanups`.
+ * @returns {Promise<{masked: number, hidden: number, matches: Array<{kind: string, selector: string, count: number}>}>}
+ * @throws {Error} With reason invalid_selector.
+ */
+async function applyCaptureMasks(tabId, { mask, hide, maskColor }, cleanups) {
+  const token = Math.random().toString(36).slice(2);
+  const res = await runInTab(tabId, applyCaptureMasksInPage, [{ mask, hide, maskColor, token }]);
+  cleanups.push(() => runInTab(tabId, removeCaptureOverlaysInPage, [token]));
+  if (!res) {
+    throw new Error("Failed to apply masks in the page.");
+  }
+  if (res.error === "invalid_selector") {
+    throw errorWithReason(`Invalid selector "${res.selector}": ${res.message}`, "invalid_selector");
+  }
+  return res;
+}
+
+// Injected into the page's main world: replaces Date so `new Date()` and Date.now()
+// return a fixed timestamp. Restored by restoreClockInPage.
+function pinClockInPage(clockTime) {
+  if (window.__mcpRealDate) return;
+  const RealDate = Date;
+  function PinnedDate(...args) {
+    if (!new.target) return new RealDate(clockTime).toString();
+    return args.length > 0 ? Reflect.construct(RealDate, args, new.target) : new RealDate(clockTime);
+  }
+  PinnedDate.prototype = RealDate.prototype;
+  PinnedDate.now = () => clockTime;
+  PinnedDate.parse = RealDate.parse;
+  PinnedDate.UTC = RealDate.UTC;
+  window.__mcpRealDate = RealDate;
+  window.Date = PinnedDate;
+}
+
+function restoreClockInPage() {
+  if (!window.__mcpRealDate) return;
+  window.Date = window.__mcpRealDate;
+  delete window.__mcpRealDate;
+}
+
+// Injected into the page's main world: pauses finite animations at their end and
+// infinite ones (spinners) at their start, disables transitions, hides the caret and
+// pauses playing media. Each animation's time and play state are kept for the restore.
+async function freezePageInPage(token) {
+  const style = document.createElement("style");
+  style.setAttribute("data-mcp-capture", token);
+  style.textContent =
+    "*, *::before, *::after { transition: none !important; caret-color: transparent !important; }";
+  document.documentElement.appendChild(style);
+
+  const held = [];
+  let settled = 0;
+  let looping = 0;
+  for (const animation of document.getAnimations()) {
+    const { currentTime, playState } = animation;
+    held.push({ animation, currentTime, playState });
+    animation.pause();
+    // Unlike finish(), a paused seek fires no finish events and can be undone.
+    try {
+      const endTime = animation.effect?.getComputedTiming?.().endTime;
+      if (endTime === Infinity) {
+        animation.currentTime = 0;
+        looping++;
+      } else if (typeof endTime === "number") {
+        animation.currentTime = endTime;
+        settled++;
       }
+    } catch {
+      // Left paused where it was.
     }
+  }
 
-    if (waitForComplete) {
-      await waitForTabComplete(tab.id, timeoutMs);
+  const paused = [];
+  for (const media of document.querySelectorAll("video, audio")) {
+    if (!media.paused) {
+      media.pause();
+      paused.push(media);
     }
+  }
+
+  window.__mcpFrozen = { token, held, paused };
+  await new Promise((resolve) => {
+    const t = setTimeout(resolve, 100);
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      clearTimeout(t);
+      resolve();
+    }));
+  });
+  return { settled, looping, paused: paused.length };
+}
 
-    if (extraWaitMs > 0) {
-      await new Promise((r) => setTimeout(r, extraWaitMs));
+function unfreezePageInPage(token) {
+  const frozen = window.__mcpFrozen;
+  for (const node of document.querySelectorAll(`[data-mcp-capture="${token}"]`)) node.remove();
+  if (!frozen || frozen.token !== token) return;
+  for (const { animation, currentTime, playState } of frozen.held) {
+    try {
+      if (currentTime === null) {
+        animation.cancel();
+        continue;
+      }
+      animation.currentTime = currentTime;
+      if (playState === "running") animation.play();
+      else if (playState === "finished") animation.finish();
+    } catch {
+      // The animation may have been removed from the page meanwhile.
     }
+  }
+  for (const media of frozen.paused) media.play().catch(() => {});
+  delete window.__mcpFrozen;
+}
+
+/**
+ * Pins the page clock to `clockTime` (epoch ms) and registers the restore in `cleanups`.
+ * Done before waits so clock-driven UI re-renders with the fixed time.
+ */
+async function pinPageClock(tabId, clockTime, cleanups) {
+  await runInTab(tabId, pinClockInPage, [clockTime], "MAIN");
+  cleanups.push(() => runInTab(tabId, restoreClockInPage, [], "MAIN"));
+}
+
+/**
+ * Freezes animations, transitions, carets and media right before capture and
+ * registers the restore in `cleanups`.
+ * @returns {Promise<{settled: number, looping: number, paused: number}>}
+ */
+async function freezePage(tabId, cleanups) {
+  const token = Math.random().toString(36).slice(2);
+  const res = await runInTab(tabId, freezePageInPage, [token], "MAIN");
+  cleanups.push(() => runInTab(tabId, unfreezePageInPage, [token], "MAIN"));
+  return res ?? { settled: 0, looping: 0, paused: 0 };
+}
 
-    const dataUrl = await pCaptureVisibleTab(tab.windowId, {
-      format,
-      quality: format === "jpeg" ? Math.max(0, Math.min(100, jpegQuality)) : undefined
+// Injected into the page: numbers visible interactive elements, draws a labeled box
+// over each and returns the legend. Boxes are in viewport CSS pixels (document
+// pixels when fullPage is set).
+async function annotateInteractiveInPage({ token, fullPage, maxMarks }) {
+  const CANDIDATES = [
+    "a[href]", "button", "input:not([type=hidden])", "select", "textarea", "summary",
+    "[role=button]", "[role=link]", "[role=checkbox]", "[role=radio]", "[role=tab]",
+    "[role=menuitem]", "[role=switch]", "[role=option]", "[role=combobox]", "[role=textbox]",
+    "[onclick]", "[tabindex]:not([tabindex='-1'])", "[contenteditable=''], [contenteditable=true]"
+  ].join(",");
+  const COLORS = ["#e11d48", "#2563eb", "#16a34a", "#d97706", "#7c3aed", "#0891b2"];
+
+  const implicitRole = (el) => {
+    const tag = el.tagName.toLowerCase();
+    if (tag === "a") return "link";
+    if (tag === "button" || tag === "summary") return "button";
+    if (tag === "select") return "combobox";
+    if (tag === "textarea") return "textbox";
+    if (tag === "input") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      if (type === "checkbox" || type === "radio") return type;
+      if (["button", "submit", "reset", "image"].includes(type)) return "button";
+      if (type === "range") return "slider";
+      return "textbox";
+    }
+    return el.isContentEditable ? "textbox" : "generic";
+  };
+
+  const accessibleName = (el) => {
+    const clean = (t) => (t || "").replace(/\s+/g, " ").trim().slice(0, 80);
+    const label = el.getAttribute("aria-label");
+    if (label) return clean(label);
+    const labelledBy = el.getAttribute("aria-labelledby");
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map((id) => document.getElementById(id)?.textContent).join(" ");
+      if (clean(text)) return clean(text);
+    }
+    if (el.labels?.length) return clean(Array.from(el.labels).map((l) => l.textContent).join(" "));
+    const text = clean(el.innerText);
+    if (text) return text;
+    return clean(
+      el.getAttribute("alt") || el.querySelector?.("img[alt]")?.getAttribute("alt") ||
+      el.getAttribute("title") || el.getAttribute("placeholder") ||
+      (el.tagName === "INPUT" ? el.value : "")
+    );
+  };
+
+  const selectorFor = (el) => {
+    const parts = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter((c) => c.tagName === node.tagName)
+        : [];
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+      if (tag === "html") break;
+    }
+    return parts.join(" > ");
+  };
+
+  const isVisible = (el, r) => {
+    if (r.width < 2 || r.height < 2) return false;
+    const style = getComputedStyle(el);
+    if (style.visibility === "hidden" || Number(style.opacity) === 0) return false;
+    if (el.closest("[aria-hidden=true], [inert]")) return false;
+    const inViewport = r.bottom > 0 && r.right > 0 && r.top < innerHeight && r.left < innerWidth;
+    if (!inViewport) return fullPage;
+    // Skip elements fully covered by something else at their center.
+    const cx = Math.min(Math.max(r.left + r.width / 2, 0), innerWidth - 1);
+    const cy = Math.min(Math.max(r.top + r.height / 2, 0), innerHeight - 1);
+    const hit = document.elementFromPoint(cx, cy);
+    return !hit || el.contains(hit) || hit.contains(el);
+  };
+
+  const seen = new Set();
+  const marks = [];
+  let truncated = false;
+  for (const el of document.querySelectorAll(CANDIDATES)) {
+    if (el.disabled) continue;
+    // Prefer the outermost interactive element (e.g. the link, not the span in it).
+    let nested = false;
+    for (let p = el.parentElement; p; p = p.parentElement) {
+      if (seen.has(p)) { nested = true; break; }
+    }
+    if (nested) continue;
+    const r = el.getBoundingClientRect();
+    if (!isVisible(el, r)) continue;
+    // Only a markable element past the cap means something was left out.
+    if (marks.length >= maxMarks) {
+      truncated = true;
+      break;
+    }
+    seen.add(el);
+    const ox = fullPage ? window.scrollX : 0;
+    const oy = fullPage ? window.scrollY : 0;
+    marks.push({
+      id: marks.length + 1,
+      role: el.getAttribute("role") || implicitRole(el),
+      name: accessibleName(el),
+      selector: selectorFor(el),
+      box: { x: r.left + ox, y: r.top + oy, width: r.width, height: r.height }
     });
+  }
 
-    const comma = dataUrl.indexOf(",");
-    const base64 = comma >= 0 ? dataUrl.slice(comma + 1) : dataUrl;
-    const mimeType = format === "jpeg" ? "image/jpeg" : "image/png";
+  for (const mark of marks) {
+    const color = COLORS[(mark.id - 1) % COLORS.length];
+    const box = document.createElement("div");
+    box.setAttribute("data-mcp-capture", token);
+    box.style.cssText =
+      `position:absolute;left:${mark.box.x + (fullPage ? 0 : window.scrollX)}px;` +
+      `top:${mark.box.y + (fullPage ? 0 : window.scrollY)}px;width:${mark.box.width}px;` +
+      `height:${mark.box.height}px;border:2px solid ${color};box-sizing:border-box;` +
+      "z-index:2147483647;pointer-events:none;margin:0;";
+    const label = document.createElement("span");
+    label.textContent = String(mark.id);
+    label.style.cssText =
+      `position:absolute;left:-2px;top:-2px;background:${color};color:#fff;` +
+      "font:bold 11px/14px sans-serif;padding:0 3px;min-width:10px;text-align:center;";
+    box.appendChild(label);
+    document.documentElement.appendChild(box);
+  }
 
-    return { mimeType, data: base64 };
+  await new Promise((resolve) => {
+    const t = setTimeout(resolve, 100);
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      clearTimeout(t);
+      resolve();
+    }));
   });
+  return { marks, truncated };
 }
 
 /**
- * Opens a URL in Chrome, either by focusing an existing tab or creating a new one.
+ * Draws set-of-marks labels over interactive elements and registers their removal
+ * in `cleanups`.
+ * @returns {Promise<{marks: Array<{id: number, role: string, name: string, selector: string, box: Object}>, truncated: boolean}>}
+ */
+async function annotateInteractive(tabId, { fullPage, maxMarks }, cleanups) {
+  const token = Math.random().toString(36).slice(2);
+  const res = await runInTab(tabId, annotateInteractiveInPage, [{ token, fullPage, maxMarks }]);
+  cleanups.push(() => runInTab(tabId, removeCaptureOverlaysInPage, [token]));
+  if (!res) {
+    throw new Error("Failed to annotate the page.");
+  }
+  return res;
+}
+
+// Injected into the page: walks the DOM (including open shadow roots) and returns a
+// flat, depth-annotated list of visible nodes. Scripts, styles and hidden subtrees are
+// skipped; wrappers without anything identifying are elided and their children hoisted.
+function serializeDomInPage({ selector, maxNodes, includeHidden }) {
+  const SKIP = new Set([
+    "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "LINK", "META", "HEAD", "BASE", "TITLE"
+  ]);
+  const IMPLICIT_ROLES = {
+    A: "link", BUTTON: "button", SUMMARY: "button", SELECT: "combobox", TEXTAREA: "textbox",
+    NAV: "navigation", MAIN: "main", HEADER: "banner", FOOTER: "contentinfo", ASIDE: "complementary",
+    FORM: "form", DIALOG: "dialog", IMG: "img", UL: "list", OL: "list", LI: "listitem",
+    TABLE: "table", TR: "row", TH: "columnheader", TD: "cell", H1: "heading", H2: "heading",
+    H3: "heading", H4: "heading", H5: "heading", H6: "heading"
+  };
+  const ATTRS = ["href", "src", "type", "name", "placeholder", "alt", "title", "for", "aria-label"];
+  const MAX_TEXT = 200;
+  const clean = (t) => (t || "").replace(/\s+/g, " ").trim();
+  const clip = (t) => (t.length > MAX_TEXT ? `${t.slice(0, MAX_TEXT - 1)}\u2026` : t);
+
+  let root = document.body || document.documentElement;
+  if (selector) {
+    try {
+      root = document.querySelector(selector);
+    } catch (err) {
+      return { error: "invalid_selector", message: String(err?.message ?? err) };
+    }
+    if (!root) return { error: "selector_not_found" };
+  }
+
+  const roleOf = (el) => {
+    const explicit = el.getAttribute("role");
+    if (explicit) return explicit;
+    if (el.tagName === "A" && !el.hasAttribute("href")) return null;
+    if (el.tagName === "INPUT") {
+      const type = (el.getAttribute("type") || "text").toLowerCase();
+      if (type === "hidden") return null;
+      if (type === "checkbox" || type === "radio") return type;
+      if (["button", "submit", "reset", "image"].includes(type)) return "button";
+      return type === "range" ? "slider" : "textbox";
+    }
+    return IMPLICIT_ROLES[el.tagName] ?? null;
+  };
+
+  const ownText = (el) => {
+    let text = "";
+    for (const child of el.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) text += ` ${child.nodeValue}`;
+    }
+    return clean(text);
+  };
+
+  const nodes = [];
+  let visited = 0;
+  let truncated = false;
+
+  const walk = (el, depth) => {
+    if (truncated) return;
+    if (SKIP.has(el.tagName)) return;
+    visited += 1;
+    // display:none and content-visibility hide whole subtrees; visibility:hidden can be
+    // overridden by descendants, so it only drops the element itself (below).
+    if (!includeHidden && el.checkVisibility && !el.checkVisibility()) return;
+
+    const r = el.getBoundingClientRect();
+    const node = { depth, tag: el.tagName.toLowerCase() };
+    if (el.id) node.id = el.id;
+    const testId = el.getAttribute("data-testid") ?? el.getAttribute("data-test-id") ?? el.getAttribute("data-cy");
+    if (testId) node.testId = testId;
+    const role = roleOf(el);
+    if (role) node.role = role;
+    const text = clip(ownText(el));
+    if (text) node.text = text;
+    const attrs = {};
+    for (const name of ATTRS) {
+      const value = el.getAttribute(name);
+      if (value) attrs[name] = clip(value);
+    }
+    if ((el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT") &&
+        el.type !== "password" && el.value) {
+      attrs.value = clip(el.value);
+    }
+    if (el.disabled) attrs.disabled = "";
+    if (el.checked) attrs.checked = "";
+    if (Object.keys(attrs).length > 0) node.attrs = attrs;
+
+    const shown = includeHidden ||
+      (r.width > 0 && r.height > 0 && getComputedStyle(el).visibility !== "hidden");
+    const keep = el === root || (shown && (node.id || node.testId || node.role || node.text || node.attrs));
+    if (keep) {
+      if (nodes.length >= maxNodes) {
+        truncated = true;
+        return;
+      }
+      node.box = {
+        x: Math.round(r.left + window.scrollX),
+        y: Math.round(r.top + window.scrollY),
+        width: Math.round(r.width),
+        height: Math.round(r.height)
+      };
+      nodes.push(node);
+    }
+
+    const childDepth = keep ? depth + 1 : depth;
+    const children = el.shadowRoot ? [...el.shadowRoot.children, ...el.children] : el.children;
+    for (const child of children) walk(child, childDepth);
+  };
+  walk(root, 0);
+
+  return {
+    url: location.href,
+    title: document.title,
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    scroll: { x: window.scrollX, y: window.scrollY },
+    nodes,
+    visited,
+    truncated
+  };
+}
+
+// Injected into the page: reduces the rendered content under `selector` to a small tree
+// of text and the elements that matter for Markdown (headings, lists, links, tables, ...).
+// Other inline elements are unwrapped and other blocks become "div". Open shadow roots
+// are followed through their slots. Collection stops once `maxChars` of text is gathered.
+function extractPageTextInPage({ selector, maxChars }) {
+  const SKIP = new Set([
+    "SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "LINK", "META", "HEAD", "BASE", "TITLE",
+    "SVG", "CANVAS", "IFRAME", "OBJECT", "EMBED", "VIDEO", "AUDIO",
+    "INPUT", "TEXTAREA", "SELECT", "OPTION"
+  ]);
+  const KEEP = new Set([
+    "H1", "H2", "H3", "H4", "H5", "H6", "P", "UL", "OL", "LI", "A", "TABLE", "CAPTION", "TR",
+    "TH", "TD", "PRE", "BLOCKQUOTE", "BR", "HR", "IMG", "STRONG", "B", "EM", "I", "CODE"
+  ]);
+  const INLINE_DISPLAY = /^(inline|contents|ruby)/;
+
+  let root = document.body || document.documentElement;
+  if (selector) {
+    try {
+      root = document.querySelector(selector);
+    } catch (err) {
+      return { error: "invalid_selector", message: String(err?.message ?? err) };
+    }
+    if (!root) return { error: "selector_not_found" };
+  }
+
+  let chars = 0;
+  let truncated = false;
+  const addText = (out, text) => {
+    if (!text) return;
+    if (chars + text.length > maxChars) {
+      text = text.slice(0, Math.max(0, maxChars - chars));
+      truncated = true;
+    }
+    chars += text.length;
+    if (text) out.push(text);
+  };
+
+  // Children as rendered: the shadow tree replaces light children, slots pull them back in.
+  const renderedChildren = (node) => {
+    if (node.shadowRoot) return node.shadowRoot.childNodes;
+    if (node.tagName === "SLOT") {
+      const assigned = node.assignedNodes({ flatten: true });
+      return assigned.length > 0 ? assigned : node.childNodes;
+    }
+    return node.childNodes;
+  };
+
+  const walkChildren = (node, out, textVisible) => {
+    for (const child of renderedChildren(node)) {
+      if (truncated) return;
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (textVisible) addText(out, child.nodeValue.replace(/\s+/g, " "));
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        walk(child, out);
+      }
+    }
+  };
+
+  const walk = (el, out) => {
+    const tag = el.tagName.toUpperCase();
+    if (SKIP.has(tag)) return;
+    if (el.checkVisibility && !el.checkVisibility()) return;
+    const style = getComputedStyle(el);
+    // visibility:hidden hides the element's own text, but descendants may opt back in.
+    const textVisible = style.visibility === "visible";
+
+    if (tag === "PRE") {
+      if (!textVisible) return;
+      const node = { tag: "pre", text: "" };
+      const parts = [];
+      addText(parts, el.innerText);
+      node.text = parts.join("");
+      out.push(node);
+      return;
+    }
+    if (tag === "IMG") {
+      const alt = (el.getAttribute("alt") || "").trim();
+      if (!alt || !textVisible) return;
+      const src = el.currentSrc || el.src;
+      out.push({ tag: "img", alt, ...(src && !src.startsWith("data:") ? { src } : {}) });
+      return;
+    }
+    if (tag === "BR" || tag === "HR") {
+      out.push({ tag: tag.toLowerCase() });
+      return;
+    }
+
+    if (el !== root && !KEEP.has(tag) && INLINE_DISPLAY.test(style.display)) {
+      walkChildren(el, out, textVisible);
+      return;
+    }
+    const node = { tag: KEEP.has(tag) ? tag.toLowerCase() : "div", children: [] };
+    if (tag === "A" && el.href && !/^javascript:/i.test(el.href)) node.href = el.href;
+    walkChildren(el, node.children, textVisible);
+    if (node.children.length > 0) out.push(node);
+  };
+
+  const nodes = [];
+  walk(root, nodes);
+  return { url: location.href, title: document.title, nodes, truncated };
+}
+
+// Injected into the page: reads layout facts for the `index`-th match of `selector`.
+// Returns every computed property (plus requested custom properties) and samples
+// points of the element's box with elementFromPoint so the server can judge occlusion.
+function inspectElementInPage({ selector, index, customProperties }) {
+  let matches;
+  try {
+    matches = document.querySelectorAll(selector);
+  } catch (err) {
+    return { error: "invalid_selector", message: String(err?.message ?? err) };
+  }
+  if (matches.length === 0) return { error: "selector_not_found" };
+  if (index >= matches.length) return { error: "index_out_of_range", matchCount: matches.length };
+  const el = matches[index];
+
+  const describe = (node) => {
+    let d = node.tagName.toLowerCase();
+    if (node.id) d += `#${node.id}`;
+    for (const cls of [...node.classList].slice(0, 3)) d += `.${cls}`;
+    return d;
+  };
+  // True when `node` is `el` or sits inside it, crossing shadow boundaries.
+  const isWithin = (node) => {
+    for (let n = node; n; n = n.parentNode || n.host) {
+      if (n === el) return true;
+    }
+    return false;
+  };
+  const hitAt = (x, y) => {
+    let hit = document.elementFromPoint(x, y);
+    while (hit?.shadowRoot) {
+      const inner = hit.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === hit) break;
+      hit = inner;
+    }
+    return hit;
+  };
+
+  const style = getComputedStyle(el);
+  const styles = {};
+  for (let i = 0; i < style.length; i++) {
+    styles[style[i]] = style.getPropertyValue(style[i]);
+  }
+  for (const name of customProperties) {
+    const value = style.getPropertyValue(name);
+    if (value !== "") styles[name] = value.trim();
+  }
+
+  const px = (name) => parseFloat(style.getPropertyValue(name)) || 0;
+  const sides = (prefix, suffix = "") => ({
+    top: px(`${prefix}-top${suffix}`),
+    right: px(`${prefix}-right${suffix}`),
+    bottom: px(`${prefix}-bottom${suffix}`),
+    left: px(`${prefix}-left${suffix}`)
+  });
+  const r = el.getBoundingClientRect();
+  const margin = sides("margin");
+  const border = sides("border", "-width");
+  const padding = sides("padding");
+  const round = (v) => Math.round(v * 100) / 100;
+
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  const inset = Math.min(2, r.width / 4, r.height / 4);
+  const points = [
+    [r.left + r.width / 2, r.top + r.height / 2],
+    [r.left + inset, r.top + inset],
+    [r.right - inset, r.top + inset],
+    [r.left + inset, r.bottom - inset],
+    [r.right - inset, r.bottom - inset]
+  ];
+  const samples = [];
+  if (r.width > 0 && r.height > 0) {
+    for (const [x, y] of points) {
+      if (x < 0 || y < 0 || x >= vw || y >= vh) continue;
+      const hit = hitAt(x, y);
+      samples.push({
+        x: Math.round(x),
+        y: Math.round(y),
+        covered: !!hit && !isWithin(hit),
+        ...(hit && !isWithin(hit) ? { by: describe(hit) } : {})
+      });
+    }
+  }
+
+  const testId = el.getAttribute("data-testid") ?? el.getAttribute("data-test-id") ?? el.getAttribute("data-cy");
+  const text = (el.innerText ?? el.textContent ?? "").replace(/\s+/g, " ").trim();
+  return {
+    url: location.href,
+    title: document.title,
+    matchCount: matches.length,
+    index,
+    viewport: { width: vw, height: vh },
+    scroll: { x: window.scrollX, y: window.scrollY },
+    element: {
+      tag: el.tagName.toLowerCase(),
+      ...(el.id ? { id: el.id } : {}),
+      ...(el.classList.length > 0 ? { classes: [...el.classList] } : {}),
+      ...(testId ? { testId } : {}),
+      ...(text ? { text: text.length > 120 ? `${text.slice(0, 119)}\u2026` : text } : {})
+    },
+    box: { x: round(r.left), y: round(r.top), width: round(r.width), height: round(r.height) },
+    boxModel: {
+      boxSizing: style.boxSizing,
+      margin,
+      border,
+      padding,
+      content: {
+        width: round(Math.max(0, r.width - padding.left - padding.right - border.left - border.right)),
+        height: round(Math.max(0, r.height - padding.top - padding.bottom - border.top - border.bottom))
+      }
+    },
+    styles,
+    visibility: {
+      rendered: el.checkVisibility ? el.checkVisibility() : true,
+      visibilityCSS: style.visibility,
+      transparent: el.checkVisibility
+        ? !el.checkVisibility({ checkOpacity: true, opacityProperty: true })
+        : style.opacity === "0",
+      samples
+    }
+  };
+}
+
+// Injected into the page: reads the buffered performance timeline (navigation, paint,
+// LCP, layout shifts, long tasks, event timing, resources) and the JS heap. Values are
+// raw entries; the server derives CLS windows, INP and blocking time from them.
+async function collectPerformanceInPage({ maxResources }) {
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  const observed = {};
+  await Promise.all(
+    ["largest-contentful-paint", "layout-shift", "longtask", "event", "first-input"]
+      .filter((type) => supported.includes(type))
+      .map((type) => new Promise((resolve) => {
+        const entries = [];
+        const observer = new PerformanceObserver((list) => entries.push(...list.getEntries()));
+        observer.observe({ type, buffered: true, ...(type === "event" ? { durationThreshold: 16 } : {}) });
+        // Buffered entries arrive in a later task; give them a moment, then drain.
+        setTimeout(() => {
+          entries.push(...observer.takeRecords());
+          observer.disconnect();
+          observed[type] = entries;
+          resolve();
+        }, 50);
+      }))
+  );
+
+  const describe = (el) => {
+    if (!el) return null;
+    let d = el.tagName.toLowerCase();
+    if (el.id) d += `#${el.id}`;
+    for (const cls of [...el.classList].slice(0, 3)) d += `.${cls}`;
+    return d;
+  };
+  const ms = (v) => Math.round(v * 10) / 10;
+
+  const nav = performance.getEntriesByType("navigation")[0];
+  const navigation = nav ? {
+    type: nav.type,
+    redirectCount: nav.redirectCount,
+    domainLookupStart: ms(nav.domainLookupStart),
+    domainLookupEnd: ms(nav.domainLookupEnd),
+    connectStart: ms(nav.connectStart),
+    secureConnectionStart: ms(nav.secureConnectionStart),
+    connectEnd: ms(nav.connectEnd),
+    requestStart: ms(nav.requestStart),
+    responseStart: ms(nav.responseStart),
+    responseEnd: ms(nav.responseEnd),
+    domInteractive: ms(nav.domInteractive),
+    domContentLoadedEventEnd: ms(nav.domContentLoadedEventEnd),
+    loadEventEnd: ms(nav.loadEventEnd),
+    transferSize: nav.transferSize,
+    decodedBodySize: nav.decodedBodySize
+  } : null;
+
+  const paints = {};
+  for (const p of performance.getEntriesByType("paint")) paints[p.name] = ms(p.startTime);
+
+  const lcpEntries = observed["largest-contentful-paint"] || [];
+  const lastLcp = lcpEntries[lcpEntries.length - 1];
+  const resources = performance.getEntriesByType("resource");
+  const memory = performance.memory;
+
+  return {
+    url: location.href,
+    title: document.title,
+    visibilityState: document.visibilityState,
+    timeOrigin: performance.timeOrigin,
+    now: ms(performance.now()),
+    supportedEntryTypes: supported,
+    navigation,
+    paints,
+    lcp: lastLcp ? {
+      startTime: ms(lastLcp.startTime),
+      size: lastLcp.size,
+      element: describe(lastLcp.element),
+      ...(lastLcp.url ? { url: lastLcp.url.slice(0, 300) } : {})
+    } : null,
+    layoutShifts: (observed["layout-shift"] || []).map((e) => ({
+      startTime: ms(e.startTime),
+      value: e.value,
+      hadRecentInput: e.hadRecentInput
+    })),
+    longTasks: (observed.longtask || []).map((e) => ({ startTime: ms(e.startTime), duration: ms(e.duration) })),
+    firstInput: (observed["first-input"] || []).map((e) => ({
+      name: e.name,
+      startTime: ms(e.startTime),
+      processingStart: ms(e.processingStart),
+      duration: e.duration,
+      interactionId: e.interactionId || 0
+    }))[0] || null,
+    interactions: [...(observed.event || []), ...(observed["first-input"] || [])]
+      .filter((e) => e.interactionId > 0)
+      .map((e) => ({ interactionId: e.interactionId, name: e.name, startTime: ms(e.startTime), duration: e.duration })),
+    resourceCount: resources.length,
+    resources: resources.slice(0, maxResources).map((e) => ({
+      name: e.name.slice(0, 300),
+      type: e.initiatorType,
+      transferSize: e.transferSize,
+      decodedBodySize: e.decodedBodySize,
+      duration: ms(e.duration)
+    })),
+    memory: memory ? {
+      usedJSHeapSize: memory.usedJSHeapSize,
+      totalJSHeapSize: memory.totalJSHeapSize,
+      jsHeapSizeLimit: memory.jsHeapSizeLimit
+    } : null
+  };
+}
+
+/**
+ * Best-effort read of window.devicePixelRatio; null when the page cannot be scripted
+ * (e.g. chrome:// pages or the Web Store).
+ */
+async function readDevicePixelRatio(tabId) {
+  try {
+    const dpr = await runInTab(tabId, () => window.devicePixelRatio);
+    return typeof dpr === "number" && dpr > 0 ? dpr : null;
+  } catch (err) {
+    console.warn("Failed to read devicePixelRatio:", err?.message);
+    return null;
+  }
+}
+
+/**
+ * Attaches the debugger to a tab, or joins the session another caller already holds.
+ * Every successful call must be paired with `release()`; the debugger detaches once
+ * the last holder releases it.
+ * @param {number} tabId - The tab to attach to.
+ * @returns {Promise<{send: (method: string, params?: Object) => Promise<any>, release: () => Promise<void>}>}
+ * @throws {Error} With reason debugger_attach_failed (e.g. DevTools is already attached).
+ */
+async function acquireDebugger(tabId) {
+  const target = { tabId };
+  let session = debuggerSessions.get(tabId);
+  if (!session) {
+    session = { refs: 0, ready: pDebuggerAttach(target, DEBUGGER_PROTOCOL_VERSION) };
+    debuggerSessions.set(tabId, session);
+  }
+  session.refs += 1;
+
+  try {
+    await session.ready;
+  } catch (err) {
+    session.refs -= 1;
+    if (debuggerSessions.get(tabId) === session) debuggerSessions.delete(tabId);
+    throw errorWithReason(
+      `Failed to attach debugger: ${err?.message ?? String(err)}`,
+      "debugger_attach_failed"
+    );
+  }
+
+  let released = false;
+  return {
+    send: (method, commandParams) => pDebuggerSendCommand(target, method, commandParams),
+    release: async () => {
+      if (released) return;
+      released = true;
+      session.refs -= 1;
+      if (session.refs > 0 || debuggerSessions.get(tabId) !== session) return;
+      debuggerSessions.delete(tabId);
+      try {
+        await pDebuggerDetach(target);
+      } catch (err) {
+        console.warn("Failed to detach debugger:", err?.message);
+      }
+    }
+  };
+}
+
+/**
+ * Attaches the debugger to a tab for the duration of `fn` and releases it afterwards.
+ * @param {number} tabId - The tab to attach to.
+ * @param {(send: (method: string, params?: Object) => Promise<any>) => Promise<any>} fn
+ *   Callback receiving a bound `Runtime/Page/...` command sender.
+ * @returns {Promise<any>} Whatever `fn` resolves with.
+ */
+async function withDebugger(tabId, fn) {
+  const session = await acquireDebugger(tabId);
+  try {
+    return await fn(session.send);
+  } finally {
+    await session.release();
+  }
+}
+
+if (chrome.debugger?.onDetach) {
+  // The user can cancel the "is debugging this browser" bar, or the tab can close.
+  chrome.debugger.onDetach.addListener((source) => {
+    if (typeof source?.tabId !== "number") return;
+    debuggerSessions.delete(source.tabId);
+    for (const captures of [consoleCaptures, networkCaptures]) {
+      const capture = captures.get(source.tabId);
+      if (capture) {
+        capture.unsubscribe();
+        captures.delete(source.tabId);
+      }
+    }
+    for (const rec of recordings.values()) {
+      if (rec.tabId === source.tabId) haltRecording(rec, "debugger_detached");
+    }
+  });
+}
+
+if (chrome.debugger?.onEvent) {
+  chrome.debugger.onEvent.addListener((source, method, eventParams) => {
+    const listeners = debuggerEventListeners.get(source?.tabId);
+    if (!listeners) return;
+    for (const listener of listeners) {
+      try {
+        listener(method, eventParams);
+      } catch (err) {
+        console.warn("Debugger event listener failed:", err?.message);
+      }
+    }
+  });
+}
+
+/**
+ * Subscribes to CDP events of a tab the debugger is attached to.
+ * @returns {() => void} Unsubscribe function.
+ */
+function addDebuggerEventListener(tabId, listener) {
+  let listeners = debuggerEventListeners.get(tabId);
+  if (!listeners) {
+    listeners = new Set();
+    debuggerEventListeners.set(tabId, listeners);
+  }
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && debuggerEventListeners.get(tabId) === listeners) {
+      debuggerEventListeners.delete(tabId);
+    }
+  };
+}
+
+function delay(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Injected into the page: polls a selector/text condition or waits for web fonts.
+async function waitForConditionInPage(condition, timeoutMs) {
+  if (condition.type === "fonts") {
+    const ready = document.fonts?.ready ?? Promise.resolve();
+    const ok = await Promise.race([
+      ready.then(() => true),
+      new Promise((resolve) => setTimeout(() => resolve(false), timeoutMs))
+    ]);
+    return { ok };
+  }
+
+  const check = () => {
+    if (condition.type === "text") {
+      return (document.body?.innerText ?? "").includes(condition.text);
+    }
+    const el = document.querySelector(condition.selector);
+    if (!el) return false;
+    if (condition.state !== "visible") return true;
+    const r = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return r.width > 0 && r.height > 0 && style.visibility !== "hidden" && Number(style.opacity) > 0;
+  };
+
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      if (check()) return { ok: true };
+    } catch (err) {
+      return { ok: false, error: "invalid_selector", message: String(err?.message ?? err) };
+    }
+    if (Date.now() >= deadline) return { ok: false };
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+}
+
+async function waitForNetworkIdle(tabId, { idleMs, timeoutMs }) {
+  const session = await acquireDebugger(tabId);
+  const inflight = new Set();
+  let lastActivityAt = Date.now();
+  const unsubscribe = addDebuggerEventListener(tabId, (method, eventParams) => {
+    if (method === "Network.requestWillBeSent") {
+      inflight.add(eventParams.requestId);
+      lastActivityAt = Date.now();
+    } else if (method === "Network.loadingFinished" || method === "Network.loadingFailed") {
+      inflight.delete(eventParams.requestId);
+      lastActivityAt = Date.now();
+    }
+  });
+
+  try {
+    // Network stays enabled until the session detaches; other holders may rely on it.
+    await session.send("Network.enable");
+    // CDP does not report requests already in flight when Network is enabled, so a long
+    // request started before this point goes unseen. The quiet window starts only now.
+    lastActivityAt = Date.now();
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      if (inflight.size === 0 && Date.now() - lastActivityAt >= idleMs) return;
+      if (Date.now() >= deadline) {
+        throw errorWithReason(
+          `Network was not idle for ${idleMs}ms within ${timeoutMs}ms (${inflight.size} request(s) in flight).`,
+          "wait_network_idle_timeout"
+        );
+      }
+      await delay(50);
+    }
+  } finally {
+    unsubscribe();
+    await session.release();
+  }
+}
+
+async function waitForPredicate(tabId, { expression, timeoutMs }) {
+  await withDebugger(tabId, async (send) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const remaining = Math.max(1, deadline - Date.now());
+      const res = await Promise.race([
+        send("Runtime.evaluate", { expression, returnByValue: true, awaitPromise: true }),
+        delay(remaining).then(() => null)
+      ]);
+      if (res?.exceptionDetails) {
+        const detail = res.exceptionDetails.exception?.description ?? res.exceptionDetails.text;
+        throw errorWithReason(`waitFor predicate threw: ${detail}`, "wait_predicate_error");
+      }
+      if (res?.result?.value) return;
+      if (Date.now() >= deadline) {
+        throw errorWithReason(
+          `Predicate did not become truthy within ${timeoutMs}ms: ${expression}`,
+          "wait_predicate_timeout"
+        );
+      }
+      await delay(100);
+    }
+  });
+}
+
+/**
+ * Waits for each condition in order. Every condition type fails with its own reason
+ * (wait_selector_timeout, wait_text_timeout, wait_network_idle_timeout,
+ * wait_fonts_timeout, wait_predicate_timeout) so callers can tell which one stalled.
+ * @param {number} tabId
+ * @param {Array<Object>} conditions - Parsed `waitFor` conditions from the MCP server.
+ * @returns {Promise<Array<{type: string, elapsedMs: number}>>}
+ */
+async function waitForConditions(tabId, conditions) {
+  const report = [];
+  for (const condition of conditions) {
+    const startedAt = Date.now();
+    const { type, timeoutMs } = condition;
+
+    if (type === "networkIdle") {
+      await waitForNetworkIdle(tabId, condition);
+    } else if (type === "predicate") {
+      await waitForPredicate(tabId, condition);
+    } else if (type === "selector" || type === "text" || type === "fonts") {
+      const res = await runInTab(tabId, waitForConditionInPage, [condition, timeoutMs]);
+      if (res?.error === "invalid_selector") {
+        throw errorWithReason(`Invalid selector "${condition.selector}": ${res.message}`, "invalid_selector");
+      }
+      if (!res?.ok) {
+        const what =
+          type === "selector"
+            ? `selector "${condition.selector}" to be ${condition.state ?? "attached"}`
+            : type === "text"
+              ? `text "${condition.text}"`
+              : "document.fonts.ready";
+        throw errorWithReason(`Timed out after ${timeoutMs}ms waiting for ${what}.`, `wait_${type}_timeout`);
+      }
+    } else {
+      throw errorWithReason(`Unknown waitFor type: ${type}`, "invalid_wait_condition");
+    }
+
+    report.push({ type, elapsedMs: Date.now() - startedAt });
+  }
+  return report;
+}
+
+/**
+ * Runs cleanup callbacks in reverse registration order. Failures are logged and
+ * do not stop the remaining cleanups.
+ */
+async function runCleanups(cleanups) {
+  while (cleanups.length > 0) {
+    const cleanup = cleanups.pop();
+    try {
+      await cleanup();
+    } catch (err) {
+      console.warn("Capture cleanup failed:", err?.message);
+    }
+  }
+}
+
+/**
+ * Overrides the tab's viewport via device-metrics emulation.
+ * @param {Function} send - Debugger command sender from acquireDebugger.
+ * @param {{width: number, height: number, deviceScaleFactor: number, mobile: boolean}} viewport
+ * @returns {Promise<() => Promise<void>>} Cleanup that clears the override.
+ */
+async function applyViewportOverride(send, viewport) {
+  await send("Emulation.setDeviceMetricsOverride", {
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    mobile: viewport.mobile
+  });
+  if (viewport.mobile) {
+    await send("Emulation.setTouchEmulationEnabled", { enabled: true, maxTouchPoints: 5 });
+  }
+  await new Promise((r) => setTimeout(r, VIEWPORT_SETTLE_MS));
+
+  return async () => {
+    if (viewport.mobile) {
+      await send("Emulation.setTouchEmulationEnabled", { enabled: false });
+    }
+    await send("Emulation.clearDeviceMetricsOverride");
+  };
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Re-encodes an image data URL with OffscreenCanvas (used for formats that
+ * captureVisibleTab cannot produce, such as webp).
+ * @param {string} dataUrl - Source image.
+ * @param {string} mimeType - Target MIME type.
+ * @param {number} [quality] - 0-100 quality for lossy formats.
+ * @returns {Promise<string>} Base64 data in the target format.
+ */
+async function reencodeDataUrl(dataUrl, mimeType, quality) {
+  const source = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(source);
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext("2d").drawImage(bitmap, 0, 0);
+    const blob = await canvas.convertToBlob({
+      type: mimeType,
+      quality: typeof quality === "number" ? quality / 100 : undefined
+    });
+    if (blob.type !== mimeType) {
+      throw new Error(`This browser cannot encode ${mimeType}.`);
+    }
+    return arrayBufferToBase64(await blob.arrayBuffer());
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Captures the whole scrollable document through `Page.captureScreenshot`.
+ * The page scroll position is restored once the capture completes.
+ * @returns {Promise<{data: string, pageWidth: number, pageHeight: number, truncated: boolean}>}
+ */
+async function captureFullPage(tabId, { format, quality }) {
+  return await withDebugger(tabId, async (send) => {
+    const scrollRes = await send("Runtime.evaluate", {
+      expression: "({ x: window.scrollX, y: window.scrollY })",
+      returnByValue: true
+    });
+    const scroll = scrollRes?.result?.value ?? { x: 0, y: 0 };
+
+    const metrics = await send("Page.getLayoutMetrics");
+    const content = metrics?.cssContentSize ?? metrics?.contentSize;
+    if (!content || !(content.width > 0) || !(content.height > 0)) {
+      throw new Error("Could not determine page content size.");
+    }
+
+    const pageWidth = Math.ceil(content.width);
+    const fullHeight = Math.ceil(content.height);
+    const pageHeight = Math.min(fullHeight, MAX_FULL_PAGE_HEIGHT);
+
+    try {
+      const shot = await send("Page.captureScreenshot", {
+        format,
+        quality,
+        captureBeyondViewport: true,
+        clip: { x: 0, y: 0, width: pageWidth, height: pageHeight, scale: 1 }
+      });
+      return {
+        data: shot.data,
+        pageWidth,
+        pageHeight,
+        truncated: fullHeight > pageHeight
+      };
+    } finally {
+      try {
+        await send("Runtime.evaluate", {
+          expression: `window.scrollTo(${Number(scroll.x) || 0}, ${Number(scroll.y) || 0})`
+        });
+      } catch (err) {
+        console.warn("Failed to restore scroll position:", err?.message);
+      }
+    }
+  });
+}
+
+/**
+ * Captures the viewport through the debugger. Used for tabs that may be inactive or
+ * in an unfocused window, and for emulated viewports. Hidden tabs can stop producing frames, so the capture is bounded by `timeoutMs`.
+ * @returns {Promise<string>} Base64 image data.
+ * @throws {Error} With reason background_capture_timeout when no frame arrives in time.
+ */
+async function captureViewportWithDebugger(tabId, { format, quality, timeoutMs }) {
+  return await withDebugger(tabId, async (send) => {
+    try {
+      // Lets pages that pause rendering on blur keep painting while captured.
+      await send("Emulation.setFocusEmulationEnabled", { enabled: true });
+    } catch (err) {
+      console.warn("Failed to enable focus emulation:", err?.message);
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        reject(errorWithReason(
+          "Timed out capturing background tab; the tab may not be rendering.",
+          "background_capture_timeout"
+        ));
+      }, timeoutMs);
+    });
+
+    try {
+      const shot = await Promise.race([
+        send("Page.captureScreenshot", { format, quality, fromSurface: true }),
+        timeout
+      ]);
+      return shot.data;
+    } finally {
+      clearTimeout(timer);
+      try {
+        await send("Emulation.setFocusEmulationEnabled", { enabled: false });
+      } catch {
+        // ignore: detaching resets emulation anyway
+      }
+    }
+  });
+}
+
+async function captureScreenshot(params) {
+  return await withCommandLock(async () => {
+    const {
+      url,
+      match = "prefix",
+      titleIncludes,
+      ignoreQuery = false,
+      ignoreHash = true,
+      openIfMissing = true,
+      focusWindow = true,
+      activateTab = true,
+      waitForComplete = true,
+      timeoutMs = 15000,
+      extraWaitMs = 250,
+      format = "png",
+      jpegQuality = 80,
+      webpQuality = 80,
+      fullPage = false,
+      selector,
+      padding = 0,
+      captureMode = "visible",
+      viewport = null,
+      waitFor = [],
+      mask = [],
+      hide = [],
+      maskColor = "#ff00ff",
+      deterministic = false,
+      clockTime,
+      annotate = null,
+      maxMarks = 200,
+      includeConsole = false,
+      tabId,
+      windowId
+    } = params || {};
+    const background = captureMode === "background";
+
+    const tab = await findOrOpenTab({
+      url,
+      match,
+      titleIncludes,
+      ignoreQuery,
+      ignoreHash,
+      openIfMissing,
+      timeoutMs,
+      openInBackground: background,
+      tabId,
+      windowId
+    });
+
+    if (!tab?.id || !tab?.windowId) {
+      throw new Error("No matching tab found and could not open a new one.");
+    }
+
+    // Background captures go through the debugger, so the tab never needs to be
+    // brought forward; focusWindow/activateTab are ignored in that mode.
+    if (focusWindow && !background) {
+      try {
+        await pWindowsUpdate(tab.windowId, { focused: true });
+      } catch (err) {
+        console.warn("Failed to focus window:", err?.message);
+      }
+    }
+
+    if (activateTab && !background) {
+      try {
+        await pTabsUpdate(tab.id, { active: true });
+      } catch (err) {
+        console.warn("Failed to activate tab:", err?.message);
+      }
+    }
+
+    if (waitForComplete) {
+      await waitForTabComplete(tab.id, timeoutMs);
+    }
+
+    const cleanups = [];
+    try {
+      if (viewport) {
+        const session = await acquireDebugger(tab.id);
+        cleanups.push(session.release);
+        cleanups.push(await applyViewportOverride(session.send, viewport));
+      }
+
+      // Armed before the waits so messages logged while settling are buffered too.
+      const consoleCapture = includeConsole ? (await ensureConsoleCapture(tab.id)).capture : null;
+
+      const deterministicSteps = [];
+      if (deterministic && typeof clockTime === "number") {
+        await pinPageClock(tab.id, clockTime, cleanups);
+        deterministicSteps.push("clock_pinned");
+      }
+
+      const waits = waitFor.length > 0 ? await waitForConditions(tab.id, waitFor) : [];
+
+      if (extraWaitMs > 0) {
+        await new Promise((r) => setTimeout(r, extraWaitMs));
+      }
+
+      const element =
+        typeof selector === "string" && selector.length > 0
+          ? await locateElementCrop(tab.id, { selector, padding, fullPage })
+          : null;
+      if (deterministic) {
+        const frozen = await freezePage(tab.id, cleanups);
+        deterministicSteps.push(
+          "transitions_disabled",
+          "caret_hidden",
+          `animations_paused_at_end:${frozen.settled}`,
+          `animations_paused_at_start:${frozen.looping}`,
+          `media_paused:${frozen.paused}`
+        );
+      }
+      // Injected last so nothing (scrolling, waits) can move elements after measuring.
+      const masks =
+        mask.length > 0 || hide.length > 0
+          ? await applyCaptureMasks(tab.id, { mask, hide, maskColor }, cleanups)
+          : null;
+      const annotation =
+        annotate === "interactive"
+          ? await annotateInteractive(tab.id, { fullPage, maxMarks }, cleanups)
+          : null;
+      const geometry = {
+        devicePixelRatio: element?.devicePixelRatio ?? (await readDevicePixelRatio(tab.id)),
+        ...(element ? { crop: element.crop } : {}),
+        ...(viewport ? { viewport } : {}),
+        ...(waits.length > 0 ? { waits } : {}),
+        ...(masks ? { masks } : {}),
+        ...(annotation ? { marks: annotation.marks, marksTruncated: annotation.truncated } : {}),
+        ...(deterministic ? { deterministic: { steps: deterministicSteps, clockTime: clockTime ?? null } } : {}),
+        ...(consoleCapture
+          ? {
+              console: {
+                cursor: consoleCapture.nextSeq - 1,
+                dropped: consoleCapture.dropped,
+                entries: [...consoleCapture.entries]
+              }
+            }
+          : {})
+      };
+
+      const quality =
+        format === "jpeg"
+          ? Math.max(0, Math.min(100, jpegQuality))
+          : format === "webp"
+            ? Math.max(0, Math.min(100, webpQuality))
+            : undefined;
+      const mimeType = IMAGE_MIME_TYPES[format] ?? "image/png";
+
+      if (fullPage) {
+        const page = await captureFullPage(tab.id, { format, quality });
+        return {
+          mimeType,
+          data: page.data,
+          fullPage: true,
+          pageWidth: page.pageWidth,
+          pageHeight: page.pageHeight,
+          truncated: page.truncated,
+          captureMode,
+          ...geometry
+        };
+      }
+
+      // captureVisibleTab would grab the whole window around an emulated viewport,
+      // so emulated captures go through the debugger as well.
+      if (background || viewport) {
+        const data = await captureViewportWithDebugger(tab.id, { format, quality, timeoutMs });
+        return { mimeType, data, captureMode, ...geometry };
+      }
+
+      // captureVisibleTab only encodes png/jpeg; webp is re-encoded from a png capture.
+      if (format === "webp") {
+        const pngDataUrl = await pCaptureVisibleTab(tab.windowId, { format: "png" });
+        const data = await reencodeDataUrl(pngDataUrl, mimeType, quality);
+        return { mimeType, data, captureMode, ...geometry };
+      }
+
+      const dataUrl = await pCaptureVisibleTab(tab.windowId, { format, quality });
+
+      const comma = dataUrl.indexOf(",");
+      const base64 = comma >= 0 ? dataUrl.slice(comma + 1) : dataUrl;
+
+      return { mimeType, data: base64, captureMode, ...geometry };
+    } finally {
+      await runCleanups(cleanups);
+    }
+  });
+}
+
+/**
+ * Stops sampling and the screencast of a recording. Frames are kept until stopRecording
+ * collects them. Safe to call more than once.
+ */
+async function haltRecording(rec, stopReason) {
+  if (rec.halted) return;
+  rec.halted = true;
+  rec.stopReason = stopReason;
+  rec.endedAt = Date.now();
+  clearInterval(rec.sampler);
+  clearTimeout(rec.autoStop);
+  rec.unsubscribe();
+  try {
+    await rec.session.send("Page.stopScreencast");
+  } catch {
+    // ignore: the debugger may already be detached
+  }
+  await rec.session.release();
+}
+
+/**
+ * Starts a CDP screencast on the matched tab and samples the latest frame `fps` times
+ * per second, so still periods show up as repeated frames. Recording halts on its own
+ * after maxDurationMs; frames are collected with stopRecording.
+ * @returns {Promise<{recordingId: string, tabId: number, windowId: number, url: string, fps: number, maxDurationMs: number}>}
+ * @throws {Error} With reason recording_in_progress when the tab is already being recorded.
+ */
+async function startRecording(params) {
+  return await withCommandLock(async () => {
+    const {
+      url,
+      match = "prefix",
+      titleIncludes,
+      ignoreQuery = false,
+      ignoreHash = true,
+      openIfMissing = true,
+      focusWindow = true,
+      activateTab = true,
+      waitForComplete = true,
+      timeoutMs = 15000,
+      fps = 5,
+      maxDurationMs = 60000,
+      maxWidth = 800,
+      maxHeight = 800,
+      quality = 70,
+      tabId,
+      windowId
+    } = params || {};
+
+    const tab = await findOrOpenTab({
+      url,
+      match,
+      titleIncludes,
+      ignoreQuery,
+      ignoreHash,
+      openIfMissing,
+      timeoutMs,
+      tabId,
+      windowId
+    });
+    if (!tab?.id || !tab?.windowId) {
+      throw new Error("No matching tab found and could not open a new one.");
+    }
+    for (const rec of recordings.values()) {
+      if (rec.tabId === tab.id && !rec.halted) {
+        throw errorWithReason(
+          `Tab ${tab.id} is already being recorded (recordingId ${rec.id}).`,
+          "recording_in_progress"
+        );
+      }
+    }
+
+    // Hidden tabs stop painting, so the screencast would only repeat the last frame.
+    if (focusWindow) {
+      try {
+        await pWindowsUpdate(tab.windowId, { focused: true });
+      } catch (err) {
+        console.warn("Failed to focus window:", err?.message);
+      }
+    }
+    if (activateTab) {
+      try {
+        await pTabsUpdate(tab.id, { active: true });
+      } catch (err) {
+        console.warn("Failed to activate tab:", err?.message);
+      }
+    }
+    if (waitForComplete) {
+      await waitForTabComplete(tab.id, timeoutMs);
+    }
+
+    const session = await acquireDebugger(tab.id);
+    const rec = {
+      id: `rec-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      tabId: tab.id,
+      session,
+      fps,
+      frames: [],
+      bytes: 0,
+      latest: null,
+      truncated: false,
+      halted: false,
+      startedAt: Date.now()
+    };
+    rec.unsubscribe = addDebuggerEventListener(tab.id, (method, eventParams) => {
+      if (method !== "Page.screencastFrame") return;
+      rec.latest = eventParams.data;
+      session.send("Page.screencastFrameAck", { sessionId: eventParams.sessionId }).catch(() => {});
+    });
+
+    try {
+      await session.send("Page.startScreencast", { format: "jpeg", quality, maxWidth, maxHeight });
+    } catch (err) {
+      rec.unsubscribe();
+      await session.release();
+      throw err;
+    }
+
+    rec.sampler = setInterval(() => {
+      if (!rec.latest) return;
+      if (rec.frames.length >= MAX_RECORDING_FRAMES) {
+        rec.truncated = true;
+        haltRecording(rec, "max_frames");
+        return;
+      }
+      if (rec.bytes + rec.latest.length > MAX_RECORDING_BYTES) {
+        rec.truncated = true;
+        haltRecording(rec, "max_bytes");
+        return;
+      }
+      rec.bytes += rec.latest.length;
+      rec.frames.push({ data: rec.latest, timestampMs: Date.now() - rec.startedAt });
+    }, Math.round(1000 / fps));
+    rec.autoStop = setTimeout(() => haltRecording(rec, "max_duration"), maxDurationMs);
+    recordings.set(rec.id, rec);
+
+    return {
+      recordingId: rec.id,
+      tabId: tab.id,
+      windowId: tab.windowId,
+      url: tab.url ?? url,
+      fps,
+      maxDurationMs
+    };
+  });
+}
+
+/**
+ * Ends a recording and hands back its sampled frames (base64 JPEG).
+ * @throws {Error} With reason recording_not_found for unknown or already collected ids.
+ */
+async function stopRecording({ recordingId } = {}) {
+  const rec = recordings.get(recordingId);
+  if (!rec) {
+    throw errorWithReason(`Unknown recordingId: ${recordingId}`, "recording_not_found");
+  }
+  await haltRecording(rec, rec.stopReason ?? "stopped");
+  recordings.delete(recordingId);
+  return {
+    recordingId,
+    tabId: rec.tabId,
+    mimeType: "image/jpeg",
+    fps: rec.fps,
+    frames: rec.frames,
+    elapsedMs: rec.endedAt - rec.startedAt,
+    truncated: rec.truncated,
+    stopReason: rec.stopReason
+  };
+}
+
+/**
+ * Opens a URL in Chrome, either by focusing an existing tab or creating a new one.
  * @param {Object} params - Parameters for opening the URL.
  * @param {string} params.url - The URL to open.
- * @param {"prefix"|"exact"} [params.match="prefix"] - How to match existing tabs.
+ * @param {"prefix"|"exact"|"origin"|"regex"|"glob"} [params.match="prefix"] - How to match existing tabs.
+ * @param {string} [params.titleIncludes] - Only reuse tabs whose title contains this.
+ * @param {boolean} [params.ignoreQuery=false] - Ignore query strings when matching.
+ * @param {boolean} [params.ignoreHash=true] - Ignore fragments when matching.
  * @param {boolean} [params.reuseIfExists=true] - Whether to reuse an existing matching tab.
  * @param {boolean} [params.openIfMissing=true] - Whether to open a new tab if no match is found.
  * @param {boolean} [params.focusWindow=true] - Whether to focus the window containing the tab.
  * @param {boolean} [params.activateTab=true] - Whether to activate the tab.
  * @param {boolean} [params.waitForComplete=true] - Whether to wait for the tab to finish loading.
  * @param {number} [params.timeoutMs=15000] - Max time to wait for tab load.
+ * @param {number} [params.tabId] - Focus this tab instead of matching by URL (no navigation).
+ * @param {number} [params.windowId] - Focus the active tab of this window.
+ * @param {Array<Object>} [params.waitFor=[]] - Extra conditions to wait for (see waitForConditions).
  * @returns {Promise<{success: boolean, action: string, tabId: number, windowId: number, title: string, url: string, status: string|null}>}
  *   Resolves with success details including the tab info.
  * @throws {Error} If the URL cannot be resolved or tab operations fail.
@@ -540,21 +2484,32 @@ async function openUrl(params) {
     const {
       url,
       match = "prefix",
+      titleIncludes,
+      ignoreQuery = false,
+      ignoreHash = true,
       reuseIfExists = true,
       openIfMissing = true,
       focusWindow = true,
       activateTab = true,
       waitForComplete = true,
-      timeoutMs = 15000
+      timeoutMs = 15000,
+      waitFor = [],
+      tabId,
+      windowId
     } = params || {};
 
     const resolved = await resolveTabForUrl({
       url,
       match,
+      titleIncludes,
+      ignoreQuery,
+      ignoreHash,
       reuseIfExists,
       openIfMissing,
       waitForComplete,
-      timeoutMs
+      timeoutMs,
+      tabId,
+      windowId
     });
 
     // Handle error case
@@ -589,11 +2544,13 @@ async function openUrl(params) {
     }
 
     // New tabs are waited in resolveTabForUrl when waitForComplete=true.
-    // Wait here only for reused tabs.
-    if (waitForComplete && resolved.action === "reused_existing_tab") {
+    // Wait here only for reused or explicitly targeted tabs.
+    if (waitForComplete && resolved.action !== "opened_new_tab") {
       await waitForTabComplete(tab.id, timeoutMs);
     }
 
+    const waits = waitFor.length > 0 ? await waitForConditions(tab.id, waitFor) : [];
+
     let refreshedTab = tab;
     try {
       refreshedTab = (await pTabsGet(tab.id)) ?? tab;
@@ -608,11 +2565,624 @@ async function openUrl(params) {
       windowId: refreshedTab.windowId,
       title: refreshedTab.title ?? "",
       url: refreshedTab.url ?? url,
-      status: refreshedTab.status ?? null
+      status: refreshedTab.status ?? null,
+      ...(waits.length > 0 ? { waits } : {})
+    };
+  });
+}
+
+const CONSOLE_API_LEVELS = {
+  warning: "warn", error: "error", assert: "error", info: "info", debug: "debug", trace: "debug"
+};
+const LOG_ENTRY_LEVELS = { verbose: "debug", info: "info", warning: "warn", error: "error" };
+
+function remoteObjectText(obj) {
+  if (!obj) return "";
+  if (obj.unserializableValue) return obj.unserializableValue;
+  if (obj.type === "string") return obj.value;
+  if ("value" in obj) return obj.value === undefined ? "undefined" : JSON.stringify(obj.value);
+  return obj.description ?? obj.type ?? "";
+}
+
+// Renders console arguments like DevTools: printf-style substitutions in the first
+// string (%c styling is dropped), remaining arguments joined with spaces.
+function formatConsoleArgs(args = []) {
+  const rest = [...args];
+  let text = "";
+  if (rest[0]?.type === "string") {
+    text = rest.shift().value.replace(/%[sdifoOc%]/g, (token) => {
+      if (token === "%%") return "%";
+      const arg = rest.shift();
+      if (token === "%c" || !arg) return "";
+      return remoteObjectText(arg);
+    });
+  }
+  for (const arg of rest) text += (text ? " " : "") + remoteObjectText(arg);
+  return text;
+}
+
+function stackText(stackTrace) {
+  const frames = stackTrace?.callFrames ?? [];
+  if (frames.length === 0) return undefined;
+  return frames
+    .slice(0, 10)
+    .map((f) => `at ${f.functionName || "<anonymous>"} (${f.url}:${f.lineNumber + 1}:${f.columnNumber + 1})`)
+    .join("\n");
+}
+
+function pushConsoleEntry(capture, entry) {
+  const text = entry.text.length > MAX_CONSOLE_TEXT
+    ? `${entry.text.slice(0, MAX_CONSOLE_TEXT - 1)}\u2026`
+    : entry.text;
+  capture.entries.push({ seq: capture.nextSeq++, ...entry, text });
+  if (capture.entries.length > MAX_CONSOLE_ENTRIES) {
+    capture.entries.shift();
+    capture.dropped += 1;
+  }
+}
+
+function onConsoleDebuggerEvent(capture, method, params) {
+  if (method === "Runtime.consoleAPICalled") {
+    const frame = params.stackTrace?.callFrames?.[0];
+    pushConsoleEntry(capture, {
+      timestamp: params.timestamp,
+      level: CONSOLE_API_LEVELS[params.type] ?? "log",
+      source: "console",
+      text: formatConsoleArgs(params.args),
+      ...(frame ? { url: frame.url, lineNumber: frame.lineNumber + 1, columnNumber: frame.columnNumber + 1 } : {}),
+      ...(params.type === "error" || params.type === "assert" || params.type === "trace"
+        ? { stack: stackText(params.stackTrace) }
+        : {})
+    });
+  } else if (method === "Runtime.exceptionThrown") {
+    const details = params.exceptionDetails ?? {};
+    pushConsoleEntry(capture, {
+      timestamp: params.timestamp,
+      level: "error",
+      source: "exception",
+      text: details.exception?.description ?? details.text ?? "Uncaught exception",
+      ...(details.url ? { url: details.url } : {}),
+      ...(typeof details.lineNumber === "number"
+        ? { lineNumber: details.lineNumber + 1, columnNumber: (details.columnNumber ?? 0) + 1 }
+        : {}),
+      stack: stackText(details.stackTrace)
+    });
+  } else if (method === "Log.entryAdded") {
+    const entry = params.entry ?? {};
+    // JavaScript-sourced entries duplicate what the Runtime events already report.
+    if (entry.source === "javascript") return;
+    pushConsoleEntry(capture, {
+      timestamp: entry.timestamp,
+      level: LOG_ENTRY_LEVELS[entry.level] ?? "info",
+      source: entry.source ?? "other",
+      text: entry.text ?? "",
+      ...(entry.url ? { url: entry.url } : {}),
+      ...(typeof entry.lineNumber === "number" ? { lineNumber: entry.lineNumber + 1 } : {})
+    });
+  }
+}
+
+/**
+ * Starts buffering console messages, uncaught exceptions and browser log entries
+ * (network errors, violations...) of a tab. The debugger stays attached until
+ * stopConsoleCapture or until it is detached. Enabling Runtime/Log replays what the
+ * current page logged before, so arming late still sees earlier errors.
+ * @returns {Promise<{capture: Object, newlyArmed: boolean}>}
+ */
+async function ensureConsoleCapture(tabId) {
+  const existing = consoleCaptures.get(tabId);
+  if (existing) return { capture: existing, newlyArmed: false };
+
+  const session = await acquireDebugger(tabId);
+  const capture = {
+    entries: [],
+    nextSeq: 1,
+    dropped: 0,
+    armedAt: Date.now(),
+    release: session.release,
+    unsubscribe: () => {}
+  };
+  capture.unsubscribe = addDebuggerEventListener(tabId, (method, params) =>
+    onConsoleDebuggerEvent(capture, method, params)
+  );
+  consoleCaptures.set(tabId, capture);
+  try {
+    await session.send("Runtime.enable");
+    await session.send("Log.enable");
+  } catch (err) {
+    await stopConsoleCapture(tabId);
+    throw err;
+  }
+  return { capture, newlyArmed: true };
+}
+
+async function stopConsoleCapture(tabId) {
+  const capture = consoleCaptures.get(tabId);
+  if (!capture) return;
+  consoleCaptures.delete(tabId);
+  capture.unsubscribe();
+  await capture.release();
+}
+
+/**
+ * Reads (and optionally stops) the console buffer of the matched tab, arming capture
+ * on first use. Clearing is a separate step (consoleClear) because only the server
+ * knows which entries survived its level filter and cap.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus
+ *   `since` (only entries with a larger seq) and `stop`.
+ * @returns {Promise<Object>} Buffered entries and capture state.
+ */
+async function consoleLogs(params) {
+  return await withCommandLock(async () => {
+    const { since = 0, stop = false } = params || {};
+    const { tab, waits } = await resolveInspectionTab(params || {});
+    const { capture, newlyArmed } = await ensureConsoleCapture(tab.id);
+
+    const result = {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      url: tab.url ?? "",
+      armedAt: capture.armedAt,
+      newlyArmed,
+      cursor: capture.nextSeq - 1,
+      dropped: capture.dropped,
+      entries: capture.entries.filter((e) => e.seq > since),
+      ...(waits.length > 0 ? { waits } : {})
+    };
+    if (stop) await stopConsoleCapture(tab.id);
+    return { ...result, capturing: !stop };
+  });
+}
+
+/**
+ * Removes the given entries from a tab's console buffer; entries not listed (or
+ * logged since) stay for the next read.
+ * @param {{tabId: number, seqs: number[]}} params
+ * @returns {Promise<{removed: number, remaining: number}>}
+ */
+async function consoleClear({ tabId, seqs }) {
+  return await withCommandLock(async () => {
+    const capture = consoleCaptures.get(tabId);
+    if (!capture) return { removed: 0, remaining: 0 };
+    const drop = new Set(seqs);
+    const before = capture.entries.length;
+    capture.entries = capture.entries.filter((e) => !drop.has(e.seq));
+    return { removed: before - capture.entries.length, remaining: capture.entries.length };
+  });
+}
+
+function finishNetworkRequest(capture, record) {
+  capture.inflight.delete(record.requestId);
+  capture.entries.push({ seq: capture.nextSeq++, ...record });
+  if (capture.entries.length > MAX_NETWORK_ENTRIES) {
+    capture.entries.shift();
+    capture.dropped += 1;
+  }
+}
+
+function applyNetworkResponse(record, response) {
+  record.status = response.status;
+  record.statusText = response.statusText ?? "";
+  record.mimeType = response.mimeType ?? "";
+  record.protocol = response.protocol ?? "";
+  record.responseHeaders = response.headers ?? {};
+  record.timing = response.timing ?? null;
+  record.remoteIPAddress = response.remoteIPAddress ?? null;
+  record.fromCache = Boolean(response.fromDiskCache || response.fromPrefetchCache || response.fromServiceWorker);
+  if (typeof response.encodedDataLength === "number") record.encodedBytes = response.encodedDataLength;
+}
+
+function onNetworkDebuggerEvent(capture, method, params) {
+  if (method === "Network.requestWillBeSent") {
+    const previous = capture.inflight.get(params.requestId);
+    // Redirects reuse the requestId: close the hop that was redirected first.
+    if (previous && params.redirectResponse) {
+      applyNetworkResponse(previous, params.redirectResponse);
+      previous.redirectURL = params.request.url;
+      previous.endTime = params.timestamp;
+      finishNetworkRequest(capture, previous);
+    }
+    const postData = params.request.postData;
+    capture.inflight.set(params.requestId, {
+      requestId: params.requestId,
+      url: params.request.url,
+      method: params.request.method,
+      resourceType: params.type ?? "Other",
+      requestHeaders: params.request.headers ?? {},
+      ...(typeof postData === "string" ? { postData: postData.slice(0, MAX_POST_DATA_CHARS) } : {}),
+      startedAt: Math.round((params.wallTime ?? Date.now() / 1000) * 1000),
+      startTime: params.timestamp,
+      endTime: null,
+      status: 0,
+      statusText: "",
+      mimeType: "",
+      protocol: "",
+      responseHeaders: {},
+      timing: null,
+      remoteIPAddress: null,
+      fromCache: false,
+      encodedBytes: 0,
+      bodyBytes: 0
+    });
+    return;
+  }
+
+  const record = capture.inflight.get(params.requestId);
+  if (!record) return;
+  if (method === "Network.responseReceived") {
+    applyNetworkResponse(record, params.response);
+  } else if (method === "Network.dataReceived") {
+    record.bodyBytes += params.dataLength ?? 0;
+  } else if (method === "Network.loadingFinished") {
+    record.endTime = params.timestamp;
+    if (typeof params.encodedDataLength === "number") record.encodedBytes = params.encodedDataLength;
+    finishNetworkRequest(capture, record);
+  } else if (method === "Network.loadingFailed") {
+    record.endTime = params.timestamp;
+    record.failure = params.blockedReason
+      ? `blocked:${params.blockedReason}`
+      : params.canceled
+        ? "canceled"
+        : (params.errorText ?? "failed");
+    finishNetworkRequest(capture, record);
+  }
+}
+
+/**
+ * Starts recording the requests of a tab. Unlike the console, the network domain
+ * has no history, so only requests sent after arming are seen.
+ * @returns {Promise<{capture: Object, newlyArmed: boolean}>}
+ */
+async function ensureNetworkCapture(tabId) {
+  const existing = networkCaptures.get(tabId);
+  if (existing) return { capture: existing, newlyArmed: false };
+
+  const session = await acquireDebugger(tabId);
+  const capture = {
+    inflight: new Map(),
+    entries: [],
+    nextSeq: 1,
+    dropped: 0,
+    armedAt: Date.now(),
+    release: session.release,
+    unsubscribe: () => {}
+  };
+  capture.unsubscribe = addDebuggerEventListener(tabId, (method, params) =>
+    onNetworkDebuggerEvent(capture, method, params)
+  );
+  networkCaptures.set(tabId, capture);
+  try {
+    await session.send("Network.enable");
+  } catch (err) {
+    await stopNetworkCapture(tabId);
+    throw err;
+  }
+  return { capture, newlyArmed: true };
+}
+
+async function stopNetworkCapture(tabId) {
+  const capture = networkCaptures.get(tabId);
+  if (!capture) return;
+  networkCaptures.delete(tabId);
+  capture.unsubscribe();
+  await capture.release();
+}
+
+/**
+ * Reads (and optionally stops) the request log of the matched tab, arming capture on
+ * first use. Clearing is a separate step (networkClear), as for the console buffer.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus
+ *   `since` (only entries with a larger seq) and `stop`.
+ * @returns {Promise<Object>} Finished entries, in-flight requests and capture state.
+ */
+async function networkLog(params) {
+  return await withCommandLock(async () => {
+    const { since = 0, stop = false } = params || {};
+    const { tab, waits } = await resolveInspectionTab(params || {});
+    const { capture, newlyArmed } = await ensureNetworkCapture(tab.id);
+
+    let refreshed = tab;
+    try {
+      refreshed = (await pTabsGet(tab.id)) ?? tab;
+    } catch (err) {
+      console.warn("Failed to refresh tab:", err?.message);
+    }
+    const result = {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      url: refreshed.url ?? "",
+      title: refreshed.title ?? "",
+      armedAt: capture.armedAt,
+      newlyArmed,
+      cursor: capture.nextSeq - 1,
+      dropped: capture.dropped,
+      entries: capture.entries.filter((e) => e.seq > since),
+      pending: [...capture.inflight.values()].map(({ url, method, resourceType, startedAt }) => ({
+        url,
+        method,
+        resourceType,
+        startedAt
+      })),
+      ...(waits.length > 0 ? { waits } : {})
+    };
+    if (stop) await stopNetworkCapture(tab.id);
+    return { ...result, capturing: !stop };
+  });
+}
+
+/**
+ * Removes the given finished requests from a tab's log.
+ * @param {{tabId: number, seqs: number[]}} params
+ * @returns {Promise<{removed: number, remaining: number}>}
+ */
+async function networkClear({ tabId, seqs }) {
+  return await withCommandLock(async () => {
+    const capture = networkCaptures.get(tabId);
+    if (!capture) return { removed: 0, remaining: 0 };
+    const drop = new Set(seqs);
+    const before = capture.entries.length;
+    capture.entries = capture.entries.filter((e) => !drop.has(e.seq));
+    return { removed: before - capture.entries.length, remaining: capture.entries.length };
+  });
+}
+
+/**
+ * Serializes the matched tab's DOM into a trimmed node list.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus
+ *   `selector` (root of the snapshot), `maxNodes` and `includeHidden`.
+ * @returns {Promise<Object>} The serialized snapshot with tabId/windowId and waits.
+ * @throws {Error} With reason invalid_selector or selector_not_found.
+ */
+async function domSnapshot(params) {
+  return await withCommandLock(async () => {
+    const { selector, maxNodes = 500, includeHidden = false } = params || {};
+    const { tab, waits } = await resolveInspectionTab(params || {});
+
+    const snapshot = await runInTab(tab.id, serializeDomInPage, [
+      { selector: selector ?? null, maxNodes, includeHidden }
+    ]);
+    if (!snapshot) {
+      throw new Error("Failed to serialize the page DOM.");
+    }
+    if (snapshot.error === "invalid_selector") {
+      throw errorWithReason(`Invalid selector "${selector}": ${snapshot.message}`, "invalid_selector");
+    }
+    if (snapshot.error === "selector_not_found") {
+      throw errorWithReason(`No element matches selector "${selector}".`, "selector_not_found");
+    }
+    return {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      ...snapshot,
+      ...(waits.length > 0 ? { waits } : {})
+    };
+  });
+}
+
+/**
+ * Extracts the rendered text of the matched tab as a compact block tree that the
+ * server turns into plain text or Markdown.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus
+ *   `selector` (scope) and `maxChars` (text budget).
+ * @returns {Promise<Object>} `{url, title, nodes, truncated}` with tabId/windowId and waits.
+ * @throws {Error} With reason invalid_selector or selector_not_found.
+ */
+async function pageText(params) {
+  return await withCommandLock(async () => {
+    const { selector, maxChars = 20000 } = params || {};
+    const { tab, waits } = await resolveInspectionTab(params || {});
+
+    const extracted = await runInTab(tab.id, extractPageTextInPage, [
+      { selector: selector ?? null, maxChars }
+    ]);
+    if (!extracted) {
+      throw new Error("Failed to extract the page text.");
+    }
+    if (extracted.error === "invalid_selector") {
+      throw errorWithReason(`Invalid selector "${selector}": ${extracted.message}`, "invalid_selector");
+    }
+    if (extracted.error === "selector_not_found") {
+      throw errorWithReason(`No element matches selector "${selector}".`, "selector_not_found");
+    }
+    return {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      ...extracted,
+      ...(waits.length > 0 ? { waits } : {})
+    };
+  });
+}
+
+/**
+ * Reads the bounding box, box model, computed styles and occlusion samples of one
+ * element matched by `selector` in the matched tab.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus
+ *   `selector`, `index` (which match, default 0) and `customProperties` (`--*` names).
+ * @returns {Promise<Object>} The inspection result with tabId/windowId and waits.
+ * @throws {Error} With reason invalid_selector, selector_not_found or index_out_of_range.
+ */
+async function inspectElement(params) {
+  return await withCommandLock(async () => {
+    const { selector, index = 0, customProperties = [] } = params || {};
+    if (typeof selector !== "string" || !selector) {
+      throw errorWithReason("inspectElement requires a selector.", "invalid_selector");
+    }
+    const { tab, waits } = await resolveInspectionTab(params || {});
+
+    const result = await runInTab(tab.id, inspectElementInPage, [
+      { selector, index, customProperties }
+    ]);
+    if (!result) {
+      throw new Error("Failed to inspect the element.");
+    }
+    if (result.error === "invalid_selector") {
+      throw errorWithReason(`Invalid selector "${selector}": ${result.message}`, "invalid_selector");
+    }
+    if (result.error === "selector_not_found") {
+      throw errorWithReason(`No element matches selector "${selector}".`, "selector_not_found");
+    }
+    if (result.error === "index_out_of_range") {
+      throw errorWithReason(
+        `Selector "${selector}" matches ${result.matchCount} element(s); index ${index} is out of range.`,
+        "index_out_of_range"
+      );
+    }
+    return {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      ...result,
+      ...(waits.length > 0 ? { waits } : {})
+    };
+  });
+}
+
+// Reloads without the HTTP cache and waits for the new document. The tab still reports
+// "complete" for the old page right after reload() returns, so wait for "loading" first.
+async function reloadTabAndWait(tabId, timeoutMs) {
+  let onUpdated;
+  const started = new Promise((resolve) => {
+    onUpdated = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === "loading") resolve();
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+  });
+  try {
+    await pTabsReload(tabId, { bypassCache: true });
+    await Promise.race([started, delay(1000)]);
+  } finally {
+    chrome.tabs.onUpdated.removeListener(onUpdated);
+  }
+  await waitForTabComplete(tabId, timeoutMs);
+}
+
+/**
+ * Reads the performance timeline and JS heap of the matched tab, optionally after a
+ * cache-bypassing reload. `settleMs` waits after load so late LCP candidates and
+ * layout shifts are included.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus
+ *   `reload` and `settleMs`.
+ * @returns {Promise<Object>} Raw timeline entries with tabId/windowId and waits.
+ */
+async function performanceMetrics(params) {
+  return await withCommandLock(async () => {
+    const { reload = false, settleMs = 0, timeoutMs = 15000, waitFor = [] } = params || {};
+    // After a reload the waits have to hold on the new document, so run them then.
+    const resolved = await resolveInspectionTab({ ...params, waitFor: reload ? [] : waitFor });
+    const { tab } = resolved;
+    let { waits } = resolved;
+    if (reload) {
+      await reloadTabAndWait(tab.id, timeoutMs);
+      waits = waitFor.length > 0 ? await waitForConditions(tab.id, waitFor) : [];
+    }
+    if (settleMs > 0) await delay(settleMs);
+
+    const metrics = await runInTab(tab.id, collectPerformanceInPage, [
+      { maxResources: MAX_PERF_RESOURCES }
+    ]);
+    if (!metrics) {
+      throw new Error("Failed to read performance metrics.");
+    }
+    return {
+      tabId: tab.id,
+      windowId: tab.windowId,
+      reloaded: reload,
+      ...metrics,
+      ...(waits.length > 0 ? { waits } : {})
     };
   });
 }
 
+// Keeps only what the server needs from a CDP AXNode.
+function compactAXNode(node) {
+  const props = {};
+  for (const prop of node.properties ?? []) props[prop.name] = prop.value?.value;
+  const value = node.value?.value;
+  return {
+    id: node.nodeId,
+    role: String(node.role?.value ?? ""),
+    name: String(node.name?.value ?? ""),
+    ...(value !== undefined && value !== "" ? { value: String(value) } : {}),
+    ...(node.description?.value ? { description: String(node.description.value) } : {}),
+    ignored: node.ignored === true,
+    props,
+    childIds: node.childIds ?? []
+  };
+}
+
+/**
+ * Returns the computed accessibility tree of the matched tab's main frame. With
+ * `selector`, only the subtree of the first matching element is returned.
+ * @param {Object} params - Tab resolution options (see resolveInspectionTab) plus `selector`.
+ * @returns {Promise<{tabId: number, windowId: number, url: string, title: string,
+ *   rootId: string|null, nodes: Object[]}>}
+ * @throws {Error} With reason invalid_selector, selector_not_found or selector_not_accessible.
+ */
+async function accessibilityTree(params) {
+  return await withCommandLock(async () => {
+    const { selector } = params || {};
+    const { tab, waits } = await resolveInspectionTab(params || {});
+
+    return await withDebugger(tab.id, async (send) => {
+      let rootBackendId = null;
+      if (selector) {
+        const { root } = await send("DOM.getDocument", { depth: 0 });
+        let found;
+        try {
+          found = await send("DOM.querySelector", { nodeId: root.nodeId, selector });
+        } catch (err) {
+          throw errorWithReason(`Invalid selector "${selector}": ${err?.message ?? err}`, "invalid_selector");
+        }
+        if (!found?.nodeId) {
+          throw errorWithReason(`No element matches selector "${selector}".`, "selector_not_found");
+        }
+        const { node } = await send("DOM.describeNode", { nodeId: found.nodeId });
+        rootBackendId = node.backendNodeId;
+      }
+
+      const { nodes = [] } = await send("Accessibility.getFullAXTree", {});
+      let rootId = nodes[0]?.nodeId ?? null;
+      if (rootBackendId !== null) {
+        rootId = nodes.find((n) => n.backendDOMNodeId === rootBackendId)?.nodeId ?? null;
+        if (!rootId) {
+          throw errorWithReason(
+            `Element matching "${selector}" is not in the accessibility tree.`,
+            "selector_not_accessible"
+          );
+        }
+      }
+
+      // Only ship the requested subtree.
+      const byId = new Map(nodes.map((n) => [n.nodeId, n]));
+      const subtree = [];
+      const pending = rootId ? [rootId] : [];
+      const seen = new Set();
+      while (pending.length > 0) {
+        const node = byId.get(pending.pop());
+        if (!node || seen.has(node.nodeId)) continue;
+        seen.add(node.nodeId);
+        subtree.push(compactAXNode(node));
+        pending.push(...(node.childIds ?? []));
+      }
+
+      let refreshed = tab;
+      try {
+        refreshed = (await pTabsGet(tab.id)) ?? tab;
+      } catch (err) {
+        console.warn("Failed to refresh tab:", err?.message);
+      }
+      return {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        url: refreshed.url ?? "",
+        title: refreshed.title ?? "",
+        rootId,
+        nodes: subtree,
+        ...(waits.length > 0 ? { waits } : {})
+      };
+    });
+  });
+}
+
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   if (msg && msg.type === "wsStatus") {
     updateBridgeStatus(msg.status);
@@ -676,6 +3246,58 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
       return await openUrl({ ...params, url });
     }
 
+    if (cmd === "recordStart") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await startRecording({ ...params, url });
+    }
+
+    if (cmd === "recordStop") {
+      return await stopRecording(params);
+    }
+
+    if (cmd === "domSnapshot") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await domSnapshot({ ...params, url });
+    }
+
+    if (cmd === "pageText") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await pageText({ ...params, url });
+    }
+
+    if (cmd === "inspectElement") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await inspectElement({ ...params, url });
+    }
+
+    if (cmd === "performanceMetrics") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await performanceMetrics({ ...params, url });
+    }
+
+    if (cmd === "consoleLogs") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await consoleLogs({ ...params, url });
+    }
+
+    if (cmd === "networkClear") {
+      return await networkClear(params || {});
+    }
+
+    if (cmd === "consoleClear") {
+      return await consoleClear(params || {});
+    }
+
+    if (cmd === "networkLog") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await networkLog({ ...params, url });
+    }
+
+    if (cmd === "accessibilityTree") {
+      const url = (params && typeof params.url === "string" && params.url) || DEFAULT_URL;
+      return await accessibilityTree({ ...params, url });
+    }
+
     throw new Error(`Unknown cmd: ${cmd}`);
   })()
     .then((result) => {
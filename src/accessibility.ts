@@ -0,0 +1,160 @@
+import { formatDepthList, type DepthItem } from "./dom-snapshot.js";
+
+/** AX node as the extension forwards it from CDP Accessibility.getFullAXTree. */
+export type RawAxNode = {
+  id: string;
+  role: string;
+  name: string;
+  value?: string;
+  description?: string;
+  ignored: boolean;
+  /** CDP AXProperty values keyed by name (focusable, checked, level, ...). */
+  props: Record<string, unknown>;
+  childIds: string[];
+};
+
+/** Payload the extension returns for the accessibilityTree command. */
+export type AxTreeSnapshot = {
+  tabId: number;
+  windowId: number;
+  url: string;
+  title: string;
+  rootId: string | null;
+  nodes: RawAxNode[];
+  waits?: Array<{ type: string; elapsedMs: number }>;
+};
+
+export type AxListItem = DepthItem & {
+  role: string;
+  name?: string;
+  value?: string;
+  description?: string;
+  states?: string[];
+};
+
+const STATE_PROPS = [
+  "focusable",
+  "focused",
+  "disabled",
+  "checked",
+  "pressed",
+  "expanded",
+  "selected",
+  "required",
+  "invalid",
+  "readonly",
+  "modal",
+  "multiline",
+  "busy",
+  "level",
+  "haspopup",
+];
+// Layout-only roles that only matter when they carry a name or take focus.
+const CONTAINER_ROLES = new Set(["generic", "none", "presentation", "LineBreak"]);
+
+/**
+ * Turns AX properties into short state flags: true booleans become their name,
+ * other values `name=value`; collapsed sections are reported as "collapsed".
+ */
+export function axStates(props: Record<string, unknown>): string[] {
+  const states: string[] = [];
+  for (const name of STATE_PROPS) {
+    const v = props[name];
+    if (v === true || v === "true") {
+      states.push(name);
+    } else if (v === false || v === "false" || v === undefined || v === null || v === "") {
+      if (name === "expanded" && (v === false || v === "false")) states.push("collapsed");
+    } else {
+      states.push(`${name}=${String(v)}`);
+    }
+  }
+  return states;
+}
+
+function isInteresting(node: RawAxNode, parentName: string | undefined): boolean {
+  if (node.ignored) return false;
+  if (node.role === "StaticText") return node.name !== "" && node.name !== parentName;
+  if (CONTAINER_ROLES.has(node.role)) return node.name !== "" || node.props.focusable === true;
+  return true;
+}
+
+/**
+ * Flattens the AX tree below `rootId` into depth-annotated items in document order.
+ * With `interestingOnly`, ignored and anonymous layout nodes are elided (their
+ * children move up) and text that repeats its parent's name is dropped.
+ * InlineTextBox nodes are always skipped.
+ */
+export function flattenAxTree(
+  nodes: RawAxNode[],
+  opts: { rootId: string | null; interestingOnly: boolean; maxNodes: number }
+): { items: AxListItem[]; truncated: boolean } {
+  const byId = new Map(nodes.map((n) => [n.id, n]));
+  const items: AxListItem[] = [];
+  let truncated = false;
+  const rootId = opts.rootId ?? nodes[0]?.id;
+  const seen = new Set<string>();
+
+  const walk = (id: string, depth: number, parentName: string | undefined, isRoot: boolean) => {
+    const node = byId.get(id);
+    if (!node || truncated || seen.has(id) || node.role === "InlineTextBox") return;
+    seen.add(id);
+
+    const keep = isRoot || !opts.interestingOnly || isInteresting(node, parentName);
+    if (keep) {
+      if (items.length >= opts.maxNodes) {
+        truncated = true;
+        return;
+      }
+      const states = axStates(node.props);
+      if (node.ignored) states.unshift("ignored");
+      items.push({
+        depth,
+        role: node.role,
+        ...(node.name ? { name: node.name } : {}),
+        ...(node.value ? { value: node.value } : {}),
+        ...(node.description ? { description: node.description } : {}),
+        ...(states.length > 0 ? { states } : {}),
+      });
+    }
+    for (const childId of node.childIds) {
+      walk(childId, keep ? depth + 1 : depth, keep ? node.name : parentName, false);
+    }
+  };
+  if (rootId) walk(rootId, 0, undefined, true);
+  return { items, truncated };
+}
+
+/** One outline line, e.g. `  - checkbox "Remember me" [focusable, checked]`. */
+export function formatAxLine(item: AxListItem): string {
+  let line = `${"  ".repeat(item.depth)}- ${item.role}`;
+  if (item.name) line += ` ${JSON.stringify(item.name)}`;
+  if (item.value) line += ` value=${JSON.stringify(item.value)}`;
+  if (item.description) line += ` description=${JSON.stringify(item.description)}`;
+  if (item.states) line += ` [${item.states.join(", ")}]`;
+  return line;
+}
+
+/**
+ * Renders an AX snapshot as an outline or nested JSON within `maxNodes`/`maxChars`.
+ */
+export function formatAxTree(
+  snapshot: Pick<AxTreeSnapshot, "nodes" | "rootId">,
+  opts: { interestingOnly: boolean; maxNodes: number; maxChars: number; format: "outline" | "json" }
+): { format: "outline" | "json"; content: string; nodeCount: number; truncated: boolean } {
+  const flat = flattenAxTree(snapshot.nodes, {
+    rootId: snapshot.rootId,
+    interestingOnly: opts.interestingOnly,
+    maxNodes: opts.maxNodes,
+  });
+  const out = formatDepthList(flat.items, {
+    format: opts.format,
+    maxChars: opts.maxChars,
+    line: formatAxLine,
+  });
+  return {
+    format: opts.format,
+    content: out.content,
+    nodeCount: out.count,
+    truncated: flat.truncated || out.truncated,
+  };
+}
@@ -3,11 +3,38 @@ import fs from "node:fs/promises";
 import type { Dirent } from "node:fs";
 import os from "node:os";
 import path from "node:path";
+import { encodeGif } from "./gif.js";
+import { diffImages } from "./image-diff.js";
+import { buildHar, type NetworkEntry } from "./network-log.js";
+import {
+  blitImage,
+  createImage,
+  cropImage,
+  decodeImage,
+  drawText,
+  encodeImage,
+  encodePng,
+  fillImage,
+  resizeImage,
+  textHeight,
+  type RasterImage,
+} from "./image.js";
 
 const APP_DIR = "chrome-live-screenshot-mcp";
 const CAPTURES_DIR = "captures";
 
 const HOURS_TO_MS = 60 * 60 * 1000;
+const CONTACT_SHEET_GAP = 16;
+const CONTACT_SHEET_BACKGROUND: [number, number, number, number] = [229, 231, 235, 255];
+const CONTACT_SHEET_LABEL_COLOR: [number, number, number, number] = [17, 24, 39, 255];
+const CONTACT_SHEET_LABEL_SCALE = 4;
+// ~128 MB of RGBA; larger sheets are downscaled as a whole.
+const CONTACT_SHEET_MAX_PIXELS = 32_000_000;
+const RECORDING_PREFIX = "rec";
+const FIT_JPEG_QUALITY_STEPS = [80, 65, 50, 35];
+const FIT_SCALE_STEP = 0.75;
+const FIT_MIN_SIDE = 64;
+const MAX_TILES = 50;
 
 export type ScreenshotArtifact = {
   artifactPath: string;
@@ -15,6 +42,102 @@ export type ScreenshotArtifact = {
   byteSize: number;
   width: number | null;
   height: number | null;
+  legendPath?: string;
+};
+
+export type ImageDiffArtifact = {
+  diffPath: string;
+  width: number;
+  height: number;
+  beforeSize: { width: number; height: number };
+  afterSize: { width: number; height: number };
+  sizeMismatch: boolean;
+  mismatchedPixels: number;
+  antialiasedPixels: number;
+  totalPixels: number;
+  mismatchPercentage: number;
+};
+
+export type RecordingFrame = {
+  base64Data: string;
+  mimeType: string;
+  timestampMs: number;
+};
+
+export type RecordingArtifact = {
+  artifactPath: string;
+  format: "gif" | "frames";
+  manifestPath?: string;
+  byteSize: number;
+  width: number;
+  height: number;
+  frameCount: number;
+  durationMs: number;
+};
+
+/** Rectangle in CSS pixels of the captured page/viewport. */
+export type CssRect = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+export type CroppedScreenshot = {
+  base64Data: string;
+  mimeType: string;
+  width: number;
+  height: number;
+};
+
+export type FittedScreenshot = {
+  base64Data: string;
+  mimeType: string;
+  width: number;
+  height: number;
+  originalWidth: number;
+  originalHeight: number;
+  byteSize: number;
+  /** JPEG quality used when the image had to be re-encoded to meet maxBytes. */
+  jpegQuality?: number;
+};
+
+export type ScreenshotTile = {
+  base64Data: string;
+  mimeType: string;
+  index: number;
+  /** Vertical offset of the tile's top edge in the full image, in pixels. */
+  y: number;
+  width: number;
+  height: number;
+};
+
+export type TiledScreenshotArtifact = {
+  indexPath: string;
+  fullWidth: number;
+  fullHeight: number;
+  tiles: Array<{
+    artifactPath: string;
+    index: number;
+    y: number;
+    width: number;
+    height: number;
+    byteSize: number;
+  }>;
+};
+
+export type ContactSheetPlacement = {
+  label: string;
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+export type ContactSheetArtifact = ScreenshotArtifact & {
+  placements: ContactSheetPlacement[];
+  /** Factor every image was shrunk by to keep the sheet under its pixel budget (1 = not). */
+  scale: number;
 };
 
 export type CleanupArtifactsResult = {
@@ -49,6 +172,7 @@ function resolveCacheRoot(): string {
 function getArtifactExtension(mimeType: string): string {
   if (mimeType === "image/png") return "png";
   if (mimeType === "image/jpeg") return "jpg";
+  if (mimeType === "image/webp") return "webp";
   return "bin";
 }
 
@@ -56,7 +180,7 @@ function nowFileStamp(): string {
   return new Date().toISOString().replace(/[:.]/g, "-");
 }
 
-function getImageDimensions(
+export function getImageDimensions(
   bytes: Buffer,
   mimeType: string
 ): { width: number; height: number } | null {
@@ -108,6 +232,38 @@ function getImageDimensions(
     }
   }
 
+  if (mimeType === "image/webp") {
+    if (bytes.length < 25) return null;
+    if (bytes.toString("ascii", 0, 4) !== "RIFF") return null;
+    if (bytes.toString("ascii", 8, 12) !== "WEBP") return null;
+
+    const chunk = bytes.toString("ascii", 12, 16);
+    if (chunk === "VP8X" && bytes.length >= 30) {
+      // Extended format: 24-bit canvas width/height minus one.
+      return {
+        width: bytes.readUIntLE(24, 3) + 1,
+        height: bytes.readUIntLE(27, 3) + 1,
+      };
+    }
+    if (chunk === "VP8 " && bytes.length >= 30) {
+      // Lossy keyframe: 3-byte frame tag, start code 9d 01 2a, then 14-bit sizes.
+      if (bytes[23] !== 0x9d || bytes[24] !== 0x01 || bytes[25] !== 0x2a) return null;
+      return {
+        width: bytes.readUInt16LE(26) & 0x3fff,
+        height: bytes.readUInt16LE(28) & 0x3fff,
+      };
+    }
+    if (chunk === "VP8L") {
+      // Lossless: signature byte 0x2f, then 14-bit width-1 and height-1.
+      if (bytes[20] !== 0x2f) return null;
+      const bits = bytes.readUInt32LE(21);
+      return {
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >> 14) & 0x3fff) + 1,
+      };
+    }
+  }
+
   return null;
 }
 
@@ -123,23 +279,39 @@ export function getDefaultArtifactDir(): string {
   return normalizeArtifactDir();
 }
 
+function artifactBaseName(prefix: string): string {
+  return `${prefix}-${nowFileStamp()}-${crypto.randomBytes(4).toString("hex")}`;
+}
+
+function artifactFileName(prefix: string, ext: string): string {
+  return `${artifactBaseName(prefix)}.${ext}`;
+}
+
+/**
+ * Writes a screenshot into the artifact dir. When `legend` is given it is stored
+ * as JSON next to the image (`<name>.legend.json`) and its path is returned too.
+ */
 export async function writeScreenshotArtifact(args: {
   base64Data: string;
   mimeType: string;
   artifactDir?: string;
+  legend?: unknown;
 }): Promise<ScreenshotArtifact> {
   const artifactDir = normalizeArtifactDir(args.artifactDir);
   await fs.mkdir(artifactDir, { recursive: true });
 
   const ext = getArtifactExtension(args.mimeType);
-  const name = `shot-${nowFileStamp()}-${crypto
-    .randomBytes(4)
-    .toString("hex")}.${ext}`;
-  const artifactPath = path.join(artifactDir, name);
+  const artifactPath = path.join(artifactDir, artifactFileName("shot", ext));
 
   const bytes = Buffer.from(args.base64Data, "base64");
   await fs.writeFile(artifactPath, bytes);
 
+  let legendPath: string | undefined;
+  if (args.legend !== undefined) {
+    legendPath = artifactPath.slice(0, -path.extname(artifactPath).length) + ".legend.json";
+    await fs.writeFile(legendPath, JSON.stringify(args.legend, null, 2));
+  }
+
   const dimensions = getImageDimensions(bytes, args.mimeType);
   return {
     artifactPath,
@@ -147,9 +319,472 @@ export async function writeScreenshotArtifact(args: {
     byteSize: bytes.byteLength,
     width: dimensions?.width ?? null,
     height: dimensions?.height ?? null,
+    ...(legendPath ? { legendPath } : {}),
+  };
+}
+
+/**
+ * Crops base64 screenshot data to a CSS-pixel rectangle, scaling by the
+ * device pixel ratio the image was captured at. The result keeps the input format.
+ * @throws {Error} If the rect lies outside the image or the format cannot be decoded.
+ */
+export function cropScreenshotData(args: {
+  base64Data: string;
+  mimeType: string;
+  rect: CssRect;
+  devicePixelRatio: number;
+  jpegQuality?: number;
+}): CroppedScreenshot {
+  const dpr = args.devicePixelRatio > 0 ? args.devicePixelRatio : 1;
+  const source = decodeImage(Buffer.from(args.base64Data, "base64"), args.mimeType);
+  const cropped = cropImage(source, {
+    x: args.rect.x * dpr,
+    y: args.rect.y * dpr,
+    width: args.rect.width * dpr,
+    height: args.rect.height * dpr,
+  });
+  const bytes = encodeImage(cropped, args.mimeType, args.jpegQuality);
+
+  return {
+    base64Data: bytes.toString("base64"),
+    mimeType: args.mimeType,
+    width: cropped.width,
+    height: cropped.height,
+  };
+}
+
+function fitWithin(img: RasterImage, maxWidth?: number, maxHeight?: number): RasterImage {
+  const scale = Math.min(
+    1,
+    maxWidth ? maxWidth / img.width : 1,
+    maxHeight ? maxHeight / img.height : 1
+  );
+  if (scale >= 1) return img;
+  return resizeImage(
+    img,
+    Math.max(1, Math.round(img.width * scale)),
+    Math.max(1, Math.round(img.height * scale))
+  );
+}
+
+/**
+ * Shrinks screenshot data to fit maxWidth/maxHeight (keeping the aspect ratio) and,
+ * when maxBytes is set, re-encodes as JPEG with decreasing quality and then size until
+ * the encoded image fits. Returns the input untouched when it already fits.
+ * @throws {Error} If the format cannot be decoded (e.g. WebP).
+ */
+export function fitScreenshotData(args: {
+  base64Data: string;
+  mimeType: string;
+  maxWidth?: number;
+  maxHeight?: number;
+  maxBytes?: number;
+  jpegQuality: number;
+}): FittedScreenshot {
+  const bytes = Buffer.from(args.base64Data, "base64");
+  const original = decodeImage(bytes, args.mimeType);
+  let img = fitWithin(original, args.maxWidth, args.maxHeight);
+
+  let mimeType = args.mimeType;
+  let encoded = img === original ? bytes : encodeImage(img, mimeType, args.jpegQuality);
+  let jpegQuality: number | undefined;
+
+  if (args.maxBytes && encoded.byteLength > args.maxBytes) {
+    mimeType = "image/jpeg";
+    let qualities = [args.jpegQuality, ...FIT_JPEG_QUALITY_STEPS.filter((q) => q < args.jpegQuality)];
+    for (;;) {
+      for (const quality of qualities) {
+        jpegQuality = quality;
+        encoded = encodeImage(img, mimeType, quality);
+        if (encoded.byteLength <= args.maxBytes) break;
+      }
+      const canShrink = Math.min(img.width, img.height) * FIT_SCALE_STEP >= FIT_MIN_SIDE;
+      if (encoded.byteLength <= args.maxBytes || !canShrink) break;
+      // Quality alone was not enough; keep the lowest one while shrinking.
+      qualities = [qualities[qualities.length - 1]];
+      img = resizeImage(
+        img,
+        Math.round(img.width * FIT_SCALE_STEP),
+        Math.round(img.height * FIT_SCALE_STEP)
+      );
+    }
+  }
+
+  return {
+    base64Data: encoded === bytes ? args.base64Data : encoded.toString("base64"),
+    mimeType,
+    width: img.width,
+    height: img.height,
+    originalWidth: original.width,
+    originalHeight: original.height,
+    byteSize: encoded.byteLength,
+    ...(jpegQuality !== undefined ? { jpegQuality } : {}),
+  };
+}
+
+/**
+ * Splits a tall screenshot into full-width tiles of `tileHeight` pixels that overlap
+ * by `overlap` pixels. The last tile is aligned to the bottom edge, so every tile has
+ * the same height unless the whole image is shorter than one tile.
+ * @throws {Error} If more than 50 tiles would be needed.
+ */
+export function tileScreenshotData(args: {
+  base64Data: string;
+  mimeType: string;
+  tileHeight: number;
+  overlap: number;
+  jpegQuality: number;
+}): { tiles: ScreenshotTile[]; fullWidth: number; fullHeight: number } {
+  const img = decodeImage(Buffer.from(args.base64Data, "base64"), args.mimeType);
+  const step = Math.max(1, args.tileHeight - args.overlap);
+
+  const offsets: number[] = [];
+  let y = 0;
+  while (y + args.tileHeight < img.height) {
+    offsets.push(y);
+    y += step;
+  }
+  const last = Math.max(0, img.height - args.tileHeight);
+  if (offsets[offsets.length - 1] !== last) offsets.push(last);
+
+  if (offsets.length > MAX_TILES) {
+    throw new Error(
+      `Capture would need ${offsets.length} tiles (max ${MAX_TILES}); raise tileHeight or set maxWidth.`
+    );
+  }
+
+  const tiles = offsets.map((offset, index) => {
+    const tile = cropImage(img, { x: 0, y: offset, width: img.width, height: args.tileHeight });
+    return {
+      base64Data: encodeImage(tile, args.mimeType, args.jpegQuality).toString("base64"),
+      mimeType: args.mimeType,
+      index,
+      y: offset,
+      width: tile.width,
+      height: tile.height,
+    };
+  });
+  return { tiles, fullWidth: img.width, fullHeight: img.height };
+}
+
+/**
+ * Writes tiles as `shot-…-tile-N` files plus a `shot-…-tiles.json` index describing
+ * each tile's offset. Extra fields in `index` (e.g. marks) are stored alongside.
+ */
+export async function writeTiledScreenshotArtifact(args: {
+  tiles: ScreenshotTile[];
+  fullWidth: number;
+  fullHeight: number;
+  artifactDir?: string;
+  index?: Record<string, unknown>;
+}): Promise<TiledScreenshotArtifact> {
+  const artifactDir = normalizeArtifactDir(args.artifactDir);
+  await fs.mkdir(artifactDir, { recursive: true });
+  const base = artifactBaseName("shot");
+
+  const written: TiledScreenshotArtifact["tiles"] = [];
+  for (const tile of args.tiles) {
+    const artifactPath = path.join(
+      artifactDir,
+      `${base}-tile-${tile.index + 1}.${getArtifactExtension(tile.mimeType)}`
+    );
+    const bytes = Buffer.from(tile.base64Data, "base64");
+    await fs.writeFile(artifactPath, bytes);
+    written.push({
+      artifactPath,
+      index: tile.index,
+      y: tile.y,
+      width: tile.width,
+      height: tile.height,
+      byteSize: bytes.byteLength,
+    });
+  }
+
+  const indexPath = path.join(artifactDir, `${base}-tiles.json`);
+  await fs.writeFile(
+    indexPath,
+    JSON.stringify(
+      { fullWidth: args.fullWidth, fullHeight: args.fullHeight, tiles: written, ...args.index },
+      null,
+      2
+    )
+  );
+  return { indexPath, fullWidth: args.fullWidth, fullHeight: args.fullHeight, tiles: written };
+}
+
+/**
+ * Lays screenshots out left to right, top-aligned, each under its label, on a single
+ * PNG contact sheet. When the images together exceed `maxPixels` they are all shrunk
+ * by the same factor. Returns where each input landed so callers can map regions back
+ * to their source.
+ * @throws {Error} If no images are given or one of them cannot be decoded.
+ */
+export async function writeContactSheetArtifact(args: {
+  images: Array<{ base64Data: string; mimeType: string; label: string }>;
+  artifactDir?: string;
+  maxPixels?: number;
+}): Promise<ContactSheetArtifact> {
+  if (args.images.length === 0) {
+    throw new Error("Contact sheet needs at least one image.");
+  }
+
+  // Sizes come from the headers so the scale is known before anything is decoded.
+  const sources = args.images.map((img) => {
+    const bytes = Buffer.from(img.base64Data, "base64");
+    const size = getImageDimensions(bytes, img.mimeType);
+    if (!size) throw new Error(`Cannot read the size of a ${img.mimeType} image.`);
+    return { label: img.label, mimeType: img.mimeType, bytes, ...size };
+  });
+  const maxPixels = args.maxPixels ?? CONTACT_SHEET_MAX_PIXELS;
+  const area =
+    sources.reduce((sum, src) => sum + src.width, 0) * Math.max(...sources.map((src) => src.height));
+  const scale = area > maxPixels ? Math.sqrt(maxPixels / area) : 1;
+
+  // Each image is shrunk right after decoding so at most one full-size raster is alive.
+  const tiles = sources.map((src) => {
+    const raster = decodeImage(src.bytes, src.mimeType);
+    if (scale === 1) return { label: src.label, raster };
+    const w = Math.max(1, Math.floor(raster.width * scale));
+    const h = Math.max(1, Math.floor(raster.height * scale));
+    return { label: src.label, raster: resizeImage(raster, w, h) };
+  });
+
+  const labelHeight = textHeight(CONTACT_SHEET_LABEL_SCALE);
+  const top = CONTACT_SHEET_GAP * 2 + labelHeight;
+  const width =
+    tiles.reduce((sum, t) => sum + t.raster.width, 0) + CONTACT_SHEET_GAP * (tiles.length + 1);
+  const height = Math.max(...tiles.map((t) => t.raster.height)) + top + CONTACT_SHEET_GAP;
+
+  const sheet = createImage(width, height);
+  fillImage(sheet, CONTACT_SHEET_BACKGROUND);
+
+  const placements: ContactSheetPlacement[] = [];
+  let x = CONTACT_SHEET_GAP;
+  for (const t of tiles) {
+    // Labels shrink on narrow tiles so they never run into the neighbour's.
+    const labelScale = Math.max(
+      1,
+      Math.min(CONTACT_SHEET_LABEL_SCALE, Math.floor(t.raster.width / (t.label.length * 4)))
+    );
+    drawText(sheet, t.label, x, CONTACT_SHEET_GAP, labelScale, CONTACT_SHEET_LABEL_COLOR);
+    blitImage(sheet, t.raster, x, top);
+    placements.push({
+      label: t.label,
+      x,
+      y: top,
+      width: t.raster.width,
+      height: t.raster.height,
+    });
+    x += t.raster.width + CONTACT_SHEET_GAP;
+  }
+
+  const artifactDir = normalizeArtifactDir(args.artifactDir);
+  await fs.mkdir(artifactDir, { recursive: true });
+  const artifactPath = path.join(artifactDir, artifactFileName("sheet", "png"));
+  const bytes = encodePng(sheet);
+  await fs.writeFile(artifactPath, bytes);
+
+  return {
+    artifactPath,
+    mimeType: "image/png",
+    byteSize: bytes.byteLength,
+    width,
+    height,
+    placements,
+    scale,
   };
 }
 
+/**
+ * Writes recorded frames either as a looping GIF (encoded here, in pure JS) or as a
+ * `rec-*` folder of numbered frames plus `manifest.json`. Consecutive identical
+ * frames are merged into one longer frame.
+ * @throws {Error} If there are no frames or a frame cannot be decoded.
+ */
+export async function writeRecordingArtifact(args: {
+  frames: RecordingFrame[];
+  fps: number;
+  format: "gif" | "frames";
+  artifactDir?: string;
+}): Promise<RecordingArtifact> {
+  if (args.frames.length === 0) {
+    throw new Error("Recording captured no frames.");
+  }
+
+  const frameMs = 1000 / args.fps;
+  const unique: Array<RecordingFrame & { delayMs: number }> = [];
+  for (const frame of args.frames) {
+    const last = unique[unique.length - 1];
+    if (last && last.base64Data === frame.base64Data) last.delayMs += frameMs;
+    else unique.push({ ...frame, delayMs: frameMs });
+  }
+  const durationMs = Math.round(frameMs * args.frames.length);
+
+  const artifactDir = normalizeArtifactDir(args.artifactDir);
+  await fs.mkdir(artifactDir, { recursive: true });
+
+  if (args.format === "frames") {
+    const folder = path.join(artifactDir, artifactBaseName(RECORDING_PREFIX));
+    await fs.mkdir(folder);
+    let byteSize = 0;
+    let width = 0;
+    let height = 0;
+    const entries = [];
+    for (const [i, frame] of unique.entries()) {
+      const bytes = Buffer.from(frame.base64Data, "base64");
+      const file = `frame-${String(i + 1).padStart(4, "0")}.${getArtifactExtension(frame.mimeType)}`;
+      await fs.writeFile(path.join(folder, file), bytes);
+      byteSize += bytes.byteLength;
+      const dimensions = getImageDimensions(bytes, frame.mimeType);
+      width ||= dimensions?.width ?? 0;
+      height ||= dimensions?.height ?? 0;
+      entries.push({ file, timestampMs: frame.timestampMs, delayMs: Math.round(frame.delayMs) });
+    }
+    const manifestPath = path.join(folder, "manifest.json");
+    await fs.writeFile(
+      manifestPath,
+      JSON.stringify({ fps: args.fps, width, height, durationMs, frames: entries }, null, 2)
+    );
+    return {
+      artifactPath: folder,
+      format: "frames",
+      manifestPath,
+      byteSize,
+      width,
+      height,
+      frameCount: entries.length,
+      durationMs,
+    };
+  }
+
+  // Frames can change size mid-recording (window resize); pad them to the first one.
+  const rasters = unique.map((f) => decodeImage(Buffer.from(f.base64Data, "base64"), f.mimeType));
+  const { width, height } = rasters[0];
+  const gifFrames = rasters.map((raster, i) => {
+    let image = raster;
+    if (raster.width !== width || raster.height !== height) {
+      image = createImage(width, height);
+      fillImage(image, [0, 0, 0, 255]);
+      blitImage(image, raster, 0, 0);
+    }
+    return { image, delayMs: unique[i].delayMs };
+  });
+
+  const artifactPath = path.join(artifactDir, artifactFileName(RECORDING_PREFIX, "gif"));
+  const bytes = encodeGif(gifFrames);
+  await fs.writeFile(artifactPath, bytes);
+
+  return {
+    artifactPath,
+    format: "gif",
+    byteSize: bytes.byteLength,
+    width,
+    height,
+    frameCount: gifFrames.length,
+    durationMs,
+  };
+}
+
+function sniffImageMimeType(bytes: Buffer): string | null {
+  if (bytes.length >= 8 && bytes[0] === 0x89 && bytes.toString("ascii", 1, 4) === "PNG") {
+    return "image/png";
+  }
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (bytes.length >= 12 && bytes.toString("ascii", 0, 4) === "RIFF" && bytes.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+/**
+ * Reads and decodes a PNG or JPEG file, whatever its extension.
+ * @throws {Error} If the file is missing or not a decodable image.
+ */
+export async function readImageFile(filePath: string) {
+  const bytes = await fs.readFile(filePath);
+  const mimeType = sniffImageMimeType(bytes);
+  if (!mimeType) throw new Error(`Not a PNG, JPEG or WebP image: ${filePath}`);
+  if (mimeType === "image/webp") {
+    throw new Error(`WebP cannot be decoded on the server; capture with format png or jpeg: ${filePath}`);
+  }
+  return decodeImage(bytes, mimeType);
+}
+
+/**
+ * Diffs two image files and writes a PNG highlighting changed pixels next to the
+ * "before" input (or into `outputDir`).
+ * @throws {Error} If either file cannot be read or decoded.
+ */
+export async function writeImageDiffArtifact(args: {
+  beforePath: string;
+  afterPath: string;
+  threshold: number;
+  ignoreAntialiasing: boolean;
+  outputDir?: string;
+}): Promise<ImageDiffArtifact> {
+  const a = await readImageFile(args.beforePath);
+  const b = await readImageFile(args.afterPath);
+  const result = diffImages(a, b, {
+    threshold: args.threshold,
+    ignoreAntialiasing: args.ignoreAntialiasing,
+  });
+
+  // Trimmed like every other writer's dir; blank falls back to the folder of beforePath.
+  const outputDir = args.outputDir?.trim()
+    ? normalizeArtifactDir(args.outputDir)
+    : path.dirname(path.resolve(args.beforePath));
+  await fs.mkdir(outputDir, { recursive: true });
+  const diffPath = path.join(outputDir, artifactFileName("diff", "png"));
+  await fs.writeFile(diffPath, encodePng(result.diff));
+
+  return {
+    diffPath,
+    width: result.diff.width,
+    height: result.diff.height,
+    beforeSize: { width: a.width, height: a.height },
+    afterSize: { width: b.width, height: b.height },
+    sizeMismatch: a.width !== b.width || a.height !== b.height,
+    mismatchedPixels: result.mismatchedPixels,
+    antialiasedPixels: result.antialiasedPixels,
+    totalPixels: result.totalPixels,
+    mismatchPercentage:
+      Math.round((result.mismatchedPixels / result.totalPixels) * 100 * 10_000) / 10_000,
+  };
+}
+
+/**
+ * Writes captured requests as a HAR 1.2 file (`net-….har`) in the artifact dir.
+ */
+export async function writeHarArtifact(args: {
+  entries: NetworkEntry[];
+  pageUrl: string;
+  pageTitle: string;
+  startedAt: number;
+  creatorName: string;
+  creatorVersion: string;
+  artifactDir?: string;
+}): Promise<{ harPath: string; entryCount: number; byteSize: number }> {
+  const artifactDir = normalizeArtifactDir(args.artifactDir);
+  await fs.mkdir(artifactDir, { recursive: true });
+  const harPath = path.join(artifactDir, artifactFileName("net", "har"));
+  const har = buildHar(args.entries, args);
+  const text = JSON.stringify(har, null, 2);
+  await fs.writeFile(harPath, text);
+  return { harPath, entryCount: har.log.entries.length, byteSize: Buffer.byteLength(text) };
+}
+
+async function directorySize(dir: string): Promise<number> {
+  let total = 0;
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) total += await directorySize(entryPath);
+    else if (entry.isFile()) total += (await fs.stat(entryPath)).size;
+  }
+  return total;
+}
+
 export async function cleanupScreenshotArtifacts(args: {
   artifactDir?: string;
   maxAgeHours: number;
@@ -178,15 +813,23 @@ export async function cleanupScreenshotArtifacts(args: {
   }
 
   for (const entry of entries) {
-    if (!entry.isFile()) continue;
+    // Recording frame folders are the only directories we create in the cache.
+    const isRecordingDir = entry.isDirectory() && entry.name.startsWith(`${RECORDING_PREFIX}-`);
+    if (!entry.isFile() && !isRecordingDir) continue;
     const filePath = path.join(artifactDir, entry.name);
 
     try {
       const st = await fs.stat(filePath);
       if (st.mtimeMs <= cutoffMs) {
-        await fs.unlink(filePath);
+        if (isRecordingDir) {
+          const size = await directorySize(filePath);
+          await fs.rm(filePath, { recursive: true });
+          result.deletedBytes += size;
+        } else {
+          await fs.unlink(filePath);
+          result.deletedBytes += st.size;
+        }
         result.deletedCount += 1;
-        result.deletedBytes += st.size;
       } else {
         result.keptCount += 1;
       }
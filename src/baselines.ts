@@ -0,0 +1,225 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import {
+  getDefaultArtifactDir,
+  getImageDimensions,
+  writeImageDiffArtifact,
+  type ImageDiffArtifact,
+} from "./artifacts.js";
+
+// Goldens are meant to be committed, so they live in the project, not the cache.
+const DEFAULT_BASELINE_DIR = "visual-baselines";
+const BASELINE_DIR_ENV = "MCP_CHROME_BASELINE_DIR";
+const CANDIDATES_DIR = "baseline-candidates";
+const BASELINE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+export type BaselineMeta = {
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+  width: number | null;
+  height: number | null;
+  /** chrome_screenshot arguments the golden was captured with; reused by compare. */
+  capture: Record<string, unknown>;
+};
+
+export type BaselineCompareResult = ImageDiffArtifact & {
+  name: string;
+  passed: boolean;
+  maxMismatchPercentage: number;
+  baselinePath: string;
+  candidatePath: string;
+};
+
+function baselineError(message: string, reason: string): Error {
+  return Object.assign(new Error(message), { reason });
+}
+
+/**
+ * Resolves where goldens live: the explicit dir, then $MCP_CHROME_BASELINE_DIR,
+ * then ./visual-baselines relative to the server's working directory.
+ */
+export function resolveBaselineDir(baselineDir?: string): string {
+  const configured = baselineDir?.trim() || process.env[BASELINE_DIR_ENV]?.trim();
+  return path.resolve(configured || DEFAULT_BASELINE_DIR);
+}
+
+/**
+ * Baseline names become file names, so only letters, digits, ".", "_" and "-" are allowed.
+ * @throws {Error} If the name is missing or unsafe.
+ */
+export function validateBaselineName(name: unknown): string {
+  if (typeof name !== "string" || !BASELINE_NAME_PATTERN.test(name) || name.includes("..")) {
+    throw new Error(
+      "Invalid baseline name: use 1-100 letters, digits, '.', '_' or '-' (e.g. home-desktop)."
+    );
+  }
+  return name;
+}
+
+function baselinePaths(name: string, baselineDir: string) {
+  return {
+    imagePath: path.join(baselineDir, `${name}.png`),
+    metaPath: path.join(baselineDir, `${name}.json`),
+  };
+}
+
+// Candidates are keyed by baseline dir so projects sharing the cache do not collide.
+function candidatePath(name: string, baselineDir: string, artifactDir?: string): string {
+  const project = crypto.createHash("sha1").update(baselineDir).digest("hex").slice(0, 8);
+  return path.join(artifactDir ?? getDefaultArtifactDir(), CANDIDATES_DIR, project, `${name}.png`);
+}
+
+async function exists(filePath: string): Promise<boolean> {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a baseline's metadata.
+ * @throws {Error} With reason baseline_not_found.
+ */
+export async function readBaselineMeta(name: string, baselineDir: string): Promise<BaselineMeta> {
+  const { metaPath, imagePath } = baselinePaths(name, baselineDir);
+  if (!(await exists(imagePath))) {
+    throw baselineError(`No baseline named "${name}" in ${baselineDir}.`, "baseline_not_found");
+  }
+  try {
+    return JSON.parse(await fs.readFile(metaPath, "utf8")) as BaselineMeta;
+  } catch {
+    // Goldens copied in by hand may lack metadata; compare then needs explicit args.
+    const now = new Date().toISOString();
+    return { name, createdAt: now, updatedAt: now, width: null, height: null, capture: {} };
+  }
+}
+
+async function writeGolden(args: {
+  name: string;
+  baselineDir: string;
+  bytes: Buffer;
+  capture: Record<string, unknown>;
+  previous?: BaselineMeta;
+}) {
+  const { imagePath, metaPath } = baselinePaths(args.name, args.baselineDir);
+  await fs.mkdir(args.baselineDir, { recursive: true });
+  await fs.writeFile(imagePath, args.bytes);
+
+  const dimensions = getImageDimensions(args.bytes, "image/png");
+  const now = new Date().toISOString();
+  const meta: BaselineMeta = {
+    name: args.name,
+    createdAt: args.previous?.createdAt ?? now,
+    updatedAt: now,
+    width: dimensions?.width ?? null,
+    height: dimensions?.height ?? null,
+    capture: args.capture,
+  };
+  await fs.writeFile(metaPath, JSON.stringify(meta, null, 2) + "\n");
+  return { baselinePath: imagePath, metaPath, meta };
+}
+
+/**
+ * Stores a PNG capture as the golden image for `name`.
+ * @throws {Error} With reason baseline_exists unless `overwrite` is set.
+ */
+export async function saveBaseline(args: {
+  name: string;
+  baselineDir: string;
+  base64Data: string;
+  capture: Record<string, unknown>;
+  overwrite: boolean;
+}) {
+  const { imagePath } = baselinePaths(args.name, args.baselineDir);
+  const previous = (await exists(imagePath))
+    ? await readBaselineMeta(args.name, args.baselineDir)
+    : undefined;
+  if (previous && !args.overwrite) {
+    throw baselineError(
+      `Baseline "${args.name}" already exists; compare and approve it, or pass overwrite: true.`,
+      "baseline_exists"
+    );
+  }
+  return await writeGolden({
+    name: args.name,
+    baselineDir: args.baselineDir,
+    bytes: Buffer.from(args.base64Data, "base64"),
+    capture: args.capture,
+    previous,
+  });
+}
+
+/**
+ * Keeps a fresh PNG capture as the pending candidate for `name` and diffs it
+ * against the golden. The diff image goes to the (purgeable) artifact dir.
+ * @throws {Error} With reason baseline_not_found.
+ */
+export async function compareBaseline(args: {
+  name: string;
+  baselineDir: string;
+  base64Data: string;
+  threshold: number;
+  ignoreAntialiasing: boolean;
+  maxMismatchPercentage: number;
+  artifactDir?: string;
+}): Promise<BaselineCompareResult> {
+  await readBaselineMeta(args.name, args.baselineDir);
+  const { imagePath } = baselinePaths(args.name, args.baselineDir);
+
+  const candidate = candidatePath(args.name, args.baselineDir, args.artifactDir);
+  await fs.mkdir(path.dirname(candidate), { recursive: true });
+  await fs.writeFile(candidate, Buffer.from(args.base64Data, "base64"));
+
+  const diff = await writeImageDiffArtifact({
+    beforePath: imagePath,
+    afterPath: candidate,
+    threshold: args.threshold,
+    ignoreAntialiasing: args.ignoreAntialiasing,
+    outputDir: args.artifactDir ?? getDefaultArtifactDir(),
+  });
+
+  return {
+    name: args.name,
+    passed: !diff.sizeMismatch && diff.mismatchPercentage <= args.maxMismatchPercentage,
+    maxMismatchPercentage: args.maxMismatchPercentage,
+    baselinePath: imagePath,
+    candidatePath: candidate,
+    ...diff,
+  };
+}
+
+/**
+ * Promotes the latest compared capture of `name` to be its golden image.
+ * @throws {Error} With reason baseline_not_found or no_pending_capture.
+ */
+export async function approveBaseline(args: {
+  name: string;
+  baselineDir: string;
+  artifactDir?: string;
+}) {
+  const previous = await readBaselineMeta(args.name, args.baselineDir);
+  const candidate = candidatePath(args.name, args.baselineDir, args.artifactDir);
+  let bytes: Buffer;
+  try {
+    bytes = await fs.readFile(candidate);
+  } catch {
+    throw baselineError(
+      `No pending capture for "${args.name}"; run chrome_baseline_compare first.`,
+      "no_pending_capture"
+    );
+  }
+
+  const written = await writeGolden({
+    name: args.name,
+    baselineDir: args.baselineDir,
+    bytes,
+    capture: previous.capture,
+    previous,
+  });
+  await fs.unlink(candidate);
+  return { ...written, approvedFrom: candidate };
+}
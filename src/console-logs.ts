@@ -0,0 +1,95 @@
+export type ConsoleLevel = "error" | "warn" | "info" | "log" | "debug";
+
+export const CONSOLE_LEVELS: ConsoleLevel[] = ["error", "warn", "info", "log", "debug"];
+
+// Screenshots only carry the problems, newest first within this budget.
+const CAPTURE_CONSOLE_LEVELS: ConsoleLevel[] = ["error", "warn"];
+const MAX_CAPTURE_CONSOLE_ENTRIES = 50;
+
+/**
+ * One buffered message. `source` is "console" (console.* calls), "exception"
+ * (uncaught errors and rejections) or a browser log source such as "network".
+ */
+export type ConsoleEntry = {
+  seq: number;
+  timestamp: number;
+  level: ConsoleLevel;
+  source: string;
+  text: string;
+  url?: string;
+  lineNumber?: number;
+  columnNumber?: number;
+  stack?: string;
+};
+
+/** Buffer state the extension reports; `cursor` is the seq of the newest entry. */
+export type ConsoleBuffer = {
+  cursor: number;
+  dropped: number;
+  entries: ConsoleEntry[];
+};
+
+export type ConsoleSelection = {
+  entries: ConsoleEntry[];
+  /** Entries that matched the level filter before the maxEntries cap. */
+  matched: number;
+  truncated: boolean;
+};
+
+/**
+ * Filters entries by level and caps them. By default the oldest matches are kept
+ * so a `since` cursor can page forward; with `tail` the newest are kept instead.
+ */
+export function selectConsoleEntries(
+  entries: ConsoleEntry[],
+  opts: { levels: ConsoleLevel[]; maxEntries: number; tail?: boolean }
+): ConsoleSelection {
+  const levels = new Set(opts.levels);
+  const matching = entries.filter((e) => levels.has(e.level));
+  const selected = opts.tail
+    ? matching.slice(Math.max(0, matching.length - opts.maxEntries))
+    : matching.slice(0, opts.maxEntries);
+  return { entries: selected, matched: matching.length, truncated: selected.length < matching.length };
+}
+
+export type ConsolePage = ConsoleSelection & {
+  /** Cursor for the next read: the last returned entry when capped, else the buffer cursor. */
+  nextSince: number;
+  /** Seqs a `clear` may remove: only what this page returns to the caller. */
+  clearSeqs: number[];
+};
+
+/**
+ * One read of the buffer as chrome_console_logs returns it. Entries filtered out by
+ * level or cut by `maxEntries` are never cleared, so paging with `nextSince` loses nothing.
+ */
+export function pageConsoleEntries(
+  buffer: Pick<ConsoleBuffer, "cursor" | "entries">,
+  opts: { levels: ConsoleLevel[]; maxEntries: number }
+): ConsolePage {
+  const selection = selectConsoleEntries(buffer.entries, opts);
+  return {
+    ...selection,
+    nextSince: selection.truncated
+      ? selection.entries[selection.entries.length - 1].seq
+      : buffer.cursor,
+    clearSeqs: selection.entries.map((e) => e.seq),
+  };
+}
+
+/** Errors and warnings buffered at capture time, as attached to screenshot results. */
+export function captureConsoleReport(buffer: ConsoleBuffer) {
+  const selection = selectConsoleEntries(buffer.entries, {
+    levels: CAPTURE_CONSOLE_LEVELS,
+    maxEntries: MAX_CAPTURE_CONSOLE_ENTRIES,
+    tail: true,
+  });
+  return {
+    cursor: buffer.cursor,
+    errors: buffer.entries.filter((e) => e.level === "error").length,
+    warnings: buffer.entries.filter((e) => e.level === "warn").length,
+    dropped: buffer.dropped,
+    truncated: selection.truncated,
+    entries: selection.entries,
+  };
+}
@@ -0,0 +1,136 @@
+export type DomBox = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+/** One serialized element; `depth` counts kept ancestors, `box` is in document CSS pixels. */
+export type DomNode = {
+  depth: number;
+  tag: string;
+  id?: string;
+  testId?: string;
+  role?: string;
+  text?: string;
+  attrs?: Record<string, string>;
+  box?: DomBox;
+};
+
+/** Payload the extension returns for the domSnapshot command. */
+export type DomSnapshot = {
+  tabId: number;
+  windowId: number;
+  url: string;
+  title: string;
+  viewport: { width: number; height: number };
+  scroll: { x: number; y: number };
+  nodes: DomNode[];
+  visited: number;
+  truncated: boolean;
+  waits?: Array<{ type: string; elapsedMs: number }>;
+};
+
+export type FormattedDomSnapshot = {
+  format: "outline" | "json";
+  /** Outline text, or the node tree serialized as JSON. */
+  content: string;
+  nodeCount: number;
+  truncated: boolean;
+};
+
+function quote(v: string): string {
+  return JSON.stringify(v);
+}
+
+/**
+ * One outline line, e.g. `button#save [testid=save-btn] type="submit" "Save" @120,340 80x32`.
+ * The role is omitted when it just repeats the tag name.
+ */
+export function formatDomNodeLine(node: DomNode): string {
+  let line = "  ".repeat(node.depth) + node.tag;
+  if (node.id) line += `#${node.id}`;
+  if (node.role && node.role !== node.tag) line += ` [${node.role}]`;
+  if (node.testId) line += ` [testid=${node.testId}]`;
+  for (const [name, value] of Object.entries(node.attrs ?? {})) {
+    line += value === "" ? ` ${name}` : ` ${name}=${quote(value)}`;
+  }
+  if (node.text) line += ` ${quote(node.text)}`;
+  if (node.box) {
+    line += ` @${node.box.x},${node.box.y} ${node.box.width}x${node.box.height}`;
+  }
+  return line;
+}
+
+/** Anything listed in document order with its depth below the listing's root. */
+export type DepthItem = { depth: number };
+
+export type FormattedDepthList = {
+  /** Outline text, or the items nested by depth and serialized as JSON. */
+  content: string;
+  count: number;
+  truncated: boolean;
+};
+
+/**
+ * Renders depth-annotated items as outline lines or a nested JSON tree (`depth`
+ * dropped, descendants under `children`), stopping at the last whole item that
+ * fits in `maxChars`. For JSON the limit is an estimate.
+ */
+export function formatDepthList<T extends DepthItem>(
+  items: T[],
+  opts: { format: "outline" | "json"; maxChars: number; line: (item: T) => string }
+): FormattedDepthList {
+  let used = 0;
+  let count = 0;
+
+  if (opts.format === "outline") {
+    const lines: string[] = [];
+    for (const item of items) {
+      const line = opts.line(item);
+      if (used + line.length + 1 > opts.maxChars) break;
+      lines.push(line);
+      used += line.length + 1;
+      count++;
+    }
+    return { content: lines.join("\n"), count, truncated: count < items.length };
+  }
+
+  // Items arrive in document order, so a stack of open ancestors rebuilds the tree.
+  type TreeNode = Record<string, unknown> & { children?: TreeNode[] };
+  const roots: TreeNode[] = [];
+  const stack: Array<{ depth: number; node: TreeNode }> = [];
+  for (const item of items) {
+    const { depth, ...rest } = item;
+    const node: TreeNode = rest;
+    // Rough per-item cost: its own JSON plus the "children":[] wrapper it may get.
+    const cost = JSON.stringify(node).length + 16;
+    if (used + cost > opts.maxChars) break;
+    used += cost;
+    count++;
+
+    while (stack.length > 0 && stack[stack.length - 1].depth >= depth) stack.pop();
+    const parent = stack[stack.length - 1]?.node;
+    if (parent) (parent.children ??= []).push(node);
+    else roots.push(node);
+    stack.push({ depth, node });
+  }
+  return { content: JSON.stringify(roots), count, truncated: count < items.length };
+}
+
+/**
+ * Renders the snapshot's nodes as an indented outline or a nested JSON tree,
+ * stopping at the last whole node that fits in `maxChars`.
+ */
+export function formatDomSnapshot(
+  snapshot: Pick<DomSnapshot, "nodes" | "truncated">,
+  opts: { format: "outline" | "json"; maxChars: number }
+): FormattedDomSnapshot {
+  const out = formatDepthList(snapshot.nodes, { ...opts, line: formatDomNodeLine });
+  return {
+    format: opts.format,
+    content: out.content,
+    nodeCount: out.count,
+    truncated: snapshot.truncated || out.truncated,
+  };
+}
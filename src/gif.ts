@@ -0,0 +1,244 @@
+import type { RasterImage } from "./image.js";
+
+const MAX_COLORS = 256;
+const LZW_MIN_CODE_SIZE = 8;
+const MAX_LZW_CODE = 4096;
+const MIN_FRAME_DELAY_CS = 2;
+
+export type GifFrame = {
+  image: RasterImage;
+  delayMs: number;
+};
+
+type ColorBox = {
+  keys: number[];
+  count: number;
+};
+
+function keyOf(r: number, g: number, b: number): number {
+  return ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+}
+
+/**
+ * Builds one palette (up to 256 RGB entries) for all frames by median-cutting a
+ * 15-bit color histogram. Bins hold channel sums so entries use the true mean color.
+ */
+function buildPalette(images: RasterImage[]): Uint8Array {
+  const counts = new Float64Array(1 << 15);
+  const sums = new Float64Array((1 << 15) * 3);
+  for (const img of images) {
+    for (let o = 0; o < img.data.length; o += 4) {
+      const key = keyOf(img.data[o], img.data[o + 1], img.data[o + 2]);
+      counts[key] += 1;
+      sums[key * 3] += img.data[o];
+      sums[key * 3 + 1] += img.data[o + 1];
+      sums[key * 3 + 2] += img.data[o + 2];
+    }
+  }
+
+  const used: number[] = [];
+  let total = 0;
+  for (let key = 0; key < counts.length; key++) {
+    if (counts[key] > 0) {
+      used.push(key);
+      total += counts[key];
+    }
+  }
+  if (used.length === 0) used.push(0);
+
+  const channel = (key: number, c: number) => (key >> (10 - c * 5)) & 31;
+  const boxes: ColorBox[] = [{ keys: used, count: total }];
+
+  while (boxes.length < MAX_COLORS) {
+    // Split the splittable box with the widest channel range, weighted by population.
+    let best = -1;
+    let bestScore = 0;
+    let bestChannel = 0;
+    boxes.forEach((box, i) => {
+      if (box.keys.length < 2) return;
+      for (let c = 0; c < 3; c++) {
+        let lo = 31;
+        let hi = 0;
+        for (const key of box.keys) {
+          const v = channel(key, c);
+          if (v < lo) lo = v;
+          if (v > hi) hi = v;
+        }
+        const score = (hi - lo) * Math.sqrt(box.count);
+        if (score > bestScore) {
+          bestScore = score;
+          best = i;
+          bestChannel = c;
+        }
+      }
+    });
+    if (best < 0) break;
+
+    const box = boxes[best];
+    box.keys.sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+    let acc = 0;
+    let split = 1;
+    for (let i = 0; i < box.keys.length - 1; i++) {
+      acc += counts[box.keys[i]];
+      split = i + 1;
+      if (acc >= box.count / 2) break;
+    }
+    const left = box.keys.slice(0, split);
+    const right = box.keys.slice(split);
+    const countOf = (keys: number[]) => keys.reduce((n, key) => n + counts[key], 0);
+    boxes.splice(best, 1, { keys: left, count: countOf(left) }, { keys: right, count: countOf(right) });
+  }
+
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  boxes.forEach((box, i) => {
+    let n = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const key of box.keys) {
+      n += counts[key];
+      r += sums[key * 3];
+      g += sums[key * 3 + 1];
+      b += sums[key * 3 + 2];
+    }
+    palette[i * 3] = n > 0 ? Math.round(r / n) : 0;
+    palette[i * 3 + 1] = n > 0 ? Math.round(g / n) : 0;
+    palette[i * 3 + 2] = n > 0 ? Math.round(b / n) : 0;
+  });
+  return palette;
+}
+
+/** Maps RGBA pixels to palette indices, caching the nearest entry per 15-bit color. */
+function indexPixels(img: RasterImage, palette: Uint8Array, cache: Int16Array): Uint8Array {
+  const out = new Uint8Array(img.width * img.height);
+  for (let i = 0, o = 0; i < out.length; i++, o += 4) {
+    const r = img.data[o];
+    const g = img.data[o + 1];
+    const b = img.data[o + 2];
+    const key = keyOf(r, g, b);
+    let idx = cache[key];
+    if (idx < 0) {
+      let bestDist = Infinity;
+      idx = 0;
+      for (let p = 0; p < MAX_COLORS; p++) {
+        const dr = palette[p * 3] - r;
+        const dg = palette[p * 3 + 1] - g;
+        const db = palette[p * 3 + 2] - b;
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < bestDist) {
+          bestDist = dist;
+          idx = p;
+        }
+      }
+      cache[key] = idx;
+    }
+    out[i] = idx;
+  }
+  return out;
+}
+
+/** GIF-flavoured LZW over 8-bit indices, packed into 255-byte sub-blocks. */
+function lzwEncode(indices: Uint8Array): Buffer {
+  const clearCode = 1 << LZW_MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  // Dictionary keyed by prefix * 256 + next index; `generation` invalidates it on clear.
+  const codes = new Int32Array(MAX_LZW_CODE * 256);
+  const stamps = new Int32Array(MAX_LZW_CODE * 256);
+  let generation = 1;
+
+  const bytes: number[] = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = LZW_MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+
+  const emit = (code: number) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0] ?? 0;
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    if (stamps[key] === generation) {
+      prefix = codes[key];
+      continue;
+    }
+    emit(prefix);
+    if (nextCode < MAX_LZW_CODE) {
+      codes[key] = nextCode;
+      stamps[key] = generation;
+      nextCode++;
+      if (nextCode > 1 << codeSize && codeSize < 12) codeSize++;
+    } else {
+      emit(clearCode);
+      generation++;
+      nextCode = endCode + 1;
+      codeSize = LZW_MIN_CODE_SIZE + 1;
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  const data = Buffer.from(bytes);
+  const blocks: Buffer[] = [Buffer.from([LZW_MIN_CODE_SIZE])];
+  for (let o = 0; o < data.length; o += 255) {
+    const chunk = data.subarray(o, o + 255);
+    blocks.push(Buffer.from([chunk.length]), chunk);
+  }
+  blocks.push(Buffer.from([0]));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Encodes frames as a looping GIF89a with one shared 256-color palette.
+ * Frames must all have the size of the first one.
+ * @throws {Error} If there are no frames or their sizes differ.
+ */
+export function encodeGif(frames: GifFrame[]): Buffer {
+  if (frames.length === 0) throw new Error("Cannot encode a GIF without frames.");
+  const { width, height } = frames[0].image;
+  if (width > 0xffff || height > 0xffff) throw new Error("GIF dimensions are limited to 65535.");
+  for (const frame of frames) {
+    if (frame.image.width !== width || frame.image.height !== height) {
+      throw new Error("All GIF frames must have the same size.");
+    }
+  }
+
+  const palette = buildPalette(frames.map((f) => f.image));
+  const cache = new Int16Array(1 << 15).fill(-1);
+
+  const header = Buffer.alloc(13);
+  header.write("GIF89a", 0, "ascii");
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  header[10] = 0xf7; // global color table, 8 bits per channel, 256 entries
+  const parts: Buffer[] = [
+    header,
+    Buffer.from(palette),
+    // NETSCAPE2.0 application extension: loop forever.
+    Buffer.from([0x21, 0xff, 0x0b, ...Buffer.from("NETSCAPE2.0", "ascii"), 0x03, 0x01, 0x00, 0x00, 0x00]),
+  ];
+
+  for (const frame of frames) {
+    const delay = Math.max(MIN_FRAME_DELAY_CS, Math.round(frame.delayMs / 10));
+    const gce = Buffer.from([0x21, 0xf9, 0x04, 0x04, delay & 0xff, delay >> 8, 0x00, 0x00]);
+    const descriptor = Buffer.alloc(10);
+    descriptor[0] = 0x2c;
+    descriptor.writeUInt16LE(width, 5);
+    descriptor.writeUInt16LE(height, 7);
+    parts.push(gce, descriptor, lzwEncode(indexPixels(frame.image, palette, cache)));
+  }
+
+  parts.push(Buffer.from([0x3b]));
+  return Buffer.concat(parts);
+}
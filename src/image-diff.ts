@@ -0,0 +1,208 @@
+import { createImage, type RasterImage } from "./image.js";
+
+// Largest possible YIQ delta between two colors (black vs white).
+const MAX_YIQ_DELTA = 35215;
+const FADE_ALPHA = 0.1;
+const DIFF_COLOR = [255, 0, 0];
+const ANTIALIAS_COLOR = [255, 200, 0];
+
+export type ImageDiffOptions = {
+  /** Per-pixel color tolerance, 0 (exact) to 1 (anything goes). */
+  threshold: number;
+  /** Treat pixels that look like anti-aliased edges as matching. */
+  ignoreAntialiasing: boolean;
+};
+
+export type ImageDiffResult = {
+  /** Faded grayscale of the first image with mismatches in red, anti-aliasing in yellow. */
+  diff: RasterImage;
+  mismatchedPixels: number;
+  antialiasedPixels: number;
+  totalPixels: number;
+};
+
+function blendWhite(c: number, a: number): number {
+  return 255 + (c - 255) * a;
+}
+
+// Scratch pixels reused by the per-pixel helpers so the diff loop does not allocate.
+const PIXEL_A = new Uint8Array(4);
+const PIXEL_B = new Uint8Array(4);
+
+/** Copies the RGBA pixel at (x, y) into `out`; transparent black outside the image. */
+function readPixel(img: RasterImage, x: number, y: number, out: Uint8Array): Uint8Array {
+  if (x >= img.width || y >= img.height) {
+    out.fill(0);
+    return out;
+  }
+  const o = (y * img.width + x) * 4;
+  out[0] = img.data[o];
+  out[1] = img.data[o + 1];
+  out[2] = img.data[o + 2];
+  out[3] = img.data[o + 3];
+  return out;
+}
+
+function luma(r: number, g: number, b: number): number {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223;
+}
+
+/**
+ * Perceptual (YIQ) squared distance between two pixels, alpha-blended on white.
+ * With `yOnly` returns the signed brightness difference instead.
+ */
+function colorDelta(
+  a: RasterImage,
+  b: RasterImage,
+  ax: number,
+  ay: number,
+  bx: number,
+  by: number,
+  yOnly = false
+): number {
+  const p1 = readPixel(a, ax, ay, PIXEL_A);
+  const p2 = readPixel(b, bx, by, PIXEL_B);
+  if (p1[0] === p2[0] && p1[1] === p2[1] && p1[2] === p2[2] && p1[3] === p2[3]) return 0;
+
+  const a1 = p1[3] / 255;
+  const a2 = p2[3] / 255;
+  const br1 = blendWhite(p1[0], a1);
+  const bg1 = blendWhite(p1[1], a1);
+  const bb1 = blendWhite(p1[2], a1);
+  const br2 = blendWhite(p2[0], a2);
+  const bg2 = blendWhite(p2[1], a2);
+  const bb2 = blendWhite(p2[2], a2);
+
+  const y = luma(br1, bg1, bb1) - luma(br2, bg2, bb2);
+  if (yOnly) return y;
+  const i =
+    br1 * 0.59597799 - bg1 * 0.2741761 - bb1 * 0.32180189 -
+    (br2 * 0.59597799 - bg2 * 0.2741761 - bb2 * 0.32180189);
+  const q =
+    br1 * 0.21147017 - bg1 * 0.52261711 + bb1 * 0.31114694 -
+    (br2 * 0.21147017 - bg2 * 0.52261711 + bb2 * 0.31114694);
+  return 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q;
+}
+
+function samePixel(img: RasterImage, x1: number, y1: number, x2: number, y2: number): boolean {
+  const o1 = (y1 * img.width + x1) * 4;
+  const o2 = (y2 * img.width + x2) * 4;
+  return (
+    img.data[o1] === img.data[o2] &&
+    img.data[o1 + 1] === img.data[o2 + 1] &&
+    img.data[o1 + 2] === img.data[o2 + 2] &&
+    img.data[o1 + 3] === img.data[o2 + 3]
+  );
+}
+
+/** True when at least three neighbours share the pixel's exact color (flat region). */
+function hasManySiblings(img: RasterImage, x: number, y: number): boolean {
+  const x0 = Math.max(x - 1, 0);
+  const y0 = Math.max(y - 1, 0);
+  const x1 = Math.min(x + 1, img.width - 1);
+  const y1 = Math.min(y + 1, img.height - 1);
+  let zeroes = x === x0 || x === x1 || y === y0 || y === y1 ? 1 : 0;
+  for (let ny = y0; ny <= y1; ny++) {
+    for (let nx = x0; nx <= x1; nx++) {
+      if ((nx !== x || ny !== y) && samePixel(img, x, y, nx, ny)) {
+        zeroes++;
+        if (zeroes > 2) return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Anti-aliasing heuristic: the pixel sits between its darkest and brightest
+ * neighbours, and one of those extremes lies in a flat region of both images.
+ */
+function isAntialiased(img: RasterImage, x: number, y: number, other: RasterImage): boolean {
+  const x0 = Math.max(x - 1, 0);
+  const y0 = Math.max(y - 1, 0);
+  const x1 = Math.min(x + 1, img.width - 1);
+  const y1 = Math.min(y + 1, img.height - 1);
+  let zeroes = x === x0 || x === x1 || y === y0 || y === y1 ? 1 : 0;
+  let min = 0;
+  let max = 0;
+  let minX = 0;
+  let minY = 0;
+  let maxX = 0;
+  let maxY = 0;
+
+  for (let ny = y0; ny <= y1; ny++) {
+    for (let nx = x0; nx <= x1; nx++) {
+      if (nx === x && ny === y) continue;
+      const delta = colorDelta(img, img, x, y, nx, ny, true);
+      if (delta === 0) {
+        zeroes++;
+        if (zeroes > 2) return false;
+      } else if (delta < min) {
+        min = delta;
+        minX = nx;
+        minY = ny;
+      } else if (delta > max) {
+        max = delta;
+        maxX = nx;
+        maxY = ny;
+      }
+    }
+  }
+  if (min === 0 || max === 0) return false;
+  return flatInBoth(img, other, minX, minY) || flatInBoth(img, other, maxX, maxY);
+}
+
+function flatInBoth(img: RasterImage, other: RasterImage, x: number, y: number): boolean {
+  return x < other.width && y < other.height && hasManySiblings(img, x, y) && hasManySiblings(other, x, y);
+}
+
+/**
+ * Compares two images pixel by pixel. Images of different sizes are compared on the
+ * larger canvas; pixels that exist in only one image count as mismatches.
+ */
+export function diffImages(a: RasterImage, b: RasterImage, opts: ImageDiffOptions): ImageDiffResult {
+  const width = Math.max(a.width, b.width);
+  const height = Math.max(a.height, b.height);
+  const diff = createImage(width, height);
+  const maxDelta = MAX_YIQ_DELTA * opts.threshold * opts.threshold;
+  const sameSize = a.width === b.width && a.height === b.height;
+
+  let mismatchedPixels = 0;
+  let antialiasedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const inBoth = x < a.width && y < a.height && x < b.width && y < b.height;
+      let color: number[] | null = null;
+
+      if (!inBoth) {
+        color = DIFF_COLOR;
+        mismatchedPixels++;
+      } else if (colorDelta(a, b, x, y, x, y) > maxDelta) {
+        const antialiased =
+          opts.ignoreAntialiasing && sameSize && (isAntialiased(a, x, y, b) || isAntialiased(b, x, y, a));
+        if (antialiased) {
+          color = ANTIALIAS_COLOR;
+          antialiasedPixels++;
+        } else {
+          color = DIFF_COLOR;
+          mismatchedPixels++;
+        }
+      }
+
+      if (color) {
+        diff.data[o] = color[0];
+        diff.data[o + 1] = color[1];
+        diff.data[o + 2] = color[2];
+      } else {
+        const p = readPixel(a, x, y, PIXEL_A);
+        const gray = blendWhite(luma(p[0], p[1], p[2]), (FADE_ALPHA * p[3]) / 255);
+        diff.data[o] = diff.data[o + 1] = diff.data[o + 2] = Math.round(gray);
+      }
+      diff.data[o + 3] = 255;
+    }
+  }
+
+  return { diff, mismatchedPixels, antialiasedPixels, totalPixels: width * height };
+}
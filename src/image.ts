@@ -0,0 +1,419 @@
+import zlib from "node:zlib";
+import jpeg from "jpeg-js";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAX_DECODE_MEGAPIXELS = 400;
+
+/** Decoded image with tightly packed 8-bit RGBA pixels. */
+export type RasterImage = {
+  width: number;
+  height: number;
+  data: Buffer;
+};
+
+export type PixelRect = {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes: Buffer): number {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a: number, b: number, c: number): number {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+function channelsForColorType(colorType: number): number {
+  switch (colorType) {
+    case 0:
+      return 1;
+    case 2:
+      return 3;
+    case 3:
+      return 1;
+    case 4:
+      return 2;
+    case 6:
+      return 4;
+    default:
+      throw new Error(`Unsupported PNG color type: ${colorType}`);
+  }
+}
+
+export function createImage(width: number, height: number): RasterImage {
+  return { width, height, data: Buffer.alloc(width * height * 4) };
+}
+
+/**
+ * Decodes a non-interlaced 8-bit PNG (gray, gray+alpha, RGB, RGBA or palette) into RGBA.
+ * @throws {Error} If the data is not a PNG or uses an unsupported encoding.
+ */
+export function decodePng(bytes: Buffer): RasterImage {
+  if (bytes.length < 8 || !bytes.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG image.");
+  }
+
+  let width = 0;
+  let height = 0;
+  let bitDepth = 0;
+  let colorType = 0;
+  let interlace = 0;
+  let palette: Buffer | null = null;
+  let transparency: Buffer | null = null;
+  const idat: Buffer[] = [];
+
+  let offset = 8;
+  while (offset + 8 <= bytes.length) {
+    const length = bytes.readUInt32BE(offset);
+    const type = bytes.toString("ascii", offset + 4, offset + 8);
+    const body = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      bitDepth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === "PLTE") {
+      palette = body;
+    } else if (type === "tRNS") {
+      transparency = body;
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (width === 0 || height === 0) throw new Error("PNG is missing IHDR.");
+  if (bitDepth !== 8) throw new Error(`Unsupported PNG bit depth: ${bitDepth}`);
+  if (interlace !== 0) throw new Error("Interlaced PNGs are not supported.");
+  if (width * height > MAX_DECODE_MEGAPIXELS * 1_000_000) {
+    throw new Error(`PNG is too large to decode (${width}x${height}).`);
+  }
+  if (colorType === 3 && !palette) throw new Error("Palette PNG is missing PLTE.");
+
+  const channels = channelsForColorType(colorType);
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  if (raw.length < (stride + 1) * height) throw new Error("PNG image data is truncated.");
+
+  const out = createImage(width, height);
+  let prev = Buffer.alloc(stride);
+  let line = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (stride + 1);
+    const filter = raw[rowStart];
+    const src = raw.subarray(rowStart + 1, rowStart + 1 + stride);
+
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? line[i - channels] : 0;
+      const up = prev[i];
+      const upLeft = i >= channels ? prev[i - channels] : 0;
+      let value = src[i];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Invalid PNG filter type: ${filter}`);
+      line[i] = value & 0xff;
+    }
+
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const s = x * channels;
+      if (colorType === 6) {
+        out.data[o] = line[s];
+        out.data[o + 1] = line[s + 1];
+        out.data[o + 2] = line[s + 2];
+        out.data[o + 3] = line[s + 3];
+      } else if (colorType === 2) {
+        out.data[o] = line[s];
+        out.data[o + 1] = line[s + 1];
+        out.data[o + 2] = line[s + 2];
+        out.data[o + 3] = 255;
+      } else if (colorType === 3) {
+        const idx = line[s];
+        out.data[o] = palette![idx * 3] ?? 0;
+        out.data[o + 1] = palette![idx * 3 + 1] ?? 0;
+        out.data[o + 2] = palette![idx * 3 + 2] ?? 0;
+        out.data[o + 3] = transparency && idx < transparency.length ? transparency[idx] : 255;
+      } else if (colorType === 4) {
+        out.data[o] = out.data[o + 1] = out.data[o + 2] = line[s];
+        out.data[o + 3] = line[s + 1];
+      } else {
+        out.data[o] = out.data[o + 1] = out.data[o + 2] = line[s];
+        out.data[o + 3] = 255;
+      }
+    }
+
+    [prev, line] = [line, prev];
+  }
+
+  return out;
+}
+
+function pngChunk(type: string, body: Buffer): Buffer {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, "ascii");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+/**
+ * Encodes an RGBA image as an 8-bit RGBA PNG. Each row uses whichever of the
+ * none/sub/up/paeth filters yields the smallest absolute residual sum.
+ */
+export function encodePng(img: RasterImage): Buffer {
+  const stride = img.width * 4;
+  const filtered = Buffer.alloc((stride + 1) * img.height);
+  const candidates = [0, 1, 2, 4].map(() => Buffer.alloc(stride));
+  const zero = Buffer.alloc(stride);
+
+  for (let y = 0; y < img.height; y++) {
+    const line = img.data.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? img.data.subarray((y - 1) * stride, y * stride) : zero;
+
+    let bestFilter = 0;
+    let bestScore = Infinity;
+    [0, 1, 2, 4].forEach((filter, ci) => {
+      const out = candidates[ci];
+      let score = 0;
+      for (let i = 0; i < stride; i++) {
+        const left = i >= 4 ? line[i - 4] : 0;
+        const up = prev[i];
+        const upLeft = i >= 4 ? prev[i - 4] : 0;
+        let value = line[i];
+        if (filter === 1) value -= left;
+        else if (filter === 2) value -= up;
+        else if (filter === 4) value -= paeth(left, up, upLeft);
+        value &= 0xff;
+        out[i] = value;
+        score += value < 128 ? value : 256 - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = ci;
+      }
+    });
+
+    const rowStart = y * (stride + 1);
+    filtered[rowStart] = [0, 1, 2, 4][bestFilter];
+    candidates[bestFilter].copy(filtered, rowStart + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(img.width, 0);
+  ihdr.writeUInt32BE(img.height, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 6;
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", zlib.deflateSync(filtered)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Decodes PNG or JPEG bytes into an RGBA raster.
+ * @throws {Error} If the MIME type is not supported.
+ */
+export function decodeImage(bytes: Buffer, mimeType: string): RasterImage {
+  if (mimeType === "image/png") return decodePng(bytes);
+  if (mimeType === "image/jpeg") {
+    const decoded = jpeg.decode(bytes, {
+      formatAsRGBA: true,
+      maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+    });
+    return { width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data) };
+  }
+  throw new Error(`Cannot decode image of type ${mimeType}.`);
+}
+
+/**
+ * Encodes an RGBA raster as PNG or JPEG.
+ * @param quality - JPEG quality (0-100); ignored for PNG.
+ */
+export function encodeImage(img: RasterImage, mimeType: string, quality = 80): Buffer {
+  if (mimeType === "image/png") return encodePng(img);
+  if (mimeType === "image/jpeg") {
+    return jpeg.encode({ width: img.width, height: img.height, data: img.data }, quality).data;
+  }
+  throw new Error(`Cannot encode image of type ${mimeType}.`);
+}
+
+/** Clamps a pixel rect to the image bounds. Returns null when nothing remains. */
+export function clampRect(img: RasterImage, rect: PixelRect): PixelRect | null {
+  const x0 = Math.max(0, Math.floor(rect.x));
+  const y0 = Math.max(0, Math.floor(rect.y));
+  const x1 = Math.min(img.width, Math.ceil(rect.x + rect.width));
+  const y1 = Math.min(img.height, Math.ceil(rect.y + rect.height));
+  if (x1 <= x0 || y1 <= y0) return null;
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+/**
+ * Copies the given pixel rect (clamped to the image) into a new image.
+ * @throws {Error} If the rect lies entirely outside the image.
+ */
+export function cropImage(img: RasterImage, rect: PixelRect): RasterImage {
+  const r = clampRect(img, rect);
+  if (!r) throw new Error("Crop rectangle lies outside the captured image.");
+
+  const out = createImage(r.width, r.height);
+  for (let y = 0; y < r.height; y++) {
+    const srcStart = ((r.y + y) * img.width + r.x) * 4;
+    img.data.copy(out.data, y * r.width * 4, srcStart, srcStart + r.width * 4);
+  }
+  return out;
+}
+
+/** Fills every pixel of the image with the given RGBA color. */
+export function fillImage(img: RasterImage, rgba: [number, number, number, number]): void {
+  for (let o = 0; o < img.data.length; o += 4) {
+    img.data[o] = rgba[0];
+    img.data[o + 1] = rgba[1];
+    img.data[o + 2] = rgba[2];
+    img.data[o + 3] = rgba[3];
+  }
+}
+
+/** Copies `src` into `dst` with its top-left corner at (x, y), clipping at the edges. */
+export function blitImage(dst: RasterImage, src: RasterImage, x: number, y: number): void {
+  const x0 = Math.max(0, x);
+  const x1 = Math.min(dst.width, x + src.width);
+  if (x1 <= x0) return;
+  for (let row = 0; row < src.height; row++) {
+    const dy = y + row;
+    if (dy < 0 || dy >= dst.height) continue;
+    const srcStart = (row * src.width + (x0 - x)) * 4;
+    src.data.copy(dst.data, (dy * dst.width + x0) * 4, srcStart, srcStart + (x1 - x0) * 4);
+  }
+}
+
+// 3x5 glyphs, one row per string, "#" = set. Enough for labels such as "1440px".
+const GLYPHS: Record<string, string[]> = {
+  "0": ["###", "#.#", "#.#", "#.#", "###"],
+  "1": [".#.", "##.", ".#.", ".#.", "###"],
+  "2": ["###", "..#", "###", "#..", "###"],
+  "3": ["###", "..#", "###", "..#", "###"],
+  "4": ["#.#", "#.#", "###", "..#", "..#"],
+  "5": ["###", "#..", "###", "..#", "###"],
+  "6": ["###", "#..", "###", "#.#", "###"],
+  "7": ["###", "..#", "..#", "..#", "..#"],
+  "8": ["###", "#.#", "###", "#.#", "###"],
+  "9": ["###", "#.#", "###", "..#", "###"],
+  p: ["###", "#.#", "###", "#..", "#.."],
+  x: ["...", "#.#", ".#.", "#.#", "..."],
+  ".": ["...", "...", "...", "...", ".#."],
+  "-": ["...", "...", "###", "...", "..."],
+};
+
+/** Height in pixels of text drawn by drawText at the given scale. */
+export function textHeight(scale: number): number {
+  return 5 * scale;
+}
+
+/**
+ * Draws `text` with a tiny built-in bitmap font, each font pixel a `scale` x `scale`
+ * square. Only digits, "p", "x", "." and "-" have glyphs; other characters leave a gap.
+ */
+export function drawText(
+  img: RasterImage,
+  text: string,
+  x: number,
+  y: number,
+  scale: number,
+  rgba: [number, number, number, number]
+): void {
+  for (const [i, ch] of [...text].entries()) {
+    const glyph = GLYPHS[ch];
+    if (!glyph) continue;
+    const left = x + i * 4 * scale;
+    for (let gy = 0; gy < glyph.length; gy++) {
+      for (let gx = 0; gx < glyph[gy].length; gx++) {
+        if (glyph[gy][gx] !== "#") continue;
+        for (let py = y + gy * scale; py < y + (gy + 1) * scale; py++) {
+          for (let px = left + gx * scale; px < left + (gx + 1) * scale; px++) {
+            if (px < 0 || py < 0 || px >= img.width || py >= img.height) continue;
+            img.data.set(rgba, (py * img.width + px) * 4);
+          }
+        }
+      }
+    }
+  }
+}
+
+// One pass of an area-averaging downscale along x (`horizontal`) or y.
+function downscaleAxis(src: RasterImage, size: number, horizontal: boolean): RasterImage {
+  const srcSize = horizontal ? src.width : src.height;
+  const out = horizontal ? createImage(size, src.height) : createImage(src.width, size);
+  const lines = horizontal ? src.height : src.width;
+  const scale = srcSize / size;
+  const acc = new Float64Array(4);
+
+  for (let line = 0; line < lines; line++) {
+    for (let d = 0; d < size; d++) {
+      const start = d * scale;
+      const end = start + scale;
+      acc.fill(0);
+      for (let s = Math.floor(start); s < Math.min(Math.ceil(end), srcSize); s++) {
+        const weight = Math.min(end, s + 1) - Math.max(start, s);
+        const o = horizontal ? (line * src.width + s) * 4 : (s * src.width + line) * 4;
+        acc[0] += src.data[o] * weight;
+        acc[1] += src.data[o + 1] * weight;
+        acc[2] += src.data[o + 2] * weight;
+        acc[3] += src.data[o + 3] * weight;
+      }
+      const o = horizontal ? (line * size + d) * 4 : (d * src.width + line) * 4;
+      for (let c = 0; c < 4; c++) out.data[o + c] = Math.round(acc[c] / scale);
+    }
+  }
+  return out;
+}
+
+/**
+ * Downscales an image to exactly `width` x `height` by averaging the source pixels
+ * each target pixel covers. Target sizes larger than the source are not supported.
+ * @throws {Error} If the target is empty or larger than the source.
+ */
+export function resizeImage(img: RasterImage, width: number, height: number): RasterImage {
+  if (width < 1 || height < 1 || width > img.width || height > img.height) {
+    throw new Error(`Cannot resize ${img.width}x${img.height} to ${width}x${height}.`);
+  }
+  let out = img;
+  if (width !== img.width) out = downscaleAxis(out, width, true);
+  if (height !== img.height) out = downscaleAxis(out, height, false);
+  return out === img ? { ...img, data: Buffer.from(img.data) } : out;
+}
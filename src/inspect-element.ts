@@ -0,0 +1,115 @@
+export type Sides = { top: number; right: number; bottom: number; left: number };
+
+/** One point of the element's box probed with elementFromPoint (viewport CSS px). */
+export type OcclusionSample = { x: number; y: number; covered: boolean; by?: string };
+
+/** Payload the extension returns for the inspectElement command. */
+export type ElementInspection = {
+  tabId: number;
+  windowId: number;
+  url: string;
+  title: string;
+  matchCount: number;
+  index: number;
+  viewport: { width: number; height: number };
+  scroll: { x: number; y: number };
+  element: { tag: string; id?: string; classes?: string[]; testId?: string; text?: string };
+  /** Border box relative to the viewport. */
+  box: { x: number; y: number; width: number; height: number };
+  boxModel: {
+    boxSizing: string;
+    margin: Sides;
+    border: Sides;
+    padding: Sides;
+    content: { width: number; height: number };
+  };
+  styles: Record<string, string>;
+  visibility: {
+    /** False for display:none (self or ancestor) and content-visibility:hidden. */
+    rendered: boolean;
+    visibilityCSS: string;
+    /** opacity:0 on the element or an ancestor. */
+    transparent: boolean;
+    samples: OcclusionSample[];
+  };
+  waits?: Array<{ type: string; elapsedMs: number }>;
+};
+
+export type VisibilityStatus = "visible" | "partially_occluded" | "occluded" | "offscreen" | "hidden";
+
+export type VisibilityReport = {
+  status: VisibilityStatus;
+  /** Why the element is hidden: not_rendered, visibility_hidden, opacity_zero, zero_size. */
+  reasons: string[];
+  /** Share of the border box inside the viewport, 0..1. */
+  inViewport: number;
+  sampledPoints: number;
+  coveredPoints: number;
+  coveredBy?: string[];
+};
+
+/**
+ * Picks computed properties by exact name or by prefix with a trailing `*`
+ * (`margin*`, `grid-template*`). Without names every property is returned.
+ */
+export function selectStyles(
+  styles: Record<string, string>,
+  properties?: string[]
+): { styles: Record<string, string>; unknownProperties: string[] } {
+  if (!properties) return { styles, unknownProperties: [] };
+  const selected: Record<string, string> = {};
+  const unknownProperties: string[] = [];
+  for (const name of properties) {
+    let matches = Object.hasOwn(styles, name) ? [name] : [];
+    if (name.endsWith("*")) {
+      matches = Object.keys(styles).filter((key) => key.startsWith(name.slice(0, -1)));
+    }
+    if (matches.length === 0) unknownProperties.push(name);
+    for (const key of matches) selected[key] = styles[key];
+  }
+  return { styles: selected, unknownProperties };
+}
+
+function visibleFraction(
+  box: ElementInspection["box"],
+  viewport: ElementInspection["viewport"]
+): number {
+  const area = box.width * box.height;
+  if (area <= 0) return 0;
+  const w = Math.min(box.x + box.width, viewport.width) - Math.max(box.x, 0);
+  const h = Math.min(box.y + box.height, viewport.height) - Math.max(box.y, 0);
+  return w > 0 && h > 0 ? Math.round(((w * h) / area) * 1000) / 1000 : 0;
+}
+
+/**
+ * Classifies the element: hidden by CSS or size first, then offscreen when none of
+ * its sample points fall in the viewport, otherwise by how many samples another
+ * element covers. Elements with pointer-events:none are invisible to the probe.
+ */
+export function visibilityReport(
+  inspection: Pick<ElementInspection, "box" | "viewport" | "visibility">
+): VisibilityReport {
+  const v = inspection.visibility;
+  const reasons: string[] = [];
+  if (!v.rendered) reasons.push("not_rendered");
+  if (v.visibilityCSS !== "visible") reasons.push("visibility_hidden");
+  if (v.transparent && v.rendered) reasons.push("opacity_zero");
+  if (inspection.box.width <= 0 || inspection.box.height <= 0) reasons.push("zero_size");
+
+  const covered = v.samples.filter((s) => s.covered);
+  const coveredBy = [...new Set(covered.map((s) => s.by).filter((by): by is string => !!by))];
+  let status: VisibilityStatus;
+  if (reasons.length > 0) status = "hidden";
+  else if (v.samples.length === 0) status = "offscreen";
+  else if (covered.length === 0) status = "visible";
+  else status = covered.length === v.samples.length ? "occluded" : "partially_occluded";
+
+  return {
+    status,
+    reasons,
+    inViewport: visibleFraction(inspection.box, inspection.viewport),
+    sampledPoints: v.samples.length,
+    coveredPoints: covered.length,
+    ...(coveredBy.length > 0 ? { coveredBy } : {}),
+  };
+}
@@ -7,10 +7,51 @@ import {
 import type { WsBridge } from "./ws-bridge.js";
 import {
   cleanupScreenshotArtifacts,
+  cropScreenshotData,
+  fitScreenshotData,
   getDefaultArtifactDir,
+  tileScreenshotData,
+  writeContactSheetArtifact,
+  writeHarArtifact,
+  writeImageDiffArtifact,
+  writeRecordingArtifact,
   writeScreenshotArtifact,
+  writeTiledScreenshotArtifact,
+  type CssRect,
 } from "./artifacts.js";
 
+import {
+  approveBaseline,
+  compareBaseline,
+  readBaselineMeta,
+  resolveBaselineDir,
+  saveBaseline,
+  validateBaselineName,
+} from "./baselines.js";
+import { formatAxTree, type AxTreeSnapshot } from "./accessibility.js";
+import {
+  CONSOLE_LEVELS,
+  captureConsoleReport,
+  pageConsoleEntries,
+  type ConsoleBuffer,
+  type ConsoleLevel,
+} from "./console-logs.js";
+import { formatDomSnapshot, type DomSnapshot } from "./dom-snapshot.js";
+import {
+  isFailedRequest,
+  pageNetworkEntries,
+  summarizeNetworkEntry,
+  type NetworkEntry,
+} from "./network-log.js";
+import { formatPageText, type PageTextSnapshot } from "./page-text.js";
+import { selectStyles, visibilityReport, type ElementInspection } from "./inspect-element.js";
+import {
+  appendPerformanceHistory,
+  historyMetrics,
+  summarizePerformance,
+  type RawPerformance,
+} from "./performance.js";
+
 type Logger = (...args: unknown[]) => void;
 
 type CreateMcpServerArgs = {
@@ -23,22 +64,384 @@ export const DEFAULT_URL = "http://localhost:5173/";
 const MAX_TIMEOUT_MS = 120_000;
 const MAX_EXTRA_WAIT_MS = 10_000;
 const MAX_CLEANUP_HOURS = 24 * 365 * 10;
+const MAX_SELECTOR_PADDING = 500;
+const MIN_VIEWPORT_SIZE = 100;
+const MAX_VIEWPORT_SIZE = 10_000;
+const MIN_DEVICE_SCALE_FACTOR = 0.5;
+const MAX_DEVICE_SCALE_FACTOR = 4;
+const MAX_BREAKPOINTS = 12;
+const DEFAULT_BREAKPOINT_HEIGHT = 900;
+const MAX_WAIT_CONDITIONS = 10;
+const DEFAULT_NETWORK_IDLE_MS = 500;
+const MAX_MASK_SELECTORS = 50;
+const DEFAULT_MASK_COLOR = "#ff00ff";
+const DEFAULT_MAX_MARKS = 200;
+const MAX_MARKS = 500;
+const MAX_RECORD_FPS = 15;
+const MAX_RECORD_DURATION_MS = 120_000;
+const DEFAULT_RECORD_DURATION_MS = 3_000;
+const MIN_RECORD_SIZE = 100;
+const MAX_RECORD_SIZE = 1920;
+const DEFAULT_DIFF_THRESHOLD = 0.1;
+const MIN_FIT_SIZE = 64;
+const MIN_FIT_BYTES = 10_000;
+const MAX_NETWORK_IDLE_MS = 30_000;
+const DEFAULT_TILE_HEIGHT = 1000;
+const MIN_TILE_HEIGHT = 200;
+const MAX_TILE_HEIGHT = 8_000;
+const DEFAULT_TILE_OVERLAP = 100;
+const DEFAULT_DOM_MAX_NODES = 500;
+const MAX_DOM_NODES = 5_000;
+const DEFAULT_AX_MAX_NODES = 1_000;
+const MAX_AX_NODES = 10_000;
+const DEFAULT_CONSOLE_MAX_ENTRIES = 100;
+const MAX_CONSOLE_ENTRIES = 1_000;
+const DEFAULT_NETWORK_MAX_ENTRIES = 100;
+const MAX_NETWORK_ENTRIES = 1_000;
+const MAX_PENDING_REQUESTS_SHOWN = 20;
+// After a reload, give late LCP candidates and layout shifts a moment to land.
+const DEFAULT_RELOAD_SETTLE_MS = 1_000;
+const MAX_SETTLE_MS = 30_000;
+const DEFAULT_INSPECT_MAX_CHARS = 20_000;
+const MIN_INSPECT_MAX_CHARS = 1_000;
+const MAX_INSPECT_MAX_CHARS = 200_000;
+
+export type ViewportSpec = {
+  width: number;
+  height: number;
+  deviceScaleFactor: number;
+  mobile: boolean;
+};
+
+const MATCH_DESCRIPTION =
+  "How to match open tabs: prefix/exact/origin compare normalized URLs; regex/glob treat url as a pattern (glob: * and ?).";
+
+const TAB_FILTER_PROPERTIES = {
+  titleIncludes: {
+    type: "string",
+    description: "Only match tabs whose title contains this text (case-insensitive).",
+  },
+  ignoreQuery: {
+    type: "boolean",
+    description: "Ignore query strings when matching URLs (default false).",
+  },
+  ignoreHash: {
+    type: "boolean",
+    description: "Ignore #fragments when matching URLs (default true).",
+  },
+};
+
+export const VIEWPORT_PRESETS: Record<string, ViewportSpec> = {
+  "iphone-se": { width: 375, height: 667, deviceScaleFactor: 2, mobile: true },
+  "iphone-14": { width: 390, height: 844, deviceScaleFactor: 3, mobile: true },
+  "iphone-14-pro-max": { width: 430, height: 932, deviceScaleFactor: 3, mobile: true },
+  "pixel-7": { width: 412, height: 915, deviceScaleFactor: 2.625, mobile: true },
+  "ipad-mini": { width: 768, height: 1024, deviceScaleFactor: 2, mobile: true },
+  "ipad-pro-12": { width: 1024, height: 1366, deviceScaleFactor: 2, mobile: true },
+  "laptop-1366": { width: 1366, height: 768, deviceScaleFactor: 1, mobile: false },
+  "desktop-1440": { width: 1440, height: 900, deviceScaleFactor: 1, mobile: false },
+  "desktop-1080p": { width: 1920, height: 1080, deviceScaleFactor: 1, mobile: false },
+};
+
+export type WaitCondition =
+  | { type: "selector"; selector: string; state: "attached" | "visible"; timeoutMs: number }
+  | { type: "text"; text: string; timeoutMs: number }
+  | { type: "networkIdle"; idleMs: number; timeoutMs: number }
+  | { type: "fonts"; timeoutMs: number }
+  | { type: "predicate"; expression: string; timeoutMs: number };
+
+const WAIT_FOR_SCHEMA = {
+  description:
+    "Conditions to wait for (in order) after the tab loads. One object or an array of: {type:'selector', selector, state:'attached'|'visible'}, {type:'text', text}, {type:'networkIdle', idleMs} (only sees requests started after the wait begins), {type:'fonts'}, {type:'predicate', expression}. Each accepts timeoutMs (defaults to the tool timeoutMs) and fails with its own reason, e.g. wait_selector_timeout.",
+  oneOf: [
+    { type: "object" },
+    { type: "array", items: { type: "object" }, maxItems: MAX_WAIT_CONDITIONS },
+  ],
+};
+
+const SELECTOR_LIST_SCHEMA = {
+  oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+};
+
+const MASK_PROPERTIES = {
+  mask: {
+    ...SELECTOR_LIST_SCHEMA,
+    description:
+      "CSS selector(s) whose elements are covered by solid boxes during capture (timestamps, avatars, ads). The result reports how many elements matched.",
+  },
+  hide: {
+    ...SELECTOR_LIST_SCHEMA,
+    description: "CSS selector(s) whose elements get visibility:hidden during capture (layout is kept).",
+  },
+  maskColor: {
+    type: "string",
+    description: "Hex color of mask boxes (default #ff00ff).",
+  },
+};
+
+const DETERMINISM_PROPERTIES = {
+  deterministic: {
+    type: "boolean",
+    description:
+      "Freeze the page for a stable capture: pause finite animations at their end and looping ones at their start, disable transitions, hide the caret and pause media. Animation times, play states and media are restored afterwards; the applied steps are reported.",
+  },
+  clockTime: {
+    type: ["number", "string"],
+    description:
+      "With deterministic=true, pin Date/Date.now() to this timestamp (epoch ms or ISO string) from before the waits until capture ends.",
+  },
+};
+
+const SERVER_INFO = { name: "chrome-live-screenshot-mcp", version: "0.1.0" };
+
+export type MatchMode = "prefix" | "exact" | "origin" | "regex" | "glob";
+
+const MATCH_MODES: MatchMode[] = ["prefix", "exact", "origin", "regex", "glob"];
+
+// Tab targeting shared by the read-only inspection tools. They never focus or
+// activate anything, so focusWindow/activateTab are not offered.
+const INSPECT_TARGET_PROPERTIES = {
+  url: { type: "string", description: "Target URL, matched like chrome_screenshot." },
+  match: {
+    type: "string",
+    enum: MATCH_MODES,
+    description: MATCH_DESCRIPTION,
+  },
+  ...TAB_FILTER_PROPERTIES,
+  tabId: { type: "number", description: "Inspect this tab (from chrome_list_tabs)." },
+  windowId: { type: "number", description: "Inspect the active tab of this window." },
+  openIfMissing: {
+    type: "boolean",
+    description: "Open the URL in a background tab when none matches (default true).",
+  },
+  waitForComplete: {
+    type: "boolean",
+    description: "Wait for tab load status to be 'complete' first.",
+  },
+  timeoutMs: { type: "number", description: "Max time to wait for the tab." },
+  waitFor: WAIT_FOR_SCHEMA,
+};
 
 export type ScreenshotParams = {
   url: string;
-  match: "prefix" | "exact";
+  match: MatchMode;
+  titleIncludes?: string;
+  ignoreQuery: boolean;
+  ignoreHash: boolean;
   openIfMissing: boolean;
   focusWindow: boolean;
   activateTab: boolean;
   waitForComplete: boolean;
   timeoutMs: number;
   extraWaitMs: number;
-  format: "png" | "jpeg";
+  format: "png" | "jpeg" | "webp";
   jpegQuality: number;
-  returnMode: "artifact" | "image";
+  webpQuality: number;
+  returnMode: "artifact" | "image" | "tiles";
+  /** Artifact mode only: write the capture as tile files plus an index JSON. */
+  tiled: boolean;
+  tileHeight: number;
+  tileOverlap: number;
+  artifactDir?: string;
+  fullPage: boolean;
+  selector?: string;
+  padding: number;
+  clip?: CssRect;
+  captureMode: "visible" | "background";
+  viewport?: ViewportSpec;
+  waitFor: WaitCondition[];
+  mask: string[];
+  hide: string[];
+  maskColor: string;
+  deterministic: boolean;
+  clockTime?: number;
+  annotate?: "interactive";
+  maxMarks: number;
+  maxWidth?: number;
+  maxHeight?: number;
+  maxBytes?: number;
+  includeConsole: boolean;
+  tabId?: number;
+  windowId?: number;
+};
+
+type MaskReport = {
+  masked: number;
+  hidden: number;
+  matches: Array<{ kind: "mask" | "hide"; selector: string; count: number }>;
+};
+
+/** One numbered set-of-marks label; `box` is in pixels of the delivered image. */
+export type InteractiveMark = {
+  id: number;
+  role: string;
+  name: string;
+  selector: string;
+  box: CssRect;
+};
+
+type ScreenshotBridgeResult = {
+  mimeType: string;
+  data: string;
+  fullPage?: boolean;
+  pageWidth?: number;
+  pageHeight?: number;
+  truncated?: boolean;
+  crop?: CssRect;
+  devicePixelRatio?: number;
+  captureMode?: string;
+  viewport?: ViewportSpec;
+  waits?: Array<{ type: string; elapsedMs: number }>;
+  masks?: MaskReport;
+  deterministic?: { steps: string[]; clockTime: number | null };
+  marks?: InteractiveMark[];
+  marksTruncated?: boolean;
+  console?: ConsoleBuffer;
+  /** Set when the server downscaled/re-encoded the capture (maxWidth/maxHeight/maxBytes). */
+  fitted?: {
+    originalWidth: number;
+    originalHeight: number;
+    width: number;
+    height: number;
+    byteSize: number;
+    jpegQuality?: number;
+  };
+};
+
+export type BreakpointsParams = {
+  widths: number[];
+  height: number;
+  deviceScaleFactor: number;
+  mobile: boolean;
+  screenshot: ScreenshotParams;
+};
+
+export type RecordParams = {
+  action: "record" | "start" | "stop";
+  recordingId?: string;
+  url: string;
+  match: MatchMode;
+  titleIncludes?: string;
+  ignoreQuery: boolean;
+  ignoreHash: boolean;
+  openIfMissing: boolean;
+  focusWindow: boolean;
+  activateTab: boolean;
+  waitForComplete: boolean;
+  timeoutMs: number;
+  tabId?: number;
+  windowId?: number;
+  fps: number;
+  durationMs: number;
+  maxDurationMs: number;
+  format: "gif" | "frames";
+  maxWidth: number;
+  maxHeight: number;
+  quality: number;
+  artifactDir?: string;
+};
+
+type RecordStopResult = {
+  recordingId: string;
+  tabId: number;
+  mimeType: string;
+  fps: number;
+  frames: Array<{ data: string; timestampMs: number }>;
+  elapsedMs: number;
+  truncated: boolean;
+  stopReason: string;
+};
+
+export type ImageDiffParams = {
+  beforePath: string;
+  afterPath: string;
+  threshold: number;
+  ignoreAntialiasing: boolean;
+  outputDir?: string;
+};
+
+export type BaselineParams = {
+  name: string;
+  baselineDir: string;
+  overwrite: boolean;
+  threshold: number;
+  ignoreAntialiasing: boolean;
+  maxMismatchPercentage: number;
+  /** chrome_screenshot arguments for the capture (format/returnMode are forced). */
+  capture: Record<string, unknown>;
+};
+
+/** Tab targeting shared by the read-only inspection tools. */
+export type InspectTarget = {
+  url: string;
+  match: MatchMode;
+  titleIncludes?: string;
+  ignoreQuery: boolean;
+  ignoreHash: boolean;
+  openIfMissing: boolean;
+  waitForComplete: boolean;
+  timeoutMs: number;
+  waitFor: WaitCondition[];
+  tabId?: number;
+  windowId?: number;
+};
+
+export type DomSnapshotParams = InspectTarget & {
+  selector?: string;
+  maxNodes: number;
+  maxChars: number;
+  format: "outline" | "json";
+  includeHidden: boolean;
+};
+
+export type PageTextParams = InspectTarget & {
+  selector?: string;
+  format: "text" | "markdown";
+  maxChars: number;
+};
+
+export type InspectElementParams = InspectTarget & {
+  selector: string;
+  index: number;
+  /** Property names or `prefix*` patterns; undefined returns every computed property. */
+  properties?: string[];
+};
+
+export type PerformanceMetricsParams = InspectTarget & {
+  reload: boolean;
+  settleMs: number;
+  saveHistory: boolean;
+  artifactDir?: string;
+};
+
+export type ConsoleLogsParams = InspectTarget & {
+  levels: ConsoleLevel[];
+  since: number;
+  maxEntries: number;
+  clear: boolean;
+  stop: boolean;
+};
+
+export type NetworkLogParams = InspectTarget & {
+  since: number;
+  maxEntries: number;
+  failedOnly: boolean;
+  urlIncludes?: string;
+  types?: string[];
+  clear: boolean;
+  stop: boolean;
+  exportHar: boolean;
   artifactDir?: string;
 };
 
+export type AccessibilityTreeParams = InspectTarget & {
+  selector?: string;
+  interestingOnly: boolean;
+  maxNodes: number;
+  maxChars: number;
+  format: "outline" | "json";
+};
+
 export type CleanupArtifactsParams = {
   artifactDir?: string;
   maxAgeHours: number;
@@ -46,13 +449,19 @@ export type CleanupArtifactsParams = {
 
 export type OpenUrlParams = {
   url: string;
-  match: "prefix" | "exact";
+  match: MatchMode;
+  titleIncludes?: string;
+  ignoreQuery: boolean;
+  ignoreHash: boolean;
   reuseIfExists: boolean;
   openIfMissing: boolean;
   focusWindow: boolean;
   activateTab: boolean;
   waitForComplete: boolean;
   timeoutMs: number;
+  waitFor: WaitCondition[];
+  tabId?: number;
+  windowId?: number;
 };
 
 function asBool(v: unknown, fallback: boolean): boolean {
@@ -73,10 +482,254 @@ function asOptStr(v: unknown): string | undefined {
   return trimmed.length > 0 ? trimmed : undefined;
 }
 
+function isMatchMode(v: unknown): v is MatchMode {
+  return typeof v === "string" && (MATCH_MODES as string[]).includes(v);
+}
+
+/**
+ * Validates the `url` argument for the given match mode: a URL for prefix/exact/origin,
+ * a compilable pattern for regex, anything non-empty for glob.
+ */
+function validateTargetUrl(url: string, originalUrl: unknown, match: MatchMode): void {
+  if (match === "glob") return;
+  if (match === "regex") {
+    try {
+      new RegExp(url);
+    } catch (err) {
+      const detail = err instanceof Error ? err.message : String(err);
+      throw new Error(`Invalid regex pattern "${url}": ${detail}`);
+    }
+    return;
+  }
+  try {
+    new URL(url);
+  } catch {
+    const displayUrl = originalUrl === undefined || originalUrl === "" ? DEFAULT_URL : originalUrl;
+    throw new Error(`Invalid URL format: "${displayUrl}" is not a valid URL`);
+  }
+}
+
+function asOptId(v: unknown, name: string): number | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v !== "number" || !Number.isInteger(v) || v < 0) {
+    throw new Error(`Invalid ${name}: expected a non-negative integer.`);
+  }
+  return v;
+}
+
 function clamp(n: number, min: number, max: number): number {
   return Math.min(max, Math.max(min, n));
 }
 
+/**
+ * Resolves a viewport preset name or a `{width, height, deviceScaleFactor, mobile}` object.
+ * @throws {Error} If the preset is unknown or width/height are missing.
+ */
+export function parseViewport(v: unknown): ViewportSpec | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v === "string") {
+    const preset = VIEWPORT_PRESETS[v.trim().toLowerCase()];
+    if (!preset) {
+      throw new Error(
+        `Unknown viewport preset "${v}". Known presets: ${Object.keys(VIEWPORT_PRESETS).join(", ")}`
+      );
+    }
+    return { ...preset };
+  }
+  if (typeof v !== "object" || Array.isArray(v)) {
+    throw new Error("Invalid viewport: expected a preset name or an object with width and height.");
+  }
+  const r = v as Record<string, unknown>;
+  const width = asNum(r.width, Number.NaN);
+  const height = asNum(r.height, Number.NaN);
+  if (Number.isNaN(width) || Number.isNaN(height)) {
+    throw new Error("Invalid viewport: width and height must be finite numbers.");
+  }
+  return {
+    width: Math.round(clamp(width, MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE)),
+    height: Math.round(clamp(height, MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE)),
+    deviceScaleFactor: clamp(
+      asNum(r.deviceScaleFactor, 1),
+      MIN_DEVICE_SCALE_FACTOR,
+      MAX_DEVICE_SCALE_FACTOR
+    ),
+    mobile: asBool(r.mobile, false),
+  };
+}
+
+function parseClip(v: unknown): CssRect | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v !== "object" || Array.isArray(v)) {
+    throw new Error("Invalid clip: expected an object with x, y, width and height.");
+  }
+  const r = v as Record<string, unknown>;
+  const x = asNum(r.x, Number.NaN);
+  const y = asNum(r.y, Number.NaN);
+  const width = asNum(r.width, Number.NaN);
+  const height = asNum(r.height, Number.NaN);
+  if ([x, y, width, height].some((n) => Number.isNaN(n))) {
+    throw new Error("Invalid clip: x, y, width and height must all be finite numbers.");
+  }
+  if (width <= 0 || height <= 0) {
+    throw new Error("Invalid clip: width and height must be greater than 0.");
+  }
+  // The part of the rect above or left of the page origin is trimmed, not shifted.
+  const clip = {
+    x: Math.max(0, x),
+    y: Math.max(0, y),
+    width: width + Math.min(0, x),
+    height: height + Math.min(0, y),
+  };
+  if (clip.width <= 0 || clip.height <= 0) {
+    throw new Error("Invalid clip: the rect lies entirely above or left of the page.");
+  }
+  return clip;
+}
+
+/**
+ * Parses `waitFor` (a single condition or an array of them).
+ * @param defaultTimeoutMs - Timeout for conditions that do not set their own.
+ * @throws {Error} If a condition has an unknown type or is missing its required field.
+ */
+export function parseWaitFor(v: unknown, defaultTimeoutMs: number): WaitCondition[] {
+  if (v === undefined || v === null) return [];
+  const items = Array.isArray(v) ? v : [v];
+  if (items.length > MAX_WAIT_CONDITIONS) {
+    throw new Error(`At most ${MAX_WAIT_CONDITIONS} waitFor conditions are supported.`);
+  }
+
+  return items.map((item, i): WaitCondition => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      throw new Error(`Invalid waitFor[${i}]: expected an object with a type.`);
+    }
+    const r = item as Record<string, unknown>;
+    const timeoutMs = clamp(asNum(r.timeoutMs, defaultTimeoutMs), 100, MAX_TIMEOUT_MS);
+    const required = (field: string): string => {
+      const value = asOptStr(r[field]);
+      if (!value) throw new Error(`Invalid waitFor[${i}]: ${r.type} requires a non-empty ${field}.`);
+      return value;
+    };
+
+    switch (r.type) {
+      case "selector":
+        return {
+          type: "selector",
+          selector: required("selector"),
+          state: r.state === "visible" ? "visible" : "attached",
+          timeoutMs,
+        };
+      case "text":
+        return { type: "text", text: required("text"), timeoutMs };
+      case "networkIdle":
+        return {
+          type: "networkIdle",
+          idleMs: clamp(asNum(r.idleMs, DEFAULT_NETWORK_IDLE_MS), 0, MAX_NETWORK_IDLE_MS),
+          timeoutMs,
+        };
+      case "fonts":
+        return { type: "fonts", timeoutMs };
+      case "predicate":
+        return { type: "predicate", expression: required("expression"), timeoutMs };
+      default:
+        throw new Error(
+          `Invalid waitFor[${i}].type: ${String(r.type)}. Expected selector, text, networkIdle, fonts or predicate.`
+        );
+    }
+  });
+}
+
+/**
+ * Parses a selector list given as one string or an array of strings.
+ * @throws {Error} If an entry is not a non-empty string or the list is too long.
+ */
+function parseSelectorList(v: unknown, name: string): string[] {
+  if (v === undefined || v === null) return [];
+  const items = Array.isArray(v) ? v : [v];
+  if (items.length > MAX_MASK_SELECTORS) {
+    throw new Error(`At most ${MAX_MASK_SELECTORS} ${name} selectors are supported.`);
+  }
+  return items.map((item) => {
+    const selector = typeof item === "string" ? item.trim() : "";
+    if (!selector) throw new Error(`Invalid ${name}: expected CSS selector strings.`);
+    return selector;
+  });
+}
+
+function parseMaskColor(v: unknown): string {
+  if (v === undefined || v === null) return DEFAULT_MASK_COLOR;
+  if (typeof v !== "string" || !/^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(v)) {
+    throw new Error("Invalid maskColor: expected a hex color such as #ff00ff.");
+  }
+  return v;
+}
+
+/**
+ * Parses `clockTime` given as epoch milliseconds or a date string (e.g. ISO 8601).
+ * @throws {Error} If the value is not a valid date.
+ */
+function parseClockTime(v: unknown): number | undefined {
+  if (v === undefined || v === null) return undefined;
+  const ms = typeof v === "number" ? v : typeof v === "string" ? Date.parse(v) : Number.NaN;
+  if (!Number.isFinite(ms)) {
+    throw new Error("Invalid clockTime: expected epoch milliseconds or a date string.");
+  }
+  return Math.round(ms);
+}
+
+/**
+ * Re-expresses mark boxes relative to a crop rect, dropping marks that fall
+ * entirely outside it. Partially visible boxes are clipped to the crop.
+ */
+export function offsetMarksToCrop(marks: InteractiveMark[], crop: CssRect): InteractiveMark[] {
+  const out: InteractiveMark[] = [];
+  for (const mark of marks) {
+    const x0 = Math.max(mark.box.x, crop.x);
+    const y0 = Math.max(mark.box.y, crop.y);
+    const x1 = Math.min(mark.box.x + mark.box.width, crop.x + crop.width);
+    const y1 = Math.min(mark.box.y + mark.box.height, crop.y + crop.height);
+    if (x1 <= x0 || y1 <= y0) continue;
+    out.push({
+      ...mark,
+      box: { x: x0 - crop.x, y: y0 - crop.y, width: x1 - x0, height: y1 - y0 },
+    });
+  }
+  return out;
+}
+
+/**
+ * Factor from CSS px to pixels of the delivered image: the device pixel ratio,
+ * times the server downscale when the capture was fitted.
+ */
+export function markImageScale(
+  devicePixelRatio: number,
+  fitted?: { width: number; originalWidth: number }
+): number {
+  return devicePixelRatio * (fitted ? fitted.width / fitted.originalWidth : 1);
+}
+
+/** Scales mark boxes from CSS px by `scale` (see markImageScale). */
+export function scaleMarks(marks: InteractiveMark[], scale: number): InteractiveMark[] {
+  if (scale === 1) return marks;
+  const s = (v: number) => Math.round(v * scale * 100) / 100;
+  return marks.map((mark) => ({
+    ...mark,
+    box: { x: s(mark.box.x), y: s(mark.box.y), width: s(mark.box.width), height: s(mark.box.height) },
+  }));
+}
+
+function asOptLimit(v: unknown, min: number, name: string): number | undefined {
+  if (v === undefined || v === null) return undefined;
+  if (typeof v !== "number" || !Number.isFinite(v) || v <= 0) {
+    throw new Error(`Invalid ${name}: expected a positive number.`);
+  }
+  return Math.max(min, Math.round(v));
+}
+
+/** Total time the extension may spend on `waitFor` conditions. */
+function waitForBudgetMs(conditions: WaitCondition[]): number {
+  return conditions.reduce((sum, c) => sum + c.timeoutMs, 0);
+}
+
 export function parseScreenshotArgs(
   args: Record<string, unknown> | undefined
 ): ScreenshotParams {
@@ -84,30 +737,70 @@ export function parseScreenshotArgs(
 
   const originalUrl = a.url;
   const url = asStr(a.url, DEFAULT_URL);
+  const match: MatchMode = isMatchMode(a.match) ? a.match : "prefix";
 
-  // Validate URL format
-  try {
-    new URL(url);
-  } catch {
-    const displayUrl = originalUrl === undefined || originalUrl === "" ? DEFAULT_URL : originalUrl;
-    throw new Error(`Invalid URL format: "${displayUrl}" is not a valid URL`);
-  }
-  const match: "prefix" | "exact" = a.match === "exact" ? "exact" : "prefix";
+  // Validate URL format (or the pattern for regex/glob)
+  validateTargetUrl(url, originalUrl, match);
+  const titleIncludes = asOptStr(a.titleIncludes);
+  const ignoreQuery = asBool(a.ignoreQuery, false);
+  const ignoreHash = asBool(a.ignoreHash, true);
   const openIfMissing = asBool(a.openIfMissing, true);
   const focusWindow = asBool(a.focusWindow, true);
   const activateTab = asBool(a.activateTab, true);
   const waitForComplete = asBool(a.waitForComplete, true);
   const timeoutMs = clamp(asNum(a.timeoutMs, 15_000), 1_000, MAX_TIMEOUT_MS);
   const extraWaitMs = clamp(asNum(a.extraWaitMs, 250), 0, MAX_EXTRA_WAIT_MS);
-  const format: "png" | "jpeg" = a.format === "jpeg" ? "jpeg" : "png";
+  const format: "png" | "jpeg" | "webp" =
+    a.format === "jpeg" ? "jpeg" : a.format === "webp" ? "webp" : "png";
   const jpegQuality = clamp(asNum(a.jpegQuality, 80), 0, 100);
-  const returnMode: "artifact" | "image" =
-    a.returnMode === "image" ? "image" : "artifact";
+  const webpQuality = clamp(asNum(a.webpQuality, 80), 0, 100);
+  const returnMode: ScreenshotParams["returnMode"] =
+    a.returnMode === "image" ? "image" : a.returnMode === "tiles" ? "tiles" : "artifact";
+  const tiled = returnMode === "artifact" && asBool(a.tiled, false);
+  const tileHeight = Math.round(
+    clamp(asNum(a.tileHeight, DEFAULT_TILE_HEIGHT), MIN_TILE_HEIGHT, MAX_TILE_HEIGHT)
+  );
+  const tileOverlap = Math.round(
+    clamp(asNum(a.tileOverlap, DEFAULT_TILE_OVERLAP), 0, Math.floor(tileHeight / 2))
+  );
   const artifactDir = asOptStr(a.artifactDir);
+  const fullPage = asBool(a.fullPage, false);
+  const selector = asOptStr(a.selector);
+  const padding = clamp(asNum(a.padding, 0), 0, MAX_SELECTOR_PADDING);
+  const clip = parseClip(a.clip);
+  if (clip && selector) {
+    throw new Error("clip and selector cannot be combined; pass only one of them.");
+  }
+  const captureMode: "visible" | "background" =
+    a.captureMode === "background" ? "background" : "visible";
+  const viewport = parseViewport(a.viewport);
+  const waitFor = parseWaitFor(a.waitFor, timeoutMs);
+  const mask = parseSelectorList(a.mask, "mask");
+  const hide = parseSelectorList(a.hide, "hide");
+  const maskColor = parseMaskColor(a.maskColor);
+  const deterministic = asBool(a.deterministic, false);
+  const clockTime = parseClockTime(a.clockTime);
+  if (clockTime !== undefined && !deterministic) {
+    throw new Error("clockTime requires deterministic: true.");
+  }
+  if (a.annotate !== undefined && a.annotate !== null && a.annotate !== "interactive") {
+    throw new Error(`Invalid annotate: ${String(a.annotate)}. Only "interactive" is supported.`);
+  }
+  const annotate = a.annotate === "interactive" ? "interactive" : undefined;
+  const maxMarks = Math.round(clamp(asNum(a.maxMarks, DEFAULT_MAX_MARKS), 1, MAX_MARKS));
+  const maxWidth = asOptLimit(a.maxWidth, MIN_FIT_SIZE, "maxWidth");
+  const maxHeight = asOptLimit(a.maxHeight, MIN_FIT_SIZE, "maxHeight");
+  const maxBytes = asOptLimit(a.maxBytes, MIN_FIT_BYTES, "maxBytes");
+  const includeConsole = asBool(a.includeConsole, false);
+  const tabId = asOptId(a.tabId, "tabId");
+  const windowId = asOptId(a.windowId, "windowId");
 
   return {
     url,
     match,
+    titleIncludes,
+    ignoreQuery,
+    ignoreHash,
     openIfMissing,
     focusWindow,
     activateTab,
@@ -116,85 +809,478 @@ export function parseScreenshotArgs(
     extraWaitMs,
     format,
     jpegQuality,
+    webpQuality,
     returnMode,
+    tiled,
+    tileHeight,
+    tileOverlap,
     artifactDir,
+    fullPage,
+    selector,
+    padding,
+    clip,
+    captureMode,
+    viewport,
+    waitFor,
+    mask,
+    hide,
+    maskColor,
+    deterministic,
+    clockTime,
+    annotate,
+    maxMarks,
+    maxWidth,
+    maxHeight,
+    maxBytes,
+    includeConsole,
+    tabId,
+    windowId,
   };
 }
 
-export function parseCleanupArtifactsArgs(
+/**
+ * Parses arguments for chrome_screenshot_breakpoints. Everything besides the
+ * breakpoint fields is parsed as chrome_screenshot arguments (always artifact mode).
+ * @throws {Error} If widths is missing/empty/too long or contains non-numbers.
+ */
+export function parseBreakpointsArgs(
   args: Record<string, unknown> | undefined
-): CleanupArtifactsParams {
-  const a = args ?? {};
-  const maxAgeHours = clamp(asNum(a.maxAgeHours, 24), 1, MAX_CLEANUP_HOURS);
-  const artifactDir = asOptStr(a.artifactDir);
-  return { maxAgeHours, artifactDir };
+): BreakpointsParams {
+  const { widths: rawWidths, height, deviceScaleFactor, mobile, ...rest } = args ?? {};
+
+  if (!Array.isArray(rawWidths) || rawWidths.length === 0) {
+    throw new Error("widths must be a non-empty array of numbers.");
+  }
+  if (rawWidths.length > MAX_BREAKPOINTS) {
+    throw new Error(`At most ${MAX_BREAKPOINTS} widths are supported per call.`);
+  }
+  // The contact sheet is composed server-side, which can only decode PNG and JPEG.
+  if (rest.format === "webp") {
+    throw new Error("Invalid format: chrome_screenshot_breakpoints supports png or jpeg.");
+  }
+  const widths = rawWidths.map((w) => {
+    if (typeof w !== "number" || !Number.isFinite(w)) {
+      throw new Error(`Invalid breakpoint width: ${String(w)}`);
+    }
+    return Math.round(clamp(w, MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE));
+  });
+
+  return {
+    widths: [...new Set(widths)],
+    height: Math.round(
+      clamp(asNum(height, DEFAULT_BREAKPOINT_HEIGHT), MIN_VIEWPORT_SIZE, MAX_VIEWPORT_SIZE)
+    ),
+    deviceScaleFactor: clamp(
+      asNum(deviceScaleFactor, 1),
+      MIN_DEVICE_SCALE_FACTOR,
+      MAX_DEVICE_SCALE_FACTOR
+    ),
+    mobile: asBool(mobile, false),
+    screenshot: parseScreenshotArgs({ ...rest, returnMode: "artifact", tiled: false }),
+  };
 }
 
 /**
- * Parses and validates arguments for the chrome_open_url tool.
- * @param args - Raw arguments from the MCP request.
- * @returns Parsed OpenUrlParams with validated and sanitized values.
- * @throws {Error} If the URL is invalid.
+ * Parses arguments for chrome_record. `record` captures for durationMs and returns
+ * the artifact; `start`/`stop` bracket an open-ended recording (capped at maxDurationMs).
+ * @throws {Error} If the URL is invalid or `stop` has no recordingId.
  */
-export function parseOpenUrlArgs(
-  args: Record<string, unknown> | undefined
-): OpenUrlParams {
+export function parseRecordArgs(args: Record<string, unknown> | undefined): RecordParams {
   const a = args ?? {};
 
+  const action: RecordParams["action"] =
+    a.action === "start" ? "start" : a.action === "stop" ? "stop" : "record";
+  const recordingId = asOptStr(a.recordingId);
+  if (action === "stop" && !recordingId) {
+    throw new Error("recordingId is required when action is \"stop\".");
+  }
+
   const originalUrl = a.url;
   const url = asStr(a.url, DEFAULT_URL);
-  try {
-    new URL(url);
-  } catch {
-    const displayUrl = originalUrl === undefined || originalUrl === "" ? DEFAULT_URL : originalUrl;
-    throw new Error(`Invalid URL format: "${displayUrl}" is not a valid URL`);
-  }
-  const matchValue = a.match;
-  if (matchValue !== undefined && matchValue !== "exact" && matchValue !== "prefix") {
-    console.warn(`Invalid match value "${matchValue}" - defaulting to "prefix"`);
+  const match: MatchMode = isMatchMode(a.match) ? a.match : "prefix";
+  if (action !== "stop") validateTargetUrl(url, originalUrl, match);
+
+  const durationMs = clamp(asNum(a.durationMs, DEFAULT_RECORD_DURATION_MS), 500, MAX_RECORD_DURATION_MS);
+  return {
+    action,
+    recordingId,
+    url,
+    match,
+    titleIncludes: asOptStr(a.titleIncludes),
+    ignoreQuery: asBool(a.ignoreQuery, false),
+    ignoreHash: asBool(a.ignoreHash, true),
+    openIfMissing: asBool(a.openIfMissing, true),
+    focusWindow: asBool(a.focusWindow, true),
+    activateTab: asBool(a.activateTab, true),
+    waitForComplete: asBool(a.waitForComplete, true),
+    timeoutMs: clamp(asNum(a.timeoutMs, 15_000), 1_000, MAX_TIMEOUT_MS),
+    tabId: asOptId(a.tabId, "tabId"),
+    windowId: asOptId(a.windowId, "windowId"),
+    fps: clamp(asNum(a.fps, 5), 1, MAX_RECORD_FPS),
+    durationMs,
+    // `record` stops itself; the cap only guards against a missing stop call.
+    maxDurationMs:
+      action === "record"
+        ? durationMs + 5_000
+        : clamp(asNum(a.maxDurationMs, 60_000), 1_000, MAX_RECORD_DURATION_MS),
+    format: a.format === "frames" ? "frames" : "gif",
+    maxWidth: Math.round(clamp(asNum(a.maxWidth, 800), MIN_RECORD_SIZE, MAX_RECORD_SIZE)),
+    maxHeight: Math.round(clamp(asNum(a.maxHeight, 800), MIN_RECORD_SIZE, MAX_RECORD_SIZE)),
+    quality: clamp(asNum(a.quality, 70), 10, 100),
+    artifactDir: asOptStr(a.artifactDir),
+  };
+}
+
+/**
+ * Parses arguments for chrome_image_diff.
+ * @throws {Error} If either image path is missing.
+ */
+export function parseImageDiffArgs(args: Record<string, unknown> | undefined): ImageDiffParams {
+  const a = args ?? {};
+  const beforePath = asOptStr(a.beforePath);
+  const afterPath = asOptStr(a.afterPath);
+  if (!beforePath || !afterPath) {
+    throw new Error("beforePath and afterPath are required.");
   }
-  const match: "prefix" | "exact" =
-    matchValue === "exact" ? "exact" : matchValue === "prefix" ? "prefix" : "prefix";
-  const reuseIfExists = asBool(a.reuseIfExists, true);
-  const openIfMissing = asBool(a.openIfMissing, true);
-  const focusWindow = asBool(a.focusWindow, true);
-  const activateTab = asBool(a.activateTab, true);
-  const waitForComplete = asBool(a.waitForComplete, true);
-  const timeoutMs = clamp(asNum(a.timeoutMs, 15_000), 1_000, MAX_TIMEOUT_MS);
+  return {
+    beforePath,
+    afterPath,
+    threshold: clamp(asNum(a.threshold, DEFAULT_DIFF_THRESHOLD), 0, 1),
+    ignoreAntialiasing: asBool(a.ignoreAntialiasing, true),
+    outputDir: asOptStr(a.outputDir),
+  };
+}
+
+/**
+ * Parses arguments shared by the chrome_baseline_* tools. Everything that is not a
+ * baseline option is kept as chrome_screenshot capture arguments.
+ * @throws {Error} If the baseline name is invalid.
+ */
+export function parseBaselineArgs(args: Record<string, unknown> | undefined): BaselineParams {
+  const {
+    name,
+    baselineDir,
+    overwrite,
+    threshold,
+    ignoreAntialiasing,
+    maxMismatchPercentage,
+    ...capture
+  } = args ?? {};
+  // Baselines are always PNG artifacts; these would be overridden anyway, so they are not stored.
+  delete capture.format;
+  delete capture.returnMode;
+
+  return {
+    name: validateBaselineName(name),
+    baselineDir: resolveBaselineDir(asOptStr(baselineDir)),
+    overwrite: asBool(overwrite, false),
+    threshold: clamp(asNum(threshold, DEFAULT_DIFF_THRESHOLD), 0, 1),
+    ignoreAntialiasing: asBool(ignoreAntialiasing, true),
+    maxMismatchPercentage: clamp(asNum(maxMismatchPercentage, 0), 0, 100),
+    capture,
+  };
+}
+
+/** Baselines are always diffed losslessly, so captures are forced to PNG artifacts. */
+function parseBaselineCapture(capture: Record<string, unknown>): ScreenshotParams {
+  return parseScreenshotArgs({ ...capture, format: "png", returnMode: "artifact", tiled: false });
+}
 
+/**
+ * Parses the tab targeting options of the inspection tools.
+ * @throws {Error} If the URL or an id is invalid.
+ */
+function parseInspectTarget(a: Record<string, unknown>): InspectTarget {
+  const url = asStr(a.url, DEFAULT_URL);
+  const match: MatchMode = isMatchMode(a.match) ? a.match : "prefix";
+  validateTargetUrl(url, a.url, match);
+  const timeoutMs = clamp(asNum(a.timeoutMs, 15_000), 1_000, MAX_TIMEOUT_MS);
   return {
     url,
     match,
-    reuseIfExists,
-    openIfMissing,
-    focusWindow,
-    activateTab,
-    waitForComplete,
+    titleIncludes: asOptStr(a.titleIncludes),
+    ignoreQuery: asBool(a.ignoreQuery, false),
+    ignoreHash: asBool(a.ignoreHash, true),
+    openIfMissing: asBool(a.openIfMissing, true),
+    waitForComplete: asBool(a.waitForComplete, true),
     timeoutMs,
+    waitFor: parseWaitFor(a.waitFor, timeoutMs),
+    tabId: asOptId(a.tabId, "tabId"),
+    windowId: asOptId(a.windowId, "windowId"),
   };
 }
 
-export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
-  const server = new Server(
-    { name: "chrome-live-screenshot-mcp", version: "0.1.0" },
-    { capabilities: { tools: {} } }
-  );
+/** Bridge payload for an inspection command's tab targeting. */
+function inspectTargetCallParams(p: InspectTarget): Record<string, unknown> {
+  return {
+    url: p.url,
+    match: p.match,
+    titleIncludes: p.titleIncludes,
+    ignoreQuery: p.ignoreQuery,
+    ignoreHash: p.ignoreHash,
+    openIfMissing: p.openIfMissing,
+    waitForComplete: p.waitForComplete,
+    timeoutMs: p.timeoutMs,
+    waitFor: p.waitFor,
+    tabId: p.tabId,
+    windowId: p.windowId,
+  };
+}
 
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: "chrome_list_tabs",
-          description: "List currently open Chrome tabs (via installed extension).",
-          inputSchema: {
-            type: "object",
-            properties: {},
-            additionalProperties: false,
-          },
-        },
-        {
-          name: "chrome_screenshot",
-          description:
+/** How long the server waits for an inspection command, covering load and waits. */
+function inspectTimeoutMs(p: InspectTarget): number {
+  return p.timeoutMs + waitForBudgetMs(p.waitFor) + 10_000;
+}
+
+/**
+ * Parses arguments for chrome_dom_snapshot.
+ * @throws {Error} If the tab targeting options are invalid.
+ */
+export function parseDomSnapshotArgs(args: Record<string, unknown> | undefined): DomSnapshotParams {
+  const a = args ?? {};
+  return {
+    ...parseInspectTarget(a),
+    selector: asOptStr(a.selector),
+    maxNodes: Math.round(clamp(asNum(a.maxNodes, DEFAULT_DOM_MAX_NODES), 1, MAX_DOM_NODES)),
+    maxChars: Math.round(
+      clamp(asNum(a.maxChars, DEFAULT_INSPECT_MAX_CHARS), MIN_INSPECT_MAX_CHARS, MAX_INSPECT_MAX_CHARS)
+    ),
+    format: a.format === "json" ? "json" : "outline",
+    includeHidden: asBool(a.includeHidden, false),
+  };
+}
+
+/**
+ * Parses arguments for chrome_page_text.
+ * @throws {Error} If the tab targeting options are invalid.
+ */
+export function parsePageTextArgs(args: Record<string, unknown> | undefined): PageTextParams {
+  const a = args ?? {};
+  return {
+    ...parseInspectTarget(a),
+    selector: asOptStr(a.selector),
+    format: a.format === "markdown" ? "markdown" : "text",
+    maxChars: Math.round(
+      clamp(asNum(a.maxChars, DEFAULT_INSPECT_MAX_CHARS), MIN_INSPECT_MAX_CHARS, MAX_INSPECT_MAX_CHARS)
+    ),
+  };
+}
+
+/**
+ * Parses arguments for chrome_inspect_element.
+ * @throws {Error} If the selector is missing or the property list or tab targeting is invalid.
+ */
+export function parseInspectElementArgs(
+  args: Record<string, unknown> | undefined
+): InspectElementParams {
+  const a = args ?? {};
+  const selector = asOptStr(a.selector);
+  if (!selector) throw new Error("Invalid selector: expected a non-empty CSS selector.");
+  let properties: string[] | undefined;
+  if (a.properties !== undefined && a.properties !== null) {
+    const items = Array.isArray(a.properties) ? a.properties : [a.properties];
+    properties = items.map((item) => {
+      const name = typeof item === "string" ? item.trim() : "";
+      if (!name) throw new Error("Invalid properties: expected CSS property names such as margin-top or flex*.");
+      // Custom properties keep their case; everything else is matched in lowercase.
+      return name.startsWith("--") ? name : name.toLowerCase();
+    });
+  }
+  return {
+    ...parseInspectTarget(a),
+    selector,
+    index: asOptId(a.index, "index") ?? 0,
+    properties,
+  };
+}
+
+/**
+ * Parses arguments for chrome_performance_metrics.
+ * @throws {Error} If the tab targeting options are invalid.
+ */
+export function parsePerformanceMetricsArgs(
+  args: Record<string, unknown> | undefined
+): PerformanceMetricsParams {
+  const a = args ?? {};
+  const reload = asBool(a.reload, false);
+  return {
+    ...parseInspectTarget(a),
+    reload,
+    settleMs: Math.round(
+      clamp(asNum(a.settleMs, reload ? DEFAULT_RELOAD_SETTLE_MS : 0), 0, MAX_SETTLE_MS)
+    ),
+    saveHistory: asBool(a.saveHistory, false),
+    artifactDir: asOptStr(a.artifactDir),
+  };
+}
+
+/**
+ * Parses `levels` given as one level or a list; defaults to every level.
+ * @throws {Error} If a level is unknown.
+ */
+function parseConsoleLevels(v: unknown): ConsoleLevel[] {
+  if (v === undefined || v === null) return [...CONSOLE_LEVELS];
+  const items = Array.isArray(v) ? v : [v];
+  const levels = items.map((item) => {
+    const level = item === "warning" ? "warn" : item;
+    if (!CONSOLE_LEVELS.includes(level as ConsoleLevel)) {
+      throw new Error(`Invalid console level: ${String(item)}. Expected ${CONSOLE_LEVELS.join(", ")}.`);
+    }
+    return level as ConsoleLevel;
+  });
+  if (levels.length === 0) throw new Error("levels must not be empty.");
+  return [...new Set(levels)];
+}
+
+/**
+ * Parses arguments for chrome_console_logs.
+ * @throws {Error} If the tab targeting options or levels are invalid.
+ */
+export function parseConsoleLogsArgs(args: Record<string, unknown> | undefined): ConsoleLogsParams {
+  const a = args ?? {};
+  return {
+    ...parseInspectTarget(a),
+    levels: parseConsoleLevels(a.levels),
+    since: Math.max(0, Math.floor(asNum(a.since, 0))),
+    maxEntries: Math.round(
+      clamp(asNum(a.maxEntries, DEFAULT_CONSOLE_MAX_ENTRIES), 1, MAX_CONSOLE_ENTRIES)
+    ),
+    clear: asBool(a.clear, false),
+    stop: asBool(a.stop, false),
+  };
+}
+
+/**
+ * Parses arguments for chrome_network_log.
+ * @throws {Error} If the tab targeting options or types are invalid.
+ */
+export function parseNetworkLogArgs(args: Record<string, unknown> | undefined): NetworkLogParams {
+  const a = args ?? {};
+  let types: string[] | undefined;
+  if (a.types !== undefined && a.types !== null) {
+    const items = Array.isArray(a.types) ? a.types : [a.types];
+    types = items.map((item) => {
+      const type = typeof item === "string" ? item.trim() : "";
+      if (!type) throw new Error("Invalid types: expected resource type names such as Fetch or XHR.");
+      return type;
+    });
+  }
+  return {
+    ...parseInspectTarget(a),
+    since: Math.max(0, Math.floor(asNum(a.since, 0))),
+    maxEntries: Math.round(
+      clamp(asNum(a.maxEntries, DEFAULT_NETWORK_MAX_ENTRIES), 1, MAX_NETWORK_ENTRIES)
+    ),
+    failedOnly: asBool(a.failedOnly, false),
+    urlIncludes: asOptStr(a.urlIncludes),
+    types,
+    clear: asBool(a.clear, false),
+    stop: asBool(a.stop, false),
+    exportHar: asBool(a.exportHar, false),
+    artifactDir: asOptStr(a.artifactDir),
+  };
+}
+
+/**
+ * Parses arguments for chrome_accessibility_tree.
+ * @throws {Error} If the tab targeting options are invalid.
+ */
+export function parseAccessibilityTreeArgs(
+  args: Record<string, unknown> | undefined
+): AccessibilityTreeParams {
+  const a = args ?? {};
+  return {
+    ...parseInspectTarget(a),
+    selector: asOptStr(a.selector),
+    interestingOnly: asBool(a.interestingOnly, true),
+    maxNodes: Math.round(clamp(asNum(a.maxNodes, DEFAULT_AX_MAX_NODES), 1, MAX_AX_NODES)),
+    maxChars: Math.round(
+      clamp(asNum(a.maxChars, DEFAULT_INSPECT_MAX_CHARS), MIN_INSPECT_MAX_CHARS, MAX_INSPECT_MAX_CHARS)
+    ),
+    format: a.format === "json" ? "json" : "outline",
+  };
+}
+
+export function parseCleanupArtifactsArgs(
+  args: Record<string, unknown> | undefined
+): CleanupArtifactsParams {
+  const a = args ?? {};
+  const maxAgeHours = clamp(asNum(a.maxAgeHours, 24), 1, MAX_CLEANUP_HOURS);
+  const artifactDir = asOptStr(a.artifactDir);
+  return { maxAgeHours, artifactDir };
+}
+
+/**
+ * Parses and validates arguments for the chrome_open_url tool.
+ * @param args - Raw arguments from the MCP request.
+ * @returns Parsed OpenUrlParams with validated and sanitized values.
+ * @throws {Error} If the URL is invalid.
+ */
+export function parseOpenUrlArgs(
+  args: Record<string, unknown> | undefined
+): OpenUrlParams {
+  const a = args ?? {};
+
+  const originalUrl = a.url;
+  const url = asStr(a.url, DEFAULT_URL);
+  const matchValue = a.match;
+  if (matchValue !== undefined && !isMatchMode(matchValue)) {
+    console.warn(`Invalid match value "${matchValue}" - defaulting to "prefix"`);
+  }
+  const match: MatchMode = isMatchMode(matchValue) ? matchValue : "prefix";
+  validateTargetUrl(url, originalUrl, match);
+  const titleIncludes = asOptStr(a.titleIncludes);
+  const ignoreQuery = asBool(a.ignoreQuery, false);
+  const ignoreHash = asBool(a.ignoreHash, true);
+  const reuseIfExists = asBool(a.reuseIfExists, true);
+  const openIfMissing = asBool(a.openIfMissing, true);
+  const focusWindow = asBool(a.focusWindow, true);
+  const activateTab = asBool(a.activateTab, true);
+  const waitForComplete = asBool(a.waitForComplete, true);
+  const timeoutMs = clamp(asNum(a.timeoutMs, 15_000), 1_000, MAX_TIMEOUT_MS);
+  const waitFor = parseWaitFor(a.waitFor, timeoutMs);
+  const tabId = asOptId(a.tabId, "tabId");
+  const windowId = asOptId(a.windowId, "windowId");
+
+  return {
+    url,
+    match,
+    titleIncludes,
+    ignoreQuery,
+    ignoreHash,
+    reuseIfExists,
+    openIfMissing,
+    focusWindow,
+    activateTab,
+    waitForComplete,
+    timeoutMs,
+    waitFor,
+    tabId,
+    windowId,
+  };
+}
+
+export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
+  const server = new Server(
+    SERVER_INFO,
+    { capabilities: { tools: {} } }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return {
+      tools: [
+        {
+          name: "chrome_list_tabs",
+          description: "List currently open Chrome tabs (via installed extension).",
+          inputSchema: {
+            type: "object",
+            properties: {},
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_screenshot",
+          description:
             "Capture a viewport screenshot from an already-open Chrome tab matching a URL (default http://localhost:5173/). Default returnMode='artifact' to keep context light.",
           inputSchema: {
             type: "object",
@@ -202,8 +1288,19 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
               url: { type: "string", description: "Target URL to match." },
               match: {
                 type: "string",
-                enum: ["prefix", "exact"],
-                description: "How to match the URL against open tabs.",
+                enum: MATCH_MODES,
+                description: MATCH_DESCRIPTION,
+              },
+              ...TAB_FILTER_PROPERTIES,
+              tabId: {
+                type: "number",
+                description:
+                  "Capture this tab (from chrome_list_tabs) instead of matching by URL.",
+              },
+              windowId: {
+                type: "number",
+                description:
+                  "Capture the active tab of this window; with tabId, the tab must be in this window.",
               },
               openIfMissing: {
                 type: "boolean",
@@ -211,11 +1308,46 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
               },
               focusWindow: {
                 type: "boolean",
-                description: "Focus the window before capturing.",
+                description: "Focus the window before capturing. Ignored when captureMode=background.",
               },
               activateTab: {
                 type: "boolean",
-                description: "Activate the tab before capturing.",
+                description: "Activate the tab before capturing. Ignored when captureMode=background.",
+              },
+              maxWidth: {
+                type: "number",
+                description:
+                  "Downscale on the server so the delivered image is at most this wide (aspect ratio kept). The response reports original and delivered sizes.",
+              },
+              maxHeight: {
+                type: "number",
+                description: "Downscale so the delivered image is at most this tall.",
+              },
+              maxBytes: {
+                type: "number",
+                description:
+                  "Max encoded size in bytes (base64 is ~4/3 larger). Over budget images are re-encoded as JPEG with lower quality, then shrunk.",
+              },
+              annotate: {
+                type: "string",
+                enum: ["interactive"],
+                description:
+                  "Set-of-marks: number every visible clickable/focusable element and draw a labeled box over it. Returns a legend (id -> role, name, selector, box) and writes it next to the artifact.",
+              },
+              maxMarks: {
+                type: "number",
+                description: "Max elements to annotate (default 200).",
+              },
+              includeConsole: {
+                type: "boolean",
+                description:
+                  "Also return console errors/warnings (incl. uncaught exceptions and failed loads) buffered at capture time. Arms the same per-tab capture as chrome_console_logs (the debugger stays attached).",
+              },
+              captureMode: {
+                type: "string",
+                enum: ["visible", "background"],
+                description:
+                  "visible (default): focus/activate and use captureVisibleTab; background: capture inactive tabs or unfocused windows via the debugger without stealing focus.",
               },
               waitForComplete: {
                 type: "boolean",
@@ -230,20 +1362,163 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
                 type: "number",
                 description: "Extra settle wait before capture.",
               },
+              waitFor: WAIT_FOR_SCHEMA,
+              ...MASK_PROPERTIES,
+              ...DETERMINISM_PROPERTIES,
               format: {
                 type: "string",
-                enum: ["png", "jpeg"],
-                description: "Image format to capture.",
+                enum: ["png", "jpeg", "webp"],
+                description:
+                  "Image format to capture. webp is usually the smallest; when the server has to crop (clip/selector) it is delivered as png.",
               },
               jpegQuality: {
                 type: "number",
                 description: "JPEG quality (0-100). Only used when format=jpeg.",
               },
+              webpQuality: {
+                type: "number",
+                description: "WebP quality (0-100). Only used when format=webp.",
+              },
               returnMode: {
                 type: "string",
-                enum: ["artifact", "image"],
+                enum: ["artifact", "image", "tiles"],
+                description:
+                  "artifact (default): save to disk and return path+metadata; image: return base64 image content; tiles: return the image as overlapping horizontal strips (for tall fullPage captures), each captioned with its vertical offset.",
+              },
+              tiled: {
+                type: "boolean",
+                description:
+                  "Artifact mode only: write shot-...-tile-N files plus a shot-...-tiles.json index instead of one image.",
+              },
+              tileHeight: {
+                type: "number",
+                description: `Tile height in image pixels for returnMode=tiles or tiled artifacts (default ${DEFAULT_TILE_HEIGHT}).`,
+              },
+              tileOverlap: {
+                type: "number",
+                description: `Pixels shared by consecutive tiles (default ${DEFAULT_TILE_OVERLAP}, at most half of tileHeight).`,
+              },
+              artifactDir: {
+                type: "string",
+                description:
+                  "Optional directory for artifact files. Default is platform cache directory.",
+              },
+              fullPage: {
+                type: "boolean",
+                description:
+                  "Capture the whole scrollable document instead of just the viewport (uses the debugger protocol).",
+              },
+              selector: {
+                type: "string",
+                description:
+                  "CSS selector of an element to capture. The element is scrolled into view and the image is cropped to its bounding box.",
+              },
+              padding: {
+                type: "number",
+                description: "Extra CSS pixels to keep around the selected element (default 0).",
+              },
+              viewport: {
+                description:
+                  "Emulate a viewport for this capture (cleared afterwards). Either a preset name or {width, height, deviceScaleFactor, mobile}.",
+                oneOf: [
+                  { type: "string", enum: Object.keys(VIEWPORT_PRESETS) },
+                  {
+                    type: "object",
+                    properties: {
+                      width: { type: "number" },
+                      height: { type: "number" },
+                      deviceScaleFactor: { type: "number" },
+                      mobile: { type: "boolean" },
+                    },
+                    required: ["width", "height"],
+                    additionalProperties: false,
+                  },
+                ],
+              },
+              clip: {
+                type: "object",
                 description:
-                  "artifact (default): save to disk and return path+metadata; image: return base64 image content.",
+                  "Region to keep, in CSS pixels of the viewport (or of the document when fullPage=true). Scaled by devicePixelRatio on HiDPI screens.",
+                properties: {
+                  x: { type: "number" },
+                  y: { type: "number" },
+                  width: { type: "number" },
+                  height: { type: "number" },
+                },
+                required: ["x", "y", "width", "height"],
+                additionalProperties: false,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_screenshot_breakpoints",
+          description:
+            "Capture one URL at several viewport widths in a single call. Writes one artifact per width plus a side-by-side contact sheet.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              url: { type: "string", description: "Target URL to match." },
+              widths: {
+                type: "array",
+                items: { type: "number" },
+                description: `Viewport widths in CSS pixels (1-${MAX_BREAKPOINTS}), e.g. [375, 768, 1440].`,
+              },
+              height: {
+                type: "number",
+                description: `Viewport height for every breakpoint (default ${DEFAULT_BREAKPOINT_HEIGHT}).`,
+              },
+              deviceScaleFactor: {
+                type: "number",
+                description: "Device scale factor to emulate (default 1).",
+              },
+              mobile: {
+                type: "boolean",
+                description: "Emulate a mobile device (touch, mobile viewport meta).",
+              },
+              match: {
+                type: "string",
+                enum: MATCH_MODES,
+                description: MATCH_DESCRIPTION,
+              },
+              ...TAB_FILTER_PROPERTIES,
+              openIfMissing: {
+                type: "boolean",
+                description: "Open a new tab if no match is found.",
+              },
+              captureMode: {
+                type: "string",
+                enum: ["visible", "background"],
+                description: "visible (default) or background (no focus stealing).",
+              },
+              fullPage: {
+                type: "boolean",
+                description: "Capture the whole document at each width.",
+              },
+              waitForComplete: {
+                type: "boolean",
+                description: "Wait for tab load status to be 'complete' before capturing.",
+              },
+              timeoutMs: {
+                type: "number",
+                description: "Max time to wait for load/operations, per breakpoint.",
+              },
+              extraWaitMs: {
+                type: "number",
+                description: "Extra settle wait before each capture.",
+              },
+              waitFor: WAIT_FOR_SCHEMA,
+              ...MASK_PROPERTIES,
+              ...DETERMINISM_PROPERTIES,
+              format: {
+                type: "string",
+                enum: ["png", "jpeg"],
+                description: "Image format for the per-breakpoint artifacts.",
+              },
+              jpegQuality: {
+                type: "number",
+                description: "JPEG quality (0-100). Only used when format=jpeg.",
               },
               artifactDir: {
                 type: "string",
@@ -251,6 +1526,7 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
                   "Optional directory for artifact files. Default is platform cache directory.",
               },
             },
+            required: ["widths"],
             additionalProperties: false,
           },
         },
@@ -264,8 +1540,19 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
               url: { type: "string", description: "Target URL to open." },
               match: {
                 type: "string",
-                enum: ["prefix", "exact"],
-                description: "How to match existing tabs before opening.",
+                enum: MATCH_MODES,
+                description: `${MATCH_DESCRIPTION} Used to find existing tabs before opening.`,
+              },
+              ...TAB_FILTER_PROPERTIES,
+              tabId: {
+                type: "number",
+                description:
+                  "Focus/activate this tab (from chrome_list_tabs) instead of matching by URL. The tab is not navigated.",
+              },
+              windowId: {
+                type: "number",
+                description:
+                  "Focus the active tab of this window; with tabId, the tab must be in this window.",
               },
               reuseIfExists: {
                 type: "boolean",
@@ -292,38 +1579,525 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
                 type: "number",
                 description: "Max wait time for tab load and operations.",
               },
+              waitFor: WAIT_FOR_SCHEMA,
             },
             additionalProperties: false,
           },
         },
         {
-          name: "chrome_artifact_cleanup",
+          name: "chrome_record",
           description:
-            "Clean up old screenshot artifacts from disk to keep cache size under control.",
+            "Record a matched tab as an animated GIF (or a folder of numbered JPEG frames plus manifest.json) in the artifact directory. action='record' captures for durationMs; 'start' returns a recordingId and 'stop' finishes it.",
           inputSchema: {
             type: "object",
             properties: {
-              maxAgeHours: {
+              action: {
+                type: "string",
+                enum: ["record", "start", "stop"],
+                description: "record (default): fixed duration. start/stop: record until stopped.",
+              },
+              recordingId: { type: "string", description: "Recording to finish (action='stop')." },
+              url: { type: "string", description: "Target URL, matched like chrome_screenshot." },
+              match: {
+                type: "string",
+                enum: MATCH_MODES,
+                description: MATCH_DESCRIPTION,
+              },
+              ...TAB_FILTER_PROPERTIES,
+              tabId: { type: "number", description: "Record this tab (from chrome_list_tabs)." },
+              windowId: { type: "number", description: "Record the active tab of this window." },
+              openIfMissing: {
+                type: "boolean",
+                description: "Open a tab when none matches.",
+              },
+              focusWindow: { type: "boolean", description: "Focus the window first." },
+              activateTab: {
+                type: "boolean",
+                description: "Activate the tab first (hidden tabs do not repaint).",
+              },
+              waitForComplete: {
+                type: "boolean",
+                description: "Wait for tab load status to be 'complete' before recording.",
+              },
+              timeoutMs: { type: "number", description: "Max time to wait for the tab." },
+              fps: { type: "number", description: "Frames sampled per second (1-15, default 5)." },
+              durationMs: {
                 type: "number",
-                description: "Delete files older than this many hours (default 24).",
+                description: "Recording length for action='record' (default 3000, max 120000).",
               },
-              artifactDir: {
+              maxDurationMs: {
+                type: "number",
+                description: "Auto-stop for action='start' (default 60000).",
+              },
+              format: {
                 type: "string",
-                description:
-                  "Optional artifact directory to clean. Default is platform cache directory.",
+                enum: ["gif", "frames"],
+                description: "gif (default) or a rec-* folder of frames with manifest.json.",
               },
+              maxWidth: { type: "number", description: "Max frame width in pixels (default 800)." },
+              maxHeight: { type: "number", description: "Max frame height in pixels (default 800)." },
+              quality: { type: "number", description: "JPEG quality of sampled frames (default 70)." },
+              artifactDir: { type: "string", description: "Custom output directory." },
             },
             additionalProperties: false,
           },
         },
-      ],
+        {
+          name: "chrome_image_diff",
+          description:
+            "Pixel-diff two screenshots (PNG/JPEG paths, e.g. artifactPath values). Returns mismatch percentage and pixel count, and writes a diff PNG (changes in red, anti-aliasing in yellow) next to beforePath.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              beforePath: { type: "string", description: "Reference image path." },
+              afterPath: { type: "string", description: "Image to compare against the reference." },
+              threshold: {
+                type: "number",
+                description:
+                  "Per-pixel color tolerance from 0 (exact) to 1 (default 0.1). Higher ignores subtler changes.",
+              },
+              ignoreAntialiasing: {
+                type: "boolean",
+                description:
+                  "Do not count pixels detected as anti-aliased edges as mismatches (default true).",
+              },
+              outputDir: {
+                type: "string",
+                description: "Where to write the diff image (default: the folder of beforePath).",
+              },
+            },
+            required: ["beforePath", "afterPath"],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_baseline_save",
+          description:
+            "Capture a screenshot and store it as the golden image for a named baseline. Accepts chrome_screenshot arguments (url, viewport, selector, fullPage, mask, deterministic, ...); they are remembered for compare. format and returnMode are ignored: captures are always PNG artifacts.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Baseline name, e.g. home-desktop (letters, digits, '.', '_', '-').",
+              },
+              baselineDir: {
+                type: "string",
+                description:
+                  "Directory holding goldens (default $MCP_CHROME_BASELINE_DIR or ./visual-baselines). Meant to be committed.",
+              },
+              url: { type: "string", description: "Page to capture (chrome_screenshot url)." },
+              overwrite: {
+                type: "boolean",
+                description: "Replace an existing golden (default false).",
+              },
+            },
+            required: ["name"],
+            additionalProperties: true,
+          },
+        },
+        {
+          name: "chrome_baseline_compare",
+          description:
+            "Capture again with the baseline's saved chrome_screenshot arguments (overridable), diff against the golden and return pass/fail with a diff artifact. format and returnMode are ignored (always PNG). The capture is kept as the pending candidate for chrome_baseline_approve.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Baseline name, e.g. home-desktop (letters, digits, '.', '_', '-').",
+              },
+              baselineDir: {
+                type: "string",
+                description:
+                  "Directory holding goldens (default $MCP_CHROME_BASELINE_DIR or ./visual-baselines). Meant to be committed.",
+              },
+              threshold: {
+                type: "number",
+                description: "Per-pixel color tolerance 0-1 (default 0.1).",
+              },
+              ignoreAntialiasing: {
+                type: "boolean",
+                description: "Ignore anti-aliased edge pixels (default true).",
+              },
+              maxMismatchPercentage: {
+                type: "number",
+                description: "Pass when at most this % of pixels differ (default 0).",
+              },
+            },
+            required: ["name"],
+            additionalProperties: true,
+          },
+        },
+        {
+          name: "chrome_baseline_approve",
+          description:
+            "Promote the latest chrome_baseline_compare capture of a baseline to be its golden image.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              name: {
+                type: "string",
+                description: "Baseline name, e.g. home-desktop (letters, digits, '.', '_', '-').",
+              },
+              baselineDir: {
+                type: "string",
+                description:
+                  "Directory holding goldens (default $MCP_CHROME_BASELINE_DIR or ./visual-baselines). Meant to be committed.",
+              },
+              artifactDir: {
+                type: "string",
+                description: "Artifact directory used by the compare call, if customized.",
+              },
+            },
+            required: ["name"],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_dom_snapshot",
+          description:
+            "Serialize the matched tab's DOM as a trimmed, text-only structure: visible elements with tag, id, role, data-testid, key attributes, own text and document-space bounding box (CSS px). Scripts, styles and hidden subtrees are dropped and anonymous wrappers are collapsed. Works on background tabs without focusing them.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              selector: {
+                type: "string",
+                description: "CSS selector of the subtree root (default: document.body).",
+              },
+              format: {
+                type: "string",
+                enum: ["outline", "json"],
+                description:
+                  "outline (default): one indented line per element, e.g. button#save [testid=save] \"Save\" @120,340 80x32; json: nested node tree.",
+              },
+              maxNodes: {
+                type: "number",
+                description: `Max elements to serialize (default ${DEFAULT_DOM_MAX_NODES}, max ${MAX_DOM_NODES}).`,
+              },
+              maxChars: {
+                type: "number",
+                description: `Max characters of serialized output (default ${DEFAULT_INSPECT_MAX_CHARS}). Output stops at the last whole element that fits.`,
+              },
+              includeHidden: {
+                type: "boolean",
+                description: "Keep display:none and visibility:hidden elements (default false).",
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_page_text",
+          description:
+            "Return the visible text of the matched tab, optionally as Markdown with headings, lists, links, emphasis, code blocks and tables kept. Hidden elements, scripts, styles and form field values are left out. Much cheaper than a screenshot for content checks; works on background tabs without focusing them.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              selector: {
+                type: "string",
+                description: "CSS selector of the element to extract (default: document.body).",
+              },
+              format: {
+                type: "string",
+                enum: ["text", "markdown"],
+                description: "text (default): one line per block, table cells tab-separated; markdown: structured Markdown.",
+              },
+              maxChars: {
+                type: "number",
+                description: `Max characters of output (default ${DEFAULT_INSPECT_MAX_CHARS}, max ${MAX_INSPECT_MAX_CHARS}). Longer output is cut at a line break and flagged truncated.`,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_inspect_element",
+          description:
+            "Inspect one element of the matched tab by CSS selector: match count, viewport bounding box, box model (margin, border, padding, content size), computed styles (all or selected properties) and a visibility verdict (visible, partially_occluded, occluded, offscreen or hidden, with the covering elements). Use it to confirm the actual CSS behind a misaligned screenshot.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              selector: {
+                type: "string",
+                description: "CSS selector of the element to inspect.",
+              },
+              index: {
+                type: "number",
+                description: "Which match to inspect when the selector matches several (0-based, default 0).",
+              },
+              properties: {
+                description:
+                  "Computed properties to return: exact names, custom properties (--brand) or prefixes ending in * (margin*, grid-*). Default: all.",
+                oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+              },
+            },
+            required: ["selector"],
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_performance_metrics",
+          description:
+            "Measure web performance of the matched tab from the browser's performance timeline: navigation timing (TTFB, DOMContentLoaded, load), FCP, Core Web Vitals (LCP, CLS, INP, FID) with good/needs-improvement/poor ratings, long tasks and total blocking time, JS heap size and resource counts/bytes by type. Returns structured JSON; optionally reloads for a cold load and appends each run to a per-URL history file.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              reload: {
+                type: "boolean",
+                description: "Reload the tab bypassing the HTTP cache and measure the fresh load (default false).",
+              },
+              settleMs: {
+                type: "number",
+                description: `Wait after load before reading metrics (default ${DEFAULT_RELOAD_SETTLE_MS} with reload, else 0; max ${MAX_SETTLE_MS}).`,
+              },
+              saveHistory: {
+                type: "boolean",
+                description:
+                  "Append the key metrics to perf-history/<page>.jsonl in the artifact dir and return the change since the previous run.",
+              },
+              artifactDir: { type: "string", description: "Custom artifact directory for the history file." },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_console_logs",
+          description:
+            "Read the browser console of the matched tab: console.* messages, uncaught exceptions/rejections and browser log entries (failed requests, violations). Capture is armed on first use and buffered per tab in the extension (last 1000 entries); Chrome replays what the current page logged before arming. Page forward with the returned cursor as since.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              levels: {
+                description: `Level(s) to return: ${CONSOLE_LEVELS.join(", ")} (default all).`,
+                oneOf: [
+                  { type: "string", enum: CONSOLE_LEVELS },
+                  { type: "array", items: { type: "string", enum: CONSOLE_LEVELS } },
+                ],
+              },
+              since: {
+                type: "number",
+                description: "Only entries after this cursor (the nextSince of a previous call).",
+              },
+              maxEntries: {
+                type: "number",
+                description: `Max entries to return, oldest first (default ${DEFAULT_CONSOLE_MAX_ENTRIES}, max ${MAX_CONSOLE_ENTRIES}).`,
+              },
+              clear: {
+                type: "boolean",
+                description:
+                  "Remove the returned entries from the tab's buffer; entries filtered out by levels or beyond maxEntries are kept.",
+              },
+              stop: {
+                type: "boolean",
+                description: "Stop capturing after reading and detach the debugger.",
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_network_log",
+          description:
+            "Record the matched tab's requests (URL, method, status, timing, size, failure reason) from the moment this tool is first called for the tab; later calls return what was recorded. Useful to spot failed API calls behind a blank screenshot. exportHar writes a HAR 1.2 file to the artifact directory.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              since: {
+                type: "number",
+                description: "Only requests finished after this cursor (the nextSince of a previous call).",
+              },
+              maxEntries: {
+                type: "number",
+                description: `Max requests to return, oldest first (default ${DEFAULT_NETWORK_MAX_ENTRIES}, max ${MAX_NETWORK_ENTRIES}).`,
+              },
+              failedOnly: {
+                type: "boolean",
+                description: "Only HTTP errors (status >= 400) and requests that failed, were blocked or canceled.",
+              },
+              urlIncludes: { type: "string", description: "Only requests whose URL contains this text." },
+              types: {
+                description: "Resource type(s) to keep, e.g. Fetch, XHR, Document, Script, Image.",
+                oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+              },
+              exportHar: {
+                type: "boolean",
+                description:
+                  "Also write every matching recorded request (not capped by maxEntries) with headers and timings as net-*.har.",
+              },
+              artifactDir: { type: "string", description: "Custom directory for the HAR file." },
+              clear: {
+                type: "boolean",
+                description:
+                  "Remove the returned requests from the tab's log; requests not matching the filters or beyond maxEntries are kept.",
+              },
+              stop: {
+                type: "boolean",
+                description: "Stop recording after reading and detach the debugger.",
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_accessibility_tree",
+          description:
+            "Return the matched tab's computed accessibility tree (role, name, value, states such as focused/checked/expanded, children) as a compact text-only alternative to a screenshot. Attaches the debugger briefly; works on background tabs. Main frame only.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              ...INSPECT_TARGET_PROPERTIES,
+              selector: {
+                type: "string",
+                description: "CSS selector of the subtree root (default: the whole document).",
+              },
+              interestingOnly: {
+                type: "boolean",
+                description:
+                  "Default true: drop ignored nodes, anonymous generic containers and text repeating its parent's name (children are kept). false returns every node, marking ignored ones.",
+              },
+              format: {
+                type: "string",
+                enum: ["outline", "json"],
+                description:
+                  "outline (default): indented lines like - button \"Save\" [focusable, disabled]; json: nested {role, name, value, states, children}.",
+              },
+              maxNodes: {
+                type: "number",
+                description: `Max nodes to return (default ${DEFAULT_AX_MAX_NODES}, max ${MAX_AX_NODES}).`,
+              },
+              maxChars: {
+                type: "number",
+                description: `Max characters of serialized output (default ${DEFAULT_INSPECT_MAX_CHARS}).`,
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+        {
+          name: "chrome_artifact_cleanup",
+          description:
+            "Clean up old screenshot artifacts from disk to keep cache size under control.",
+          inputSchema: {
+            type: "object",
+            properties: {
+              maxAgeHours: {
+                type: "number",
+                description: "Delete files older than this many hours (default 24).",
+              },
+              artifactDir: {
+                type: "string",
+                description:
+                  "Optional artifact directory to clean. Default is platform cache directory.",
+              },
+            },
+            additionalProperties: false,
+          },
+        },
+      ],
     };
   });
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const name = request.params.name;
-    const args = (request.params.arguments ?? {}) as Record<string, unknown>;
+  // Sends a screenshot command to the extension and applies any server-side crop.
+  const requestScreenshot = async (p: ScreenshotParams): Promise<ScreenshotBridgeResult> => {
+    // The server cannot decode or encode webp, so captures it has to crop, resize or
+    // tile are taken and delivered as png (or jpeg when maxBytes forces a re-encode).
+    const needsProcessing = Boolean(
+      p.clip || p.selector || p.maxWidth || p.maxHeight || p.maxBytes || p.returnMode === "tiles" || p.tiled
+    );
+    const format = p.format === "webp" && needsProcessing ? "png" : p.format;
+    const result = (await bridge.call(
+      "screenshot",
+      {
+        url: p.url,
+        match: p.match,
+        titleIncludes: p.titleIncludes,
+        ignoreQuery: p.ignoreQuery,
+        ignoreHash: p.ignoreHash,
+        openIfMissing: p.openIfMissing,
+        focusWindow: p.focusWindow,
+        activateTab: p.activateTab,
+        waitForComplete: p.waitForComplete,
+        timeoutMs: p.timeoutMs,
+        extraWaitMs: p.extraWaitMs,
+        format,
+        jpegQuality: p.jpegQuality,
+        webpQuality: p.webpQuality,
+        fullPage: p.fullPage,
+        selector: p.selector,
+        padding: p.padding,
+        captureMode: p.captureMode,
+        viewport: p.viewport,
+        waitFor: p.waitFor,
+        mask: p.mask,
+        hide: p.hide,
+        maskColor: p.maskColor,
+        deterministic: p.deterministic,
+        clockTime: p.clockTime,
+        annotate: p.annotate,
+        maxMarks: p.maxMarks,
+        includeConsole: p.includeConsole,
+        tabId: p.tabId,
+        windowId: p.windowId,
+      },
+      p.timeoutMs + waitForBudgetMs(p.waitFor) + 10_000
+    )) as ScreenshotBridgeResult;
+
+    if (!result?.mimeType || !result?.data) {
+      log("screenshot result missing fields", JSON.stringify(result));
+      throw new Error("Extension returned an invalid screenshot response.");
+    }
+
+    const cropRect = p.clip ?? result.crop;
+    if (cropRect) {
+      const cropped = cropScreenshotData({
+        base64Data: result.data,
+        mimeType: result.mimeType,
+        rect: cropRect,
+        devicePixelRatio: result.devicePixelRatio ?? 1,
+        jpegQuality: p.jpegQuality,
+      });
+      result.data = cropped.base64Data;
+      if (result.marks) result.marks = offsetMarksToCrop(result.marks, cropRect);
+    }
 
+    if (p.maxWidth || p.maxHeight || p.maxBytes) {
+      const fitted = fitScreenshotData({
+        base64Data: result.data,
+        mimeType: result.mimeType,
+        maxWidth: p.maxWidth,
+        maxHeight: p.maxHeight,
+        maxBytes: p.maxBytes,
+        jpegQuality: p.jpegQuality,
+      });
+      result.data = fitted.base64Data;
+      result.mimeType = fitted.mimeType;
+      result.fitted = {
+        originalWidth: fitted.originalWidth,
+        originalHeight: fitted.originalHeight,
+        width: fitted.width,
+        height: fitted.height,
+        byteSize: fitted.byteSize,
+        ...(fitted.jpegQuality !== undefined ? { jpegQuality: fitted.jpegQuality } : {}),
+      };
+    }
+    if (result.marks) {
+      result.marks = scaleMarks(
+        result.marks,
+        markImageScale(result.devicePixelRatio ?? 1, result.fitted)
+      );
+    }
+
+    return result;
+  };
+
+  const handleToolCall = async (name: string, args: Record<string, unknown>) => {
     if (name === "chrome_list_tabs") {
       const result = await bridge.call("listTabs", {}, 15_000);
       return {
@@ -334,27 +2108,8 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
     if (name === "chrome_screenshot") {
       const p = parseScreenshotArgs(args);
 
-      const result = (await bridge.call(
-        "screenshot",
-        {
-          url: p.url,
-          match: p.match,
-          openIfMissing: p.openIfMissing,
-          focusWindow: p.focusWindow,
-          activateTab: p.activateTab,
-          waitForComplete: p.waitForComplete,
-          timeoutMs: p.timeoutMs,
-          extraWaitMs: p.extraWaitMs,
-          format: p.format,
-          jpegQuality: p.jpegQuality,
-        },
-        p.timeoutMs + 10_000
-      )) as { mimeType: string; data: string };
-
-      if (!result?.mimeType || !result?.data) {
-        log("screenshot result missing fields", JSON.stringify(result));
-        throw new Error("Extension returned an invalid screenshot response.");
-      }
+      const result = await requestScreenshot(p);
+      const consoleReport = result.console ? captureConsoleReport(result.console) : undefined;
 
       if (p.returnMode === "image") {
         return {
@@ -364,6 +2119,116 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
               mimeType: result.mimeType,
               data: result.data,
             },
+            ...(typeof result.devicePixelRatio === "number" || result.fitted || consoleReport
+              ? [
+                  {
+                    type: "text",
+                    text: JSON.stringify({
+                      ...(typeof result.devicePixelRatio === "number"
+                        ? { devicePixelRatio: result.devicePixelRatio }
+                        : {}),
+                      ...(result.fitted ? { mimeType: result.mimeType, ...result.fitted } : {}),
+                      ...(consoleReport ? { console: consoleReport } : {}),
+                    }),
+                  },
+                ]
+              : []),
+            ...(result.marks
+              ? [
+                  {
+                    type: "text",
+                    text: JSON.stringify({
+                      marks: result.marks,
+                      marksTruncated: result.marksTruncated === true,
+                    }),
+                  },
+                ]
+              : []),
+          ],
+        };
+      }
+
+      if (p.returnMode === "tiles" || p.tiled) {
+        const { tiles, fullWidth, fullHeight } = tileScreenshotData({
+          base64Data: result.data,
+          mimeType: result.mimeType,
+          tileHeight: p.tileHeight,
+          overlap: p.tileOverlap,
+          jpegQuality: p.jpegQuality,
+        });
+        const marks = result.marks
+          ? { marks: result.marks, marksTruncated: result.marksTruncated === true }
+          : {};
+
+        if (p.returnMode === "tiles") {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify({
+                  tiles: tiles.length,
+                  fullWidth,
+                  fullHeight,
+                  tileOverlap: p.tileOverlap,
+                  ...(typeof result.devicePixelRatio === "number"
+                    ? { devicePixelRatio: result.devicePixelRatio }
+                    : {}),
+                  ...(result.fullPage ? { truncated: result.truncated === true } : {}),
+                  ...(consoleReport ? { console: consoleReport } : {}),
+                  ...marks,
+                }),
+              },
+              ...tiles.flatMap((tile) => [
+                {
+                  type: "text",
+                  text: `Tile ${tile.index + 1}/${tiles.length}: y=${tile.y}..${tile.y + tile.height} of ${fullHeight}px`,
+                },
+                { type: "image", mimeType: tile.mimeType, data: tile.base64Data },
+              ]),
+            ],
+          };
+        }
+
+        const tiledArtifact = await writeTiledScreenshotArtifact({
+          tiles,
+          fullWidth,
+          fullHeight,
+          artifactDir: p.artifactDir,
+          index: {
+            url: p.url,
+            devicePixelRatio: result.devicePixelRatio ?? null,
+            tileOverlap: p.tileOverlap,
+            ...marks,
+          },
+        });
+        return {
+          content: [
+            {
+              type: "text",
+              text: JSON.stringify(
+                {
+                  success: true,
+                  returnMode: "artifact",
+                  tiled: true,
+                  indexPath: tiledArtifact.indexPath,
+                  fullWidth,
+                  fullHeight,
+                  tileOverlap: p.tileOverlap,
+                  tiles: tiledArtifact.tiles,
+                  captureMode: result.captureMode ?? p.captureMode,
+                  devicePixelRatio: result.devicePixelRatio ?? null,
+                  ...(result.fullPage ? { truncated: result.truncated === true } : {}),
+                  ...(result.waits ? { waits: result.waits } : {}),
+                  ...(result.masks ? { masks: result.masks } : {}),
+                  ...(result.deterministic ? { deterministic: result.deterministic } : {}),
+                  ...(result.marks ? { marksTruncated: result.marksTruncated === true } : {}),
+                  ...(consoleReport ? { console: consoleReport } : {}),
+                  defaultArtifactDir: getDefaultArtifactDir(),
+                },
+                null,
+                2
+              ),
+            },
           ],
         };
       }
@@ -372,6 +2237,7 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
         base64Data: result.data,
         mimeType: result.mimeType,
         artifactDir: p.artifactDir,
+        legend: result.marks,
       });
 
       return {
@@ -387,6 +2253,39 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
                 byteSize: artifact.byteSize,
                 width: artifact.width,
                 height: artifact.height,
+                ...(result.fullPage
+                  ? {
+                      fullPage: true,
+                      pageWidth: result.pageWidth ?? null,
+                      pageHeight: result.pageHeight ?? null,
+                      truncated: result.truncated === true,
+                    }
+                  : {}),
+                captureMode: result.captureMode ?? p.captureMode,
+                devicePixelRatio: result.devicePixelRatio ?? null,
+                ...(result.fitted
+                  ? {
+                      originalWidth: result.fitted.originalWidth,
+                      originalHeight: result.fitted.originalHeight,
+                      ...(result.fitted.jpegQuality !== undefined
+                        ? { jpegQuality: result.fitted.jpegQuality }
+                        : {}),
+                    }
+                  : {}),
+                ...(p.viewport ? { viewport: p.viewport } : {}),
+                ...(p.selector ? { selector: p.selector, crop: result.crop ?? null } : {}),
+                ...(p.clip ? { clip: p.clip } : {}),
+                ...(result.waits ? { waits: result.waits } : {}),
+                ...(result.masks ? { masks: result.masks } : {}),
+                ...(result.deterministic ? { deterministic: result.deterministic } : {}),
+                ...(result.marks
+                  ? {
+                      legendPath: artifact.legendPath,
+                      marks: result.marks,
+                      marksTruncated: result.marksTruncated === true,
+                    }
+                  : {}),
+                ...(consoleReport ? { console: consoleReport } : {}),
                 defaultArtifactDir: getDefaultArtifactDir(),
                 attachHints: {
                   codex: `codex exec --image "${artifact.artifactPath}" "<prompt>"`,
@@ -401,6 +2300,71 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
       };
     }
 
+    if (name === "chrome_screenshot_breakpoints") {
+      const p = parseBreakpointsArgs(args);
+      const shots: Array<{ breakpoint: number; data: string; mimeType: string }> = [];
+      const breakpoints = [];
+
+      for (const width of p.widths) {
+        const viewport = {
+          width,
+          height: p.height,
+          deviceScaleFactor: p.deviceScaleFactor,
+          mobile: p.mobile,
+        };
+        const result = await requestScreenshot({ ...p.screenshot, viewport });
+        const artifact = await writeScreenshotArtifact({
+          base64Data: result.data,
+          mimeType: result.mimeType,
+          artifactDir: p.screenshot.artifactDir,
+        });
+        shots.push({ breakpoint: width, data: result.data, mimeType: result.mimeType });
+        breakpoints.push({
+          breakpoint: width,
+          viewport,
+          artifactPath: artifact.artifactPath,
+          mimeType: artifact.mimeType,
+          byteSize: artifact.byteSize,
+          width: artifact.width,
+          height: artifact.height,
+        });
+      }
+
+      let contactSheet: unknown = null;
+      try {
+        contactSheet = await writeContactSheetArtifact({
+          images: shots.map((s) => ({
+            base64Data: s.data,
+            mimeType: s.mimeType,
+            label: `${s.breakpoint}px`,
+          })),
+          artifactDir: p.screenshot.artifactDir,
+        });
+      } catch (err) {
+        log("contact sheet failed", err instanceof Error ? err.message : String(err));
+        contactSheet = { error: err instanceof Error ? err.message : String(err) };
+      }
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                url: p.screenshot.url,
+                breakpoints,
+                contactSheet,
+                defaultArtifactDir: getDefaultArtifactDir(),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
     if (name === "chrome_open_url") {
       const p = parseOpenUrlArgs(args);
       const result = await bridge.call(
@@ -408,20 +2372,556 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
         {
           url: p.url,
           match: p.match,
+          titleIncludes: p.titleIncludes,
+          ignoreQuery: p.ignoreQuery,
+          ignoreHash: p.ignoreHash,
           reuseIfExists: p.reuseIfExists,
           openIfMissing: p.openIfMissing,
           focusWindow: p.focusWindow,
           activateTab: p.activateTab,
           waitForComplete: p.waitForComplete,
           timeoutMs: p.timeoutMs,
+          waitFor: p.waitFor,
+          tabId: p.tabId,
+          windowId: p.windowId,
         },
-        p.timeoutMs + 10_000
+        p.timeoutMs + waitForBudgetMs(p.waitFor) + 10_000
       );
       return {
         content: [{ type: "text", text: JSON.stringify(result, null, 2) }],
       };
     }
 
+    if (name === "chrome_record") {
+      const p = parseRecordArgs(args);
+
+      let recordingId = p.recordingId;
+      if (p.action !== "stop") {
+        const started = (await bridge.call(
+          "recordStart",
+          {
+            url: p.url,
+            match: p.match,
+            titleIncludes: p.titleIncludes,
+            ignoreQuery: p.ignoreQuery,
+            ignoreHash: p.ignoreHash,
+            openIfMissing: p.openIfMissing,
+            focusWindow: p.focusWindow,
+            activateTab: p.activateTab,
+            waitForComplete: p.waitForComplete,
+            timeoutMs: p.timeoutMs,
+            tabId: p.tabId,
+            windowId: p.windowId,
+            fps: p.fps,
+            maxDurationMs: p.maxDurationMs,
+            maxWidth: p.maxWidth,
+            maxHeight: p.maxHeight,
+            quality: p.quality,
+          },
+          p.timeoutMs + 10_000
+        )) as { recordingId: string };
+
+        if (p.action === "start") {
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(
+                  { success: true, action: "start", ...started, format: p.format },
+                  null,
+                  2
+                ),
+              },
+            ],
+          };
+        }
+
+        recordingId = started.recordingId;
+        await new Promise((r) => setTimeout(r, p.durationMs));
+      }
+
+      const stopped = (await bridge.call("recordStop", { recordingId }, 60_000)) as RecordStopResult;
+      const artifact = await writeRecordingArtifact({
+        frames: stopped.frames.map((f) => ({
+          base64Data: f.data,
+          mimeType: stopped.mimeType,
+          timestampMs: f.timestampMs,
+        })),
+        fps: stopped.fps,
+        format: p.format,
+        artifactDir: p.artifactDir,
+      });
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                recordingId,
+                tabId: stopped.tabId,
+                ...artifact,
+                sampledFrames: stopped.frames.length,
+                fps: stopped.fps,
+                stopReason: stopped.stopReason,
+                truncated: stopped.truncated,
+                defaultArtifactDir: getDefaultArtifactDir(),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_image_diff") {
+      const p = parseImageDiffArgs(args);
+      const result = await writeImageDiffArtifact({
+        beforePath: p.beforePath,
+        afterPath: p.afterPath,
+        threshold: p.threshold,
+        ignoreAntialiasing: p.ignoreAntialiasing,
+        outputDir: p.outputDir,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                ...result,
+                identical: result.mismatchedPixels === 0,
+                threshold: p.threshold,
+                ignoreAntialiasing: p.ignoreAntialiasing,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_baseline_save") {
+      const p = parseBaselineArgs(args);
+      const shot = await requestScreenshot(parseBaselineCapture(p.capture));
+      const saved = await saveBaseline({
+        name: p.name,
+        baselineDir: p.baselineDir,
+        base64Data: shot.data,
+        capture: p.capture,
+        overwrite: p.overwrite,
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                name: p.name,
+                baselinePath: saved.baselinePath,
+                metaPath: saved.metaPath,
+                width: saved.meta.width,
+                height: saved.meta.height,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_baseline_compare") {
+      const p = parseBaselineArgs(args);
+      const meta = await readBaselineMeta(p.name, p.baselineDir);
+      const screenshot = parseBaselineCapture({ ...meta.capture, ...p.capture });
+      const shot = await requestScreenshot(screenshot);
+      const result = await compareBaseline({
+        name: p.name,
+        baselineDir: p.baselineDir,
+        base64Data: shot.data,
+        threshold: p.threshold,
+        ignoreAntialiasing: p.ignoreAntialiasing,
+        maxMismatchPercentage: p.maxMismatchPercentage,
+        artifactDir: screenshot.artifactDir,
+      });
+      return {
+        content: [{ type: "text", text: JSON.stringify({ success: true, ...result }, null, 2) }],
+      };
+    }
+
+    if (name === "chrome_baseline_approve") {
+      const p = parseBaselineArgs(args);
+      const approved = await approveBaseline({
+        name: p.name,
+        baselineDir: p.baselineDir,
+        artifactDir: asOptStr(p.capture.artifactDir),
+      });
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: true,
+                name: p.name,
+                baselinePath: approved.baselinePath,
+                approvedFrom: approved.approvedFrom,
+                width: approved.meta.width,
+                height: approved.meta.height,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_dom_snapshot") {
+      const p = parseDomSnapshotArgs(args);
+      const snapshot = (await bridge.call(
+        "domSnapshot",
+        {
+          ...inspectTargetCallParams(p),
+          selector: p.selector,
+          maxNodes: p.maxNodes,
+          includeHidden: p.includeHidden,
+        },
+        inspectTimeoutMs(p)
+      )) as DomSnapshot;
+      if (!Array.isArray(snapshot?.nodes)) {
+        log("domSnapshot result missing fields", JSON.stringify(snapshot));
+        throw new Error("Extension returned an invalid DOM snapshot response.");
+      }
+
+      const formatted = formatDomSnapshot(snapshot, { format: p.format, maxChars: p.maxChars });
+      const summary = {
+        tabId: snapshot.tabId,
+        windowId: snapshot.windowId,
+        url: snapshot.url,
+        title: snapshot.title,
+        viewport: snapshot.viewport,
+        scroll: snapshot.scroll,
+        ...(p.selector ? { selector: p.selector } : {}),
+        format: formatted.format,
+        nodeCount: formatted.nodeCount,
+        visitedElements: snapshot.visited,
+        truncated: formatted.truncated,
+        ...(snapshot.waits ? { waits: snapshot.waits } : {}),
+      };
+      return {
+        content: [
+          { type: "text", text: JSON.stringify(summary, null, 2) },
+          { type: "text", text: formatted.content },
+        ],
+      };
+    }
+
+    if (name === "chrome_page_text") {
+      const p = parsePageTextArgs(args);
+      const snapshot = (await bridge.call(
+        "pageText",
+        { ...inspectTargetCallParams(p), selector: p.selector, maxChars: p.maxChars },
+        inspectTimeoutMs(p)
+      )) as PageTextSnapshot;
+      if (!Array.isArray(snapshot?.nodes)) {
+        log("pageText result missing fields", JSON.stringify(snapshot));
+        throw new Error("Extension returned an invalid page text response.");
+      }
+
+      const formatted = formatPageText(snapshot, { format: p.format, maxChars: p.maxChars });
+      const summary = {
+        tabId: snapshot.tabId,
+        windowId: snapshot.windowId,
+        url: snapshot.url,
+        title: snapshot.title,
+        ...(p.selector ? { selector: p.selector } : {}),
+        format: formatted.format,
+        charCount: formatted.charCount,
+        truncated: formatted.truncated,
+        ...(snapshot.waits ? { waits: snapshot.waits } : {}),
+      };
+      return {
+        content: [
+          { type: "text", text: JSON.stringify(summary, null, 2) },
+          { type: "text", text: formatted.content },
+        ],
+      };
+    }
+
+    if (name === "chrome_inspect_element") {
+      const p = parseInspectElementArgs(args);
+      const customProperties = (p.properties ?? []).filter(
+        (prop) => prop.startsWith("--") && !prop.endsWith("*")
+      );
+      const inspection = (await bridge.call(
+        "inspectElement",
+        { ...inspectTargetCallParams(p), selector: p.selector, index: p.index, customProperties },
+        inspectTimeoutMs(p)
+      )) as ElementInspection;
+      if (!inspection?.styles || !inspection.visibility) {
+        log("inspectElement result missing fields", JSON.stringify(inspection));
+        throw new Error("Extension returned an invalid element inspection response.");
+      }
+
+      const selected = selectStyles(inspection.styles, p.properties);
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                tabId: inspection.tabId,
+                windowId: inspection.windowId,
+                url: inspection.url,
+                selector: p.selector,
+                matchCount: inspection.matchCount,
+                index: inspection.index,
+                element: inspection.element,
+                viewport: inspection.viewport,
+                scroll: inspection.scroll,
+                box: inspection.box,
+                boxModel: inspection.boxModel,
+                visibility: visibilityReport(inspection),
+                styles: selected.styles,
+                ...(selected.unknownProperties.length > 0
+                  ? { unknownProperties: selected.unknownProperties }
+                  : {}),
+                ...(inspection.waits ? { waits: inspection.waits } : {}),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_performance_metrics") {
+      const p = parsePerformanceMetricsArgs(args);
+      const raw = (await bridge.call(
+        "performanceMetrics",
+        { ...inspectTargetCallParams(p), reload: p.reload, settleMs: p.settleMs },
+        inspectTimeoutMs(p) + (p.reload ? p.timeoutMs : 0) + p.settleMs
+      )) as RawPerformance;
+      if (!Array.isArray(raw?.resources) || !raw.paints || !Number.isFinite(raw.timeOrigin)) {
+        log("performanceMetrics result missing fields", JSON.stringify(raw));
+        throw new Error("Extension returned an invalid performance metrics response.");
+      }
+
+      const summary = summarizePerformance(raw);
+      const history = p.saveHistory
+        ? await appendPerformanceHistory({
+            url: raw.url,
+            reloaded: raw.reloaded,
+            metrics: historyMetrics(summary),
+            artifactDir: p.artifactDir,
+          })
+        : null;
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                tabId: raw.tabId,
+                windowId: raw.windowId,
+                url: raw.url,
+                title: raw.title,
+                reloaded: raw.reloaded,
+                navigationStart: new Date(raw.timeOrigin).toISOString(),
+                pageAgeMs: Math.round(raw.now),
+                visibilityState: raw.visibilityState,
+                ...summary,
+                ...(history ? { history } : {}),
+                ...(raw.waits ? { waits: raw.waits } : {}),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_console_logs") {
+      const p = parseConsoleLogsArgs(args);
+      const result = (await bridge.call(
+        "consoleLogs",
+        { ...inspectTargetCallParams(p), since: p.since, stop: p.stop },
+        inspectTimeoutMs(p)
+      )) as ConsoleBuffer & {
+        tabId: number;
+        windowId: number;
+        url: string;
+        armedAt: number;
+        newlyArmed: boolean;
+        capturing: boolean;
+        waits?: Array<{ type: string; elapsedMs: number }>;
+      };
+      if (!Array.isArray(result?.entries)) {
+        log("consoleLogs result missing fields", JSON.stringify(result));
+        throw new Error("Extension returned an invalid console log response.");
+      }
+
+      const page = pageConsoleEntries(result, { levels: p.levels, maxEntries: p.maxEntries });
+      // Stopping discards the buffer anyway; otherwise drop only what is returned here.
+      if (p.clear && !p.stop && page.clearSeqs.length > 0) {
+        await bridge.call("consoleClear", { tabId: result.tabId, seqs: page.clearSeqs }, 15_000);
+      }
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                tabId: result.tabId,
+                windowId: result.windowId,
+                url: result.url,
+                capturing: result.capturing,
+                newlyArmed: result.newlyArmed,
+                armedAt: new Date(result.armedAt).toISOString(),
+                levels: p.levels,
+                nextSince: page.nextSince,
+                matched: page.matched,
+                truncated: page.truncated,
+                dropped: result.dropped,
+                ...(result.waits ? { waits: result.waits } : {}),
+                entries: page.entries,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_network_log") {
+      const p = parseNetworkLogArgs(args);
+      const result = (await bridge.call(
+        "networkLog",
+        { ...inspectTargetCallParams(p), since: p.since, stop: p.stop },
+        inspectTimeoutMs(p)
+      )) as {
+        tabId: number;
+        windowId: number;
+        url: string;
+        title: string;
+        armedAt: number;
+        newlyArmed: boolean;
+        capturing: boolean;
+        cursor: number;
+        dropped: number;
+        entries: NetworkEntry[];
+        pending: Array<{ url: string; method: string; resourceType: string; startedAt: number }>;
+        waits?: Array<{ type: string; elapsedMs: number }>;
+      };
+      if (!Array.isArray(result?.entries)) {
+        log("networkLog result missing fields", JSON.stringify(result));
+        throw new Error("Extension returned an invalid network log response.");
+      }
+
+      const page = pageNetworkEntries(result, {
+        failedOnly: p.failedOnly,
+        urlIncludes: p.urlIncludes,
+        types: p.types,
+        maxEntries: p.maxEntries,
+      });
+      // As for console logs: stopping discards the log, otherwise drop only the returned requests.
+      if (p.clear && !p.stop && page.clearSeqs.length > 0) {
+        await bridge.call("networkClear", { tabId: result.tabId, seqs: page.clearSeqs }, 15_000);
+      }
+      const har = p.exportHar
+        ? await writeHarArtifact({
+            entries: page.matching,
+            pageUrl: result.url,
+            pageTitle: result.title,
+            startedAt: result.armedAt,
+            creatorName: SERVER_INFO.name,
+            creatorVersion: SERVER_INFO.version,
+            artifactDir: p.artifactDir,
+          })
+        : null;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                tabId: result.tabId,
+                windowId: result.windowId,
+                url: result.url,
+                capturing: result.capturing,
+                newlyArmed: result.newlyArmed,
+                armedAt: new Date(result.armedAt).toISOString(),
+                nextSince: page.nextSince,
+                matched: page.matching.length,
+                failed: page.matching.filter(isFailedRequest).length,
+                truncated: page.truncated,
+                dropped: result.dropped,
+                pendingCount: result.pending.length,
+                ...(result.pending.length > 0
+                  ? { pending: result.pending.slice(0, MAX_PENDING_REQUESTS_SHOWN) }
+                  : {}),
+                ...(har ? { har } : {}),
+                ...(result.waits ? { waits: result.waits } : {}),
+                entries: page.entries.map(summarizeNetworkEntry),
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
+
+    if (name === "chrome_accessibility_tree") {
+      const p = parseAccessibilityTreeArgs(args);
+      const snapshot = (await bridge.call(
+        "accessibilityTree",
+        { ...inspectTargetCallParams(p), selector: p.selector },
+        inspectTimeoutMs(p)
+      )) as AxTreeSnapshot;
+      if (!Array.isArray(snapshot?.nodes)) {
+        log("accessibilityTree result missing fields", JSON.stringify(snapshot));
+        throw new Error("Extension returned an invalid accessibility tree response.");
+      }
+
+      const formatted = formatAxTree(snapshot, {
+        interestingOnly: p.interestingOnly,
+        maxNodes: p.maxNodes,
+        maxChars: p.maxChars,
+        format: p.format,
+      });
+      const summary = {
+        tabId: snapshot.tabId,
+        windowId: snapshot.windowId,
+        url: snapshot.url,
+        title: snapshot.title,
+        ...(p.selector ? { selector: p.selector } : {}),
+        interestingOnly: p.interestingOnly,
+        format: formatted.format,
+        nodeCount: formatted.nodeCount,
+        totalNodes: snapshot.nodes.length,
+        truncated: formatted.truncated,
+        ...(snapshot.waits ? { waits: snapshot.waits } : {}),
+      };
+      return {
+        content: [
+          { type: "text", text: JSON.stringify(summary, null, 2) },
+          { type: "text", text: formatted.content },
+        ],
+      };
+    }
+
     if (name === "chrome_artifact_cleanup") {
       const p = parseCleanupArtifactsArgs(args);
       const result = await cleanupScreenshotArtifacts({
@@ -434,6 +2934,37 @@ export function createMcpServer({ bridge, log }: CreateMcpServerArgs) {
     }
 
     throw new Error(`Unknown tool: ${name}`);
+  };
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const name = request.params.name;
+    const args = (request.params.arguments ?? {}) as Record<string, unknown>;
+
+    try {
+      return await handleToolCall(name, args);
+    } catch (err) {
+      // Errors categorized by the extension (e.g. selector_not_found) are returned as
+      // tool results so the agent can branch on `reason` instead of parsing messages.
+      const reason = (err as { reason?: unknown })?.reason;
+      if (typeof reason !== "string") throw err;
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                success: false,
+                error: err instanceof Error ? err.message : String(err),
+                reason,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    }
   });
 
   return {
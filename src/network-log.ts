@@ -0,0 +1,256 @@
+/** CDP ResourceTiming: `requestTime` in seconds, the rest in ms relative to it (-1 = n/a). */
+export type ResourceTiming = {
+  requestTime: number;
+  dnsStart: number;
+  dnsEnd: number;
+  connectStart: number;
+  connectEnd: number;
+  sslStart: number;
+  sslEnd: number;
+  sendStart: number;
+  sendEnd: number;
+  receiveHeadersEnd: number;
+};
+
+/** One finished (or failed) request as the extension records it. */
+export type NetworkEntry = {
+  seq: number;
+  requestId: string;
+  url: string;
+  method: string;
+  resourceType: string;
+  requestHeaders: Record<string, string>;
+  postData?: string;
+  /** Wall-clock start, epoch ms. */
+  startedAt: number;
+  /** Monotonic CDP timestamps in seconds. */
+  startTime: number;
+  endTime: number | null;
+  /** 0 when no response arrived. */
+  status: number;
+  statusText: string;
+  mimeType: string;
+  protocol: string;
+  responseHeaders: Record<string, string>;
+  timing: ResourceTiming | null;
+  remoteIPAddress: string | null;
+  fromCache: boolean;
+  /** Bytes on the wire, headers included. */
+  encodedBytes: number;
+  /** Decoded body bytes. */
+  bodyBytes: number;
+  redirectURL?: string;
+  failure?: string;
+};
+
+export type NetworkEntrySummary = {
+  seq: number;
+  method: string;
+  url: string;
+  status: number;
+  type: string;
+  mimeType?: string;
+  durationMs: number | null;
+  encodedBytes: number;
+  fromCache?: boolean;
+  redirectURL?: string;
+  failure?: string;
+};
+
+export type NetworkFilter = {
+  failedOnly: boolean;
+  urlIncludes?: string;
+  types?: string[];
+};
+
+/** HTTP errors (status >= 400) and requests that never completed count as failed. */
+export function isFailedRequest(entry: NetworkEntry): boolean {
+  return Boolean(entry.failure) || entry.status >= 400;
+}
+
+export function durationMs(entry: NetworkEntry): number | null {
+  if (entry.endTime === null) return null;
+  return Math.max(0, Math.round((entry.endTime - entry.startTime) * 1000));
+}
+
+/** Applies the filter only; the caller decides how many to keep. */
+export function filterNetworkEntries(entries: NetworkEntry[], filter: NetworkFilter): NetworkEntry[] {
+  const types = filter.types ? new Set(filter.types.map((t) => t.toLowerCase())) : null;
+  return entries.filter(
+    (e) =>
+      (!filter.failedOnly || isFailedRequest(e)) &&
+      (!filter.urlIncludes || e.url.includes(filter.urlIncludes)) &&
+      (!types || types.has(e.resourceType.toLowerCase()))
+  );
+}
+
+export type NetworkPage = {
+  /** Every entry passing the filter, before the maxEntries cap (what a HAR export holds). */
+  matching: NetworkEntry[];
+  entries: NetworkEntry[];
+  truncated: boolean;
+  /** Cursor for the next read: the last returned entry when capped, else the log cursor. */
+  nextSince: number;
+  /** Seqs a `clear` may remove: only what this page returns to the caller. */
+  clearSeqs: number[];
+};
+
+/**
+ * One read of the request log as chrome_network_log returns it. Requests that do not
+ * match the filter or fall beyond `maxEntries` are never cleared.
+ */
+export function pageNetworkEntries(
+  log: { cursor: number; entries: NetworkEntry[] },
+  opts: NetworkFilter & { maxEntries: number }
+): NetworkPage {
+  const matching = filterNetworkEntries(log.entries, opts);
+  const entries = matching.slice(0, opts.maxEntries);
+  const truncated = entries.length < matching.length;
+  return {
+    matching,
+    entries,
+    truncated,
+    nextSince: truncated ? entries[entries.length - 1].seq : log.cursor,
+    clearSeqs: entries.map((e) => e.seq),
+  };
+}
+
+export function summarizeNetworkEntry(entry: NetworkEntry): NetworkEntrySummary {
+  return {
+    seq: entry.seq,
+    method: entry.method,
+    url: entry.url,
+    status: entry.status,
+    type: entry.resourceType,
+    ...(entry.mimeType ? { mimeType: entry.mimeType } : {}),
+    durationMs: durationMs(entry),
+    encodedBytes: entry.encodedBytes,
+    ...(entry.fromCache ? { fromCache: true } : {}),
+    ...(entry.redirectURL ? { redirectURL: entry.redirectURL } : {}),
+    ...(entry.failure ? { failure: entry.failure } : {}),
+  };
+}
+
+function harHeaders(headers: Record<string, string>) {
+  // CDP joins repeated headers with newlines.
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value)
+      .split("\n")
+      .map((v) => ({ name, value: v }))
+  );
+}
+
+function harQueryString(url: string) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+function harHttpVersion(protocol: string): string {
+  if (protocol === "h2") return "HTTP/2.0";
+  if (protocol === "h3" || protocol.startsWith("h3-")) return "HTTP/3";
+  return protocol.toUpperCase();
+}
+
+function headerValue(headers: Record<string, string>, name: string): string | undefined {
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * HAR timings from CDP ResourceTiming. Phases that did not happen are -1;
+ * send/wait/receive are always >= 0 as HAR requires.
+ */
+export function harTimings(entry: NetworkEntry) {
+  const total = durationMs(entry) ?? 0;
+  const t = entry.timing;
+  if (!t) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+  }
+  const span = (start: number, end: number) => (start >= 0 && end >= start ? end - start : -1);
+  const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0) ?? 0;
+  // requestTime can be later than the requestWillBeSent timestamp (queueing).
+  const queued = Math.max(0, (t.requestTime - entry.startTime) * 1000);
+  const headersEnd = Math.max(t.receiveHeadersEnd, t.sendEnd, 0);
+  const round = (v: number) => (v < 0 ? -1 : Math.round(v * 1000) / 1000);
+  return {
+    blocked: round(queued + firstPhase),
+    dns: round(span(t.dnsStart, t.dnsEnd)),
+    connect: round(span(t.connectStart, t.connectEnd)),
+    ssl: round(span(t.sslStart, t.sslEnd)),
+    send: round(Math.max(0, span(t.sendStart, t.sendEnd))),
+    wait: round(Math.max(0, headersEnd - Math.max(t.sendEnd, 0))),
+    receive: round(Math.max(0, total - queued - headersEnd)),
+  };
+}
+
+/** Builds a HAR 1.2 log with one page holding `entries` in start order. */
+export function buildHar(
+  entries: NetworkEntry[],
+  meta: { creatorName: string; creatorVersion: string; pageUrl: string; pageTitle: string; startedAt: number }
+) {
+  const pageId = "page_1";
+  const sorted = [...entries].sort((a, b) => a.startedAt - b.startedAt);
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: meta.creatorName, version: meta.creatorVersion },
+      pages: [
+        {
+          startedDateTime: new Date(sorted[0]?.startedAt ?? meta.startedAt).toISOString(),
+          id: pageId,
+          title: meta.pageTitle || meta.pageUrl,
+          pageTimings: {},
+        },
+      ],
+      entries: sorted.map((e) => {
+        const timings = harTimings(e);
+        const time = Object.entries(timings)
+          .filter(([phase, v]) => phase !== "ssl" && v > 0)
+          .reduce((sum, [, v]) => sum + v, 0);
+        const httpVersion = harHttpVersion(e.protocol);
+        return {
+          pageref: pageId,
+          startedDateTime: new Date(e.startedAt).toISOString(),
+          time: Math.round(time * 1000) / 1000,
+          request: {
+            method: e.method,
+            url: e.url,
+            httpVersion,
+            cookies: [],
+            headers: harHeaders(e.requestHeaders),
+            queryString: harQueryString(e.url),
+            ...(e.postData !== undefined
+              ? {
+                  postData: {
+                    mimeType: headerValue(e.requestHeaders, "content-type") ?? "",
+                    text: e.postData,
+                  },
+                }
+              : {}),
+            headersSize: -1,
+            bodySize: e.postData !== undefined ? Buffer.byteLength(e.postData) : 0,
+          },
+          response: {
+            status: e.status,
+            statusText: e.statusText,
+            httpVersion,
+            cookies: [],
+            headers: harHeaders(e.responseHeaders),
+            content: { size: e.bodyBytes, mimeType: e.mimeType || "x-unknown" },
+            redirectURL: e.redirectURL ?? "",
+            headersSize: -1,
+            bodySize: e.status === 0 ? -1 : e.encodedBytes,
+          },
+          cache: {},
+          timings,
+          ...(e.remoteIPAddress ? { serverIPAddress: e.remoteIPAddress } : {}),
+          _resourceType: e.resourceType,
+          ...(e.failure ? { _failure: e.failure } : {}),
+        };
+      }),
+    },
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Element kept by the extension's text extraction. Semantic tags keep their name;
+ * every other block is "div". `pre` carries its text verbatim in `text`.
+ */
+export type PageTextElement = {
+  tag: string;
+  children?: PageTextNode[];
+  href?: string;
+  src?: string;
+  alt?: string;
+  text?: string;
+};
+
+/** Strings are text runs with whitespace already collapsed (except inside `pre`). */
+export type PageTextNode = string | PageTextElement;
+
+/** Payload the extension returns for the pageText command. */
+export type PageTextSnapshot = {
+  tabId: number;
+  windowId: number;
+  url: string;
+  title: string;
+  nodes: PageTextNode[];
+  truncated: boolean;
+  waits?: Array<{ type: string; elapsedMs: number }>;
+};
+
+export type FormattedPageText = {
+  format: "text" | "markdown";
+  content: string;
+  charCount: number;
+  truncated: boolean;
+};
+
+const INLINE_TAGS = new Set(["a", "strong", "b", "em", "i", "code", "img", "br"]);
+const HEADING = /^h([1-6])$/;
+
+function isInline(node: PageTextNode): boolean {
+  return typeof node === "string" || INLINE_TAGS.has(node.tag);
+}
+
+// Puts markers around the text but leaves surrounding spaces outside: " x " -> " **x** ".
+function wrap(inner: string, open: string, close: string): string {
+  const m = /^(\s*)([\s\S]*?)(\s*)$/.exec(inner)!;
+  return m[2] ? `${m[1]}${open}${m[2]}${close}${m[3]}` : inner;
+}
+
+function renderInline(nodes: PageTextNode[], md: boolean): string {
+  let out = "";
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      out += node;
+      continue;
+    }
+    const inner = () => renderInline(node.children ?? [], md);
+    switch (node.tag) {
+      case "br":
+        out += "\n";
+        break;
+      case "img":
+        if (node.alt) out += md ? `![${node.alt}](${node.src ?? ""})` : node.alt;
+        break;
+      case "a":
+        out += md && node.href ? wrap(inner().replace(/\s*\n\s*/g, " "), "[", `](${node.href})`) : inner();
+        break;
+      case "strong":
+      case "b":
+        out += md ? wrap(inner(), "**", "**") : inner();
+        break;
+      case "em":
+      case "i":
+        out += md ? wrap(inner(), "_", "_") : inner();
+        break;
+      case "code":
+        out += md ? wrap(inner(), "`", "`") : inner();
+        break;
+      case "pre":
+        out += ` ${node.text ?? ""} `;
+        break;
+      default:
+        // A block inside an inline element (e.g. a card wrapped in a link) flattens into the line.
+        out += ` ${inner()} `;
+    }
+  }
+  return out;
+}
+
+function cleanLines(text: string): string {
+  return text
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+}
+
+function oneLine(text: string): string {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+function blockSeparator(md: boolean): string {
+  return md ? "\n\n" : "\n";
+}
+
+function renderBlocks(nodes: PageTextNode[], md: boolean): string[] {
+  const blocks: string[] = [];
+  let inline: PageTextNode[] = [];
+  const flush = () => {
+    const text = cleanLines(renderInline(inline, md));
+    if (text) blocks.push(text);
+    inline = [];
+  };
+  for (const node of nodes) {
+    if (isInline(node)) {
+      inline.push(node);
+      continue;
+    }
+    flush();
+    const block = renderBlock(node as PageTextElement, md);
+    if (block) blocks.push(block);
+  }
+  flush();
+  return blocks;
+}
+
+function renderListItem(item: PageTextElement, marker: string, md: boolean): string {
+  const body = renderBlocks(item.children ?? [], md).join("\n");
+  if (!body) return "";
+  if (!md) return body;
+  const indent = " ".repeat(marker.length + 1);
+  return body
+    .split("\n")
+    .map((line, i) => (i === 0 ? `${marker} ${line}` : line ? indent + line : line))
+    .join("\n");
+}
+
+function renderList(list: PageTextElement, md: boolean): string {
+  let n = 0;
+  return (list.children ?? [])
+    .map((child) => {
+      const item: PageTextElement = typeof child === "string" ? { tag: "li", children: [child] } : child;
+      return renderListItem(item, list.tag === "ol" ? `${++n}.` : "-", md);
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Rows of this table only; nested tables stay inside their cell.
+function tableRows(node: PageTextElement, rows: PageTextElement[] = []): PageTextElement[] {
+  for (const child of node.children ?? []) {
+    if (typeof child === "string" || child.tag === "table") continue;
+    if (child.tag === "tr") rows.push(child);
+    else tableRows(child, rows);
+  }
+  return rows;
+}
+
+function renderTable(table: PageTextElement, md: boolean): string {
+  const cellText = (cell: PageTextNode) =>
+    typeof cell === "string" ? oneLine(cell) : oneLine(renderBlocks(cell.children ?? [], md).join(" "));
+  const rows = tableRows(table)
+    .map((tr) =>
+      (tr.children ?? [])
+        .filter((c) => typeof c !== "string" || c.trim() !== "")
+        .map(cellText)
+    )
+    .filter((cells) => cells.some(Boolean));
+  const caption = (table.children ?? []).find(
+    (c): c is PageTextElement => typeof c !== "string" && c.tag === "caption"
+  );
+  const out: string[] = [];
+  if (caption) {
+    const text = cellText(caption);
+    if (text) out.push(md ? `**${text}**` : text);
+  }
+  if (rows.length === 0) return out.join(blockSeparator(md));
+  if (!md) {
+    out.push(rows.map((cells) => cells.join("\t")).join("\n"));
+    return out.join("\n");
+  }
+
+  // Markdown tables need a header row; the first row serves as one.
+  const columns = Math.max(...rows.map((cells) => cells.length));
+  const line = (cells: string[]) =>
+    `| ${Array.from({ length: columns }, (_, i) => (cells[i] ?? "").replace(/\|/g, "\\|")).join(" | ")} |`;
+  const lines = [line(rows[0]), line(Array(columns).fill("---")), ...rows.slice(1).map(line)];
+  out.push(lines.join("\n"));
+  return out.join("\n\n");
+}
+
+function renderBlock(node: PageTextElement, md: boolean): string {
+  const heading = HEADING.exec(node.tag);
+  if (heading) {
+    const text = oneLine(renderInline(node.children ?? [], md));
+    return text && md ? `${"#".repeat(Number(heading[1]))} ${text}` : text;
+  }
+  switch (node.tag) {
+    case "ul":
+    case "ol":
+      return renderList(node, md);
+    case "li":
+      return renderListItem(node, "-", md);
+    case "table":
+      return renderTable(node, md);
+    case "pre": {
+      const text = (node.text ?? "").replace(/\s+$/, "");
+      if (!text) return "";
+      return md ? `\`\`\`\n${text}\n\`\`\`` : text;
+    }
+    case "blockquote": {
+      const inner = renderBlocks(node.children ?? [], md).join(blockSeparator(md));
+      if (!md) return inner;
+      return inner
+        .split("\n")
+        .map((line) => (line ? `> ${line}` : ">"))
+        .join("\n");
+    }
+    case "hr":
+      return md ? "---" : "";
+    default:
+      return renderBlocks(node.children ?? [], md).join(blockSeparator(md));
+  }
+}
+
+/**
+ * Renders extracted page content as plain text (one line per block, table cells
+ * tab-separated) or Markdown (headings, lists, links, emphasis, code and tables kept).
+ */
+export function renderPageText(nodes: PageTextNode[], format: "text" | "markdown"): string {
+  return renderBlocks(nodes, format === "markdown")
+    .join(blockSeparator(format === "markdown"))
+    .replace(/\n{3,}/g, "\n\n");
+}
+
+/**
+ * Renders the snapshot and caps it at `maxChars`, cutting at a line break when one
+ * falls in the second half of the limit.
+ */
+export function formatPageText(
+  snapshot: Pick<PageTextSnapshot, "nodes" | "truncated">,
+  opts: { format: "text" | "markdown"; maxChars: number }
+): FormattedPageText {
+  let content = renderPageText(snapshot.nodes, opts.format);
+  let truncated = snapshot.truncated;
+  if (content.length > opts.maxChars) {
+    content = content.slice(0, opts.maxChars);
+    const lastBreak = content.lastIndexOf("\n");
+    if (lastBreak > opts.maxChars / 2) content = content.slice(0, lastBreak);
+    content = content.trimEnd();
+    truncated = true;
+  }
+  return { format: opts.format, content, charCount: content.length, truncated };
+}
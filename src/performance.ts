@@ -0,0 +1,377 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { getDefaultArtifactDir } from "./artifacts.js";
+
+const HISTORY_DIR = "perf-history";
+const LARGEST_RESOURCES_SHOWN = 5;
+// Long-task time beyond this counts as blocking (as in Lighthouse's TBT).
+const BLOCKING_THRESHOLD_MS = 50;
+// Layout shifts within 1s of each other, for at most 5s, form one CLS session window.
+const CLS_WINDOW_GAP_MS = 1000;
+const CLS_WINDOW_MAX_MS = 5000;
+
+/** Good / poor boundaries from web.dev; values in between need improvement. */
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+  fid: [100, 300],
+} as const;
+
+export type Rating = "good" | "needs-improvement" | "poor";
+
+/** Payload the extension returns for the performanceMetrics command; times in ms since navigation start. */
+export type RawPerformance = {
+  tabId: number;
+  windowId: number;
+  url: string;
+  title: string;
+  reloaded: boolean;
+  visibilityState: string;
+  timeOrigin: number;
+  now: number;
+  supportedEntryTypes: string[];
+  navigation: {
+    type: string;
+    redirectCount: number;
+    domainLookupStart: number;
+    domainLookupEnd: number;
+    connectStart: number;
+    secureConnectionStart: number;
+    connectEnd: number;
+    requestStart: number;
+    responseStart: number;
+    responseEnd: number;
+    domInteractive: number;
+    domContentLoadedEventEnd: number;
+    loadEventEnd: number;
+    transferSize: number;
+    decodedBodySize: number;
+  } | null;
+  paints: Record<string, number>;
+  lcp: { startTime: number; size: number; element: string | null; url?: string } | null;
+  layoutShifts: Array<{ startTime: number; value: number; hadRecentInput: boolean }>;
+  longTasks: Array<{ startTime: number; duration: number }>;
+  firstInput: {
+    name: string;
+    startTime: number;
+    processingStart: number;
+    duration: number;
+    interactionId: number;
+  } | null;
+  interactions: Array<{ interactionId: number; name: string; startTime: number; duration: number }>;
+  resourceCount: number;
+  resources: Array<{ name: string; type: string; transferSize: number; decodedBodySize: number; duration: number }>;
+  memory: { usedJSHeapSize: number; totalJSHeapSize: number; jsHeapSizeLimit: number } | null;
+  waits?: Array<{ type: string; elapsedMs: number }>;
+};
+
+type RatedValue = { value: number; rating: Rating };
+
+export type PerformanceSummary = {
+  navigation: {
+    type: string;
+    ttfbMs: number;
+    domInteractiveMs: number;
+    domContentLoadedMs: number;
+    loadMs: number | null;
+    dnsMs: number;
+    connectMs: number;
+    tlsMs: number | null;
+    redirects: number;
+    documentTransferBytes: number;
+    documentBytes: number;
+  } | null;
+  paint: { firstPaintMs: number | null; firstContentfulPaintMs: number | null };
+  webVitals: {
+    lcp: (RatedValue & { element: string | null; size: number; url?: string }) | null;
+    cls: RatedValue & { shifts: number };
+    inp: (RatedValue & { interactions: number }) | null;
+    fid: RatedValue | null;
+    fcp: RatedValue | null;
+    ttfb: RatedValue | null;
+  };
+  longTasks: { count: number; totalMs: number; longestMs: number; totalBlockingTimeMs: number };
+  jsHeap: { usedBytes: number; totalBytes: number; limitBytes: number } | null;
+  resources: {
+    count: number;
+    transferBytes: number;
+    decodedBytes: number;
+    cached: number;
+    byType: Record<string, { count: number; transferBytes: number }>;
+    largest: Array<{ url: string; type: string; transferBytes: number; durationMs: number }>;
+  };
+  warnings: string[];
+};
+
+/** Flat numbers kept per run in the history file. */
+export type PerformanceHistoryMetrics = Record<string, number | null>;
+
+export type PerformanceHistoryResult = {
+  historyPath: string;
+  runs: number;
+  previous?: { recordedAt: string; metrics: PerformanceHistoryMetrics };
+  /** Current minus previous, for metrics present in both runs. */
+  delta?: Record<string, number>;
+};
+
+function round(v: number, digits = 1): number {
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+export function rate(metric: keyof typeof THRESHOLDS, value: number): Rating {
+  const [good, poor] = THRESHOLDS[metric];
+  if (value <= good) return "good";
+  return value <= poor ? "needs-improvement" : "poor";
+}
+
+function rated(metric: keyof typeof THRESHOLDS, value: number, digits = 1): RatedValue {
+  return { value: round(value, digits), rating: rate(metric, value) };
+}
+
+/**
+ * CLS as Chrome defines it: the largest sum of shifts in any session window.
+ * Shifts right after user input do not count.
+ */
+export function cumulativeLayoutShift(shifts: RawPerformance["layoutShifts"]): number {
+  let worst = 0;
+  let sum = 0;
+  let windowStart = -Infinity;
+  let last = -Infinity;
+  for (const shift of [...shifts].sort((a, b) => a.startTime - b.startTime)) {
+    if (shift.hadRecentInput) continue;
+    if (shift.startTime - last > CLS_WINDOW_GAP_MS || shift.startTime - windowStart > CLS_WINDOW_MAX_MS) {
+      sum = 0;
+      windowStart = shift.startTime;
+    }
+    sum += shift.value;
+    last = shift.startTime;
+    worst = Math.max(worst, sum);
+  }
+  return worst;
+}
+
+/**
+ * INP from event timing entries: the slowest interaction, or the 98th percentile
+ * (one outlier ignored per 50 interactions) on busy pages. Null without interactions.
+ */
+export function interactionToNextPaint(
+  entries: RawPerformance["interactions"]
+): { value: number; interactions: number } | null {
+  const byInteraction = new Map<number, number>();
+  for (const e of entries) {
+    byInteraction.set(e.interactionId, Math.max(byInteraction.get(e.interactionId) ?? 0, e.duration));
+  }
+  if (byInteraction.size === 0) return null;
+  const durations = [...byInteraction.values()].sort((a, b) => b - a);
+  const index = Math.min(durations.length - 1, Math.floor(durations.length / 50));
+  return { value: durations[index], interactions: durations.length };
+}
+
+function summarizeResources(raw: RawPerformance): PerformanceSummary["resources"] {
+  const byType: PerformanceSummary["resources"]["byType"] = {};
+  let transferBytes = 0;
+  let decodedBytes = 0;
+  let cached = 0;
+  for (const r of raw.resources) {
+    const type = r.type || "other";
+    const bucket = (byType[type] ??= { count: 0, transferBytes: 0 });
+    bucket.count += 1;
+    bucket.transferBytes += r.transferSize;
+    transferBytes += r.transferSize;
+    decodedBytes += r.decodedBodySize;
+    // Zero bytes on the wire but a body means the HTTP cache served it.
+    if (r.transferSize === 0 && r.decodedBodySize > 0) cached += 1;
+  }
+  const largest = [...raw.resources]
+    .sort((a, b) => b.transferSize - a.transferSize)
+    .slice(0, LARGEST_RESOURCES_SHOWN)
+    .filter((r) => r.transferSize > 0)
+    .map((r) => ({ url: r.name, type: r.type, transferBytes: r.transferSize, durationMs: r.duration }));
+  return { count: raw.resourceCount, transferBytes, decodedBytes, cached, byType, largest };
+}
+
+/**
+ * Derives navigation timing, Core Web Vitals with ratings, long-task totals, heap
+ * and resource stats from the raw timeline. Metrics the page could not report are
+ * null and explained in `warnings`.
+ */
+export function summarizePerformance(raw: RawPerformance): PerformanceSummary {
+  const warnings: string[] = [];
+  const nav = raw.navigation;
+  const fcp = raw.paints["first-contentful-paint"] ?? null;
+
+  const longTasks = raw.longTasks;
+  const blockingFrom = fcp ?? 0;
+  const inp = interactionToNextPaint(raw.interactions);
+  const fid = raw.firstInput ? raw.firstInput.processingStart - raw.firstInput.startTime : null;
+
+  if (!raw.lcp) {
+    warnings.push(
+      raw.visibilityState !== "visible"
+        ? "The tab is in the background; Chrome does not report paint timing or LCP for hidden pages. Bring the tab to the front and measure again with reload: true."
+        : "No LCP entry was recorded; the page may have been hidden while it loaded."
+    );
+  }
+  if (!inp) {
+    warnings.push("No interactions were recorded, so INP is unavailable.");
+  }
+  if (!raw.supportedEntryTypes.includes("longtask")) {
+    warnings.push("This browser does not report long tasks.");
+  }
+  if (raw.resources.length < raw.resourceCount) {
+    warnings.push(
+      `Resource totals cover the first ${raw.resources.length} of ${raw.resourceCount} resources.`
+    );
+  }
+
+  return {
+    navigation: nav
+      ? {
+          type: nav.type,
+          ttfbMs: nav.responseStart,
+          domInteractiveMs: nav.domInteractive,
+          domContentLoadedMs: nav.domContentLoadedEventEnd,
+          loadMs: nav.loadEventEnd > 0 ? nav.loadEventEnd : null,
+          dnsMs: round(nav.domainLookupEnd - nav.domainLookupStart),
+          connectMs: round(nav.connectEnd - nav.connectStart),
+          tlsMs: nav.secureConnectionStart > 0 ? round(nav.connectEnd - nav.secureConnectionStart) : null,
+          redirects: nav.redirectCount,
+          documentTransferBytes: nav.transferSize,
+          documentBytes: nav.decodedBodySize,
+        }
+      : null,
+    paint: {
+      firstPaintMs: raw.paints["first-paint"] ?? null,
+      firstContentfulPaintMs: fcp,
+    },
+    webVitals: {
+      lcp: raw.lcp
+        ? {
+            ...rated("lcp", raw.lcp.startTime),
+            element: raw.lcp.element,
+            size: raw.lcp.size,
+            ...(raw.lcp.url ? { url: raw.lcp.url } : {}),
+          }
+        : null,
+      cls: { ...rated("cls", cumulativeLayoutShift(raw.layoutShifts), 4), shifts: raw.layoutShifts.length },
+      inp: inp ? { ...rated("inp", inp.value), interactions: inp.interactions } : null,
+      fid: fid !== null ? rated("fid", fid) : null,
+      fcp: fcp !== null ? rated("fcp", fcp) : null,
+      ttfb: nav ? rated("ttfb", nav.responseStart) : null,
+    },
+    longTasks: {
+      count: longTasks.length,
+      totalMs: round(longTasks.reduce((sum, t) => sum + t.duration, 0)),
+      longestMs: round(longTasks.reduce((max, t) => Math.max(max, t.duration), 0)),
+      totalBlockingTimeMs: round(
+        longTasks
+          .filter((t) => t.startTime >= blockingFrom)
+          .reduce((sum, t) => sum + Math.max(0, t.duration - BLOCKING_THRESHOLD_MS), 0)
+      ),
+    },
+    jsHeap: raw.memory
+      ? {
+          usedBytes: raw.memory.usedJSHeapSize,
+          totalBytes: raw.memory.totalJSHeapSize,
+          limitBytes: raw.memory.jsHeapSizeLimit,
+        }
+      : null,
+    resources: summarizeResources(raw),
+    warnings,
+  };
+}
+
+/** The numbers worth tracking across runs, flattened for the history file. */
+export function historyMetrics(summary: PerformanceSummary): PerformanceHistoryMetrics {
+  const v = summary.webVitals;
+  return {
+    ttfbMs: summary.navigation?.ttfbMs ?? null,
+    fcpMs: summary.paint.firstContentfulPaintMs,
+    lcpMs: v.lcp?.value ?? null,
+    cls: v.cls.value,
+    inpMs: v.inp?.value ?? null,
+    domContentLoadedMs: summary.navigation?.domContentLoadedMs ?? null,
+    loadMs: summary.navigation?.loadMs ?? null,
+    totalBlockingTimeMs: summary.longTasks.totalBlockingTimeMs,
+    longTasks: summary.longTasks.count,
+    jsHeapUsedBytes: summary.jsHeap?.usedBytes ?? null,
+    resourceCount: summary.resources.count,
+    transferBytes: summary.resources.transferBytes,
+  };
+}
+
+/**
+ * History file for a page: one per URL (hash ignored), named after host and path
+ * plus a short hash so different query strings do not share a file.
+ */
+export function performanceHistoryPath(url: string, artifactDir?: string): string {
+  let key = url;
+  let label = url;
+  try {
+    const u = new URL(url);
+    u.hash = "";
+    key = u.href;
+    label = `${u.host}${u.pathname}`;
+  } catch {
+    // Not a URL; hash the raw string.
+  }
+  const slug = label.replace(/[^A-Za-z0-9._-]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 80) || "page";
+  const hash = crypto.createHash("sha1").update(key).digest("hex").slice(0, 8);
+  return path.join(artifactDir ?? getDefaultArtifactDir(), HISTORY_DIR, `${slug}-${hash}.jsonl`);
+}
+
+/**
+ * Appends one run to the page's JSON Lines history and compares it with the run
+ * before. Unreadable earlier lines are skipped rather than failing the append.
+ */
+export async function appendPerformanceHistory(args: {
+  url: string;
+  reloaded: boolean;
+  metrics: PerformanceHistoryMetrics;
+  artifactDir?: string;
+  now?: Date;
+}): Promise<PerformanceHistoryResult> {
+  const historyPath = performanceHistoryPath(args.url, args.artifactDir);
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+
+  let lines: string[] = [];
+  try {
+    lines = (await fs.readFile(historyPath, "utf8")).split("\n").filter((l) => l.trim() !== "");
+  } catch (err) {
+    if ((err as { code?: string })?.code !== "ENOENT") throw err;
+  }
+  let previous: PerformanceHistoryResult["previous"];
+  for (let i = lines.length - 1; i >= 0 && !previous; i--) {
+    try {
+      const record = JSON.parse(lines[i]);
+      if (record?.metrics) previous = { recordedAt: record.recordedAt, metrics: record.metrics };
+    } catch {
+      // Skip a corrupt line.
+    }
+  }
+
+  const record = {
+    recordedAt: (args.now ?? new Date()).toISOString(),
+    url: args.url,
+    reloaded: args.reloaded,
+    metrics: args.metrics,
+  };
+  await fs.appendFile(historyPath, JSON.stringify(record) + "\n");
+
+  let delta: Record<string, number> | undefined;
+  if (previous) {
+    delta = {};
+    for (const [name, value] of Object.entries(args.metrics)) {
+      const before = previous.metrics[name];
+      if (typeof value === "number" && typeof before === "number") {
+        delta[name] = round(value - before, name === "cls" ? 4 : 1);
+      }
+    }
+  }
+  return { historyPath, runs: lines.length + 1, ...(previous ? { previous, delta } : {}) };
+}
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { axStates, flattenAxTree, formatAxTree } from "../src/accessibility.ts";
+
+const node = (id, role, name, childIds = [], extra = {}) => ({
+  id,
+  role,
+  name,
+  ignored: false,
+  props: {},
+  childIds,
+  ...extra,
+});
+
+const nodes = [
+  node("1", "RootWebArea", "Checkout", ["2", "9"], { props: { focusable: true } }),
+  node("2", "generic", "", ["3", "5", "7"]),
+  node("3", "button", "Pay now", ["4"], { props: { focusable: true, disabled: true } }),
+  node("4", "StaticText", "Pay now", ["4a"]),
+  node("4a", "InlineTextBox", "Pay now"),
+  node("5", "checkbox", "Remember me", [], { props: { focusable: true, checked: "mixed" } }),
+  node("7", "paragraph", "", ["8"]),
+  node("8", "StaticText", "Total: 12 EUR"),
+  node("9", "none", "", ["10"], { ignored: true }),
+  node("10", "button", "Menu", [], { props: { expanded: false, haspopup: "menu" } }),
+];
+
+test("accessibility: states flag true values and spell out the rest", () => {
+  assert.deepEqual(axStates({ focusable: true, checked: "false", level: 2 }), ["focusable", "level=2"]);
+  assert.deepEqual(axStates({ expanded: false, invalid: "false", pressed: "mixed" }), [
+    "pressed=mixed",
+    "collapsed",
+  ]);
+});
+
+test("accessibility: interesting-only elides containers and repeated text", () => {
+  const { items, truncated } = flattenAxTree(nodes, { rootId: "1", interestingOnly: true, maxNodes: 100 });
+  assert.equal(truncated, false);
+  assert.deepEqual(
+    items.map((i) => [i.depth, i.role, i.name ?? ""]),
+    [
+      [0, "RootWebArea", "Checkout"],
+      [1, "button", "Pay now"],
+      [1, "checkbox", "Remember me"],
+      [1, "paragraph", ""],
+      [2, "StaticText", "Total: 12 EUR"],
+      [1, "button", "Menu"],
+    ]
+  );
+  assert.deepEqual(items[1].states, ["focusable", "disabled"]);
+  assert.deepEqual(items[5].states, ["collapsed", "haspopup=menu"]);
+});
+
+test("accessibility: full tree keeps ignored nodes but never inline text boxes", () => {
+  const { items } = flattenAxTree(nodes, { rootId: null, interestingOnly: false, maxNodes: 100 });
+  assert.equal(items.length, 9);
+  assert.ok(!items.some((i) => i.role === "InlineTextBox"));
+  const ignored = items.find((i) => i.role === "none");
+  assert.deepEqual(ignored.states, ["ignored"]);
+});
+
+test("accessibility: subtree root, node cap and output formats", () => {
+  const capped = flattenAxTree(nodes, { rootId: "2", interestingOnly: true, maxNodes: 2 });
+  assert.equal(capped.truncated, true);
+  assert.deepEqual(capped.items.map((i) => i.role), ["generic", "button"]);
+
+  const outline = formatAxTree({ nodes, rootId: "3" }, {
+    interestingOnly: true,
+    maxNodes: 100,
+    maxChars: 10_000,
+    format: "outline",
+  });
+  assert.equal(outline.content, '- button "Pay now" [focusable, disabled]');
+
+  const json = formatAxTree({ nodes, rootId: "7" }, {
+    interestingOnly: true,
+    maxNodes: 100,
+    maxChars: 10_000,
+    format: "json",
+  });
+  assert.deepEqual(JSON.parse(json.content), [
+    { role: "paragraph", children: [{ role: "StaticText", name: "Total: 12 EUR" }] },
+  ]);
+});
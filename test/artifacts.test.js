@@ -6,8 +6,17 @@ import path from "node:path";
 
 import {
   cleanupScreenshotArtifacts,
+  cropScreenshotData,
+  fitScreenshotData,
+  tileScreenshotData,
+  writeContactSheetArtifact,
+  writeHarArtifact,
+  writeImageDiffArtifact,
+  writeRecordingArtifact,
   writeScreenshotArtifact,
+  writeTiledScreenshotArtifact,
 } from "../src/artifacts.ts";
+import { createImage, decodePng, encodeImage, encodePng, fillImage } from "../src/image.ts";
 
 const PNG_1X1_BASE64 =
   "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+lm5QAAAAASUVORK5CYII=";
@@ -31,6 +40,69 @@ test("artifacts: writes screenshot to disk with metadata", async () => {
   assert.ok(st.size > 0);
 });
 
+test("artifacts: writes a legend sidecar next to the screenshot", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-legend-"));
+  const legend = [{ id: 1, role: "link", name: "Home", selector: "#home", box: { x: 0, y: 0, width: 1, height: 1 } }];
+
+  const written = await writeScreenshotArtifact({
+    base64Data: PNG_1X1_BASE64,
+    mimeType: "image/png",
+    artifactDir: dir,
+    legend,
+  });
+
+  assert.equal(written.legendPath, written.artifactPath.replace(/\.png$/, ".legend.json"));
+  assert.deepEqual(JSON.parse(await fs.readFile(written.legendPath, "utf8")), legend);
+
+  const plain = await writeScreenshotArtifact({ base64Data: PNG_1X1_BASE64, mimeType: "image/png", artifactDir: dir });
+  assert.equal(plain.legendPath, undefined);
+});
+
+function webpHeader(chunk, body) {
+  const bytes = Buffer.alloc(20 + body.length);
+  bytes.write("RIFF", 0, "ascii");
+  bytes.writeUInt32LE(bytes.length - 8, 4);
+  bytes.write("WEBP", 8, "ascii");
+  bytes.write(chunk, 12, "ascii");
+  bytes.writeUInt32LE(body.length, 16);
+  body.copy(bytes, 20);
+  return bytes.toString("base64");
+}
+
+test("artifacts: reads WebP dimensions from VP8X, VP8 and VP8L headers", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-webp-"));
+
+  const vp8x = Buffer.alloc(10);
+  vp8x.writeUIntLE(1919, 4, 3);
+  vp8x.writeUIntLE(1079, 7, 3);
+
+  const vp8 = Buffer.alloc(10);
+  vp8.set([0x9d, 0x01, 0x2a], 3);
+  vp8.writeUInt16LE(375, 6);
+  vp8.writeUInt16LE(667, 8);
+
+  const vp8l = Buffer.alloc(5);
+  vp8l[0] = 0x2f;
+  vp8l.writeUInt32LE((800 - 1) | ((600 - 1) << 14), 1);
+
+  const cases = [
+    [webpHeader("VP8X", vp8x), 1920, 1080],
+    [webpHeader("VP8 ", vp8), 375, 667],
+    [webpHeader("VP8L", vp8l), 800, 600],
+  ];
+
+  for (const [base64Data, width, height] of cases) {
+    const written = await writeScreenshotArtifact({
+      base64Data,
+      mimeType: "image/webp",
+      artifactDir: dir,
+    });
+    assert.ok(written.artifactPath.endsWith(".webp"));
+    assert.equal(written.width, width);
+    assert.equal(written.height, height);
+  }
+});
+
 test("artifacts: cleanup removes old files only", async () => {
   const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-cleanup-"));
   const oldFile = path.join(dir, "old.txt");
@@ -56,3 +128,367 @@ test("artifacts: cleanup removes old files only", async () => {
   assert.ok(freshStat.size > 0);
 });
 
+test("artifacts: cleanup removes old recording folders but no other directories", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-cleanup-rec-"));
+  const recDir = path.join(dir, "rec-old");
+  const otherDir = path.join(dir, "baselines");
+  await fs.mkdir(recDir);
+  await fs.mkdir(otherDir);
+  await fs.writeFile(path.join(recDir, "frame-0001.jpg"), "12345");
+
+  const oldDate = new Date(Date.now() - 48 * 60 * 60 * 1000);
+  await fs.utimes(recDir, oldDate, oldDate);
+  await fs.utimes(otherDir, oldDate, oldDate);
+
+  const result = await cleanupScreenshotArtifacts({ artifactDir: dir, maxAgeHours: 24 });
+  assert.equal(result.deletedCount, 1);
+  assert.equal(result.deletedBytes, 5);
+  await assert.rejects(() => fs.stat(recDir));
+  await fs.stat(otherDir);
+});
+
+function solidJpeg(rgb) {
+  const img = createImage(8, 6);
+  fillImage(img, [...rgb, 255]);
+  return encodeImage(img, "image/jpeg", 90).toString("base64");
+}
+
+test("artifacts: recording as GIF merges repeated frames", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-rec-gif-"));
+  const red = solidJpeg([255, 0, 0]);
+  const blue = solidJpeg([0, 0, 255]);
+  const frames = [red, red, red, blue].map((base64Data, i) => ({
+    base64Data,
+    mimeType: "image/jpeg",
+    timestampMs: i * 200,
+  }));
+
+  const written = await writeRecordingArtifact({ frames, fps: 5, format: "gif", artifactDir: dir });
+  assert.equal(written.format, "gif");
+  assert.ok(written.artifactPath.endsWith(".gif"));
+  assert.equal(written.frameCount, 2);
+  assert.equal(written.durationMs, 800);
+  assert.equal(written.width, 8);
+  assert.equal(written.height, 6);
+  const bytes = await fs.readFile(written.artifactPath);
+  assert.equal(bytes.toString("ascii", 0, 6), "GIF89a");
+
+  await assert.rejects(
+    () => writeRecordingArtifact({ frames: [], fps: 5, format: "gif", artifactDir: dir }),
+    /no frames/
+  );
+});
+
+test("artifacts: recording as frames writes a numbered folder and manifest", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-rec-frames-"));
+  const frames = [solidJpeg([0, 255, 0]), solidJpeg([0, 0, 0])].map((base64Data, i) => ({
+    base64Data,
+    mimeType: "image/jpeg",
+    timestampMs: i * 100,
+  }));
+
+  const written = await writeRecordingArtifact({ frames, fps: 10, format: "frames", artifactDir: dir });
+  assert.ok(path.basename(written.artifactPath).startsWith("rec-"));
+  const manifest = JSON.parse(await fs.readFile(written.manifestPath, "utf8"));
+  assert.equal(manifest.fps, 10);
+  assert.equal(manifest.width, 8);
+  assert.deepEqual(manifest.frames.map((f) => f.file), ["frame-0001.jpg", "frame-0002.jpg"]);
+  await fs.stat(path.join(written.artifactPath, "frame-0002.jpg"));
+});
+
+
+test("artifacts: crops screenshot data using device pixel ratio", () => {
+  const source = createImage(40, 20);
+  const cropped = cropScreenshotData({
+    base64Data: encodePng(source).toString("base64"),
+    mimeType: "image/png",
+    rect: { x: 5, y: 2, width: 10, height: 6 },
+    devicePixelRatio: 2,
+  });
+
+  assert.equal(cropped.mimeType, "image/png");
+  assert.equal(cropped.width, 20);
+  assert.equal(cropped.height, 12);
+  const decoded = decodePng(Buffer.from(cropped.base64Data, "base64"));
+  assert.equal(decoded.width, 20);
+  assert.equal(decoded.height, 12);
+});
+
+test("artifacts: contact sheet places images side by side", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-sheet-"));
+  const small = encodePng(createImage(10, 20)).toString("base64");
+  const large = encodePng(createImage(30, 40)).toString("base64");
+
+  const sheet = await writeContactSheetArtifact({
+    images: [
+      { base64Data: small, mimeType: "image/png", label: "375px" },
+      { base64Data: large, mimeType: "image/png", label: "1440px" },
+    ],
+    artifactDir: dir,
+  });
+
+  // Labels sit in a 20px strip (5px font at scale 4) between two gaps above the images.
+  assert.equal(sheet.width, 10 + 30 + 16 * 3);
+  assert.equal(sheet.height, 40 + 16 * 3 + 20);
+  assert.equal(sheet.scale, 1);
+  assert.deepEqual(
+    sheet.placements.map((p) => [p.label, p.x, p.y, p.width]),
+    [
+      ["375px", 16, 52, 10],
+      ["1440px", 42, 52, 30],
+    ]
+  );
+  const decoded = decodePng(await fs.readFile(sheet.artifactPath));
+  assert.equal(decoded.width, sheet.width);
+  // Top-left pixel of the "3" glyph of the first label is drawn in the label color.
+  const o = (16 * decoded.width + 16) * 4;
+  assert.deepEqual([...decoded.data.subarray(o, o + 4)], [17, 24, 39, 255]);
+});
+
+test("artifacts: contact sheet shrinks images past its pixel budget", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-sheet-"));
+  const tall = encodePng(createImage(100, 400)).toString("base64");
+
+  const sheet = await writeContactSheetArtifact({
+    images: [
+      { base64Data: tall, mimeType: "image/png", label: "375px" },
+      { base64Data: tall, mimeType: "image/png", label: "768px" },
+    ],
+    artifactDir: dir,
+    maxPixels: 5_000,
+  });
+
+  assert.equal(sheet.scale, 0.25);
+  assert.deepEqual(
+    sheet.placements.map((p) => [p.width, p.height]),
+    [
+      [25, 100],
+      [25, 100],
+    ]
+  );
+  assert.equal(decodePng(await fs.readFile(sheet.artifactPath)).height, sheet.height);
+});
+
+test("artifacts: image diff writes a diff PNG next to the inputs", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-diff-"));
+  const before = createImage(10, 10);
+  fillImage(before, [255, 255, 255, 255]);
+  const after = createImage(10, 10);
+  fillImage(after, [255, 255, 255, 255]);
+  after.data.set([0, 0, 0, 255], 0);
+  const beforePath = path.join(dir, "before.png");
+  // JPEG input with a misleading extension: decoding goes by content.
+  const afterPath = path.join(dir, "after.png");
+  await fs.writeFile(beforePath, encodePng(before));
+  await fs.writeFile(afterPath, encodeImage(after, "image/jpeg", 100));
+
+  const result = await writeImageDiffArtifact({
+    beforePath,
+    afterPath,
+    threshold: 0.2,
+    ignoreAntialiasing: false,
+  });
+  assert.equal(path.dirname(result.diffPath), dir);
+  assert.equal(result.sizeMismatch, false);
+  assert.ok(result.mismatchedPixels >= 1 && result.mismatchedPixels < 10);
+  assert.equal(result.mismatchPercentage, (result.mismatchedPixels / 100) * 100);
+  const diff = decodePng(await fs.readFile(result.diffPath));
+  assert.deepEqual([...diff.data.subarray(0, 4)], [255, 0, 0, 255]);
+
+  const blank = await writeImageDiffArtifact({
+    beforePath,
+    afterPath,
+    threshold: 0.2,
+    ignoreAntialiasing: false,
+    outputDir: "  ",
+  });
+  assert.equal(path.dirname(blank.diffPath), dir);
+  const padded = await writeImageDiffArtifact({
+    beforePath,
+    afterPath,
+    threshold: 0.2,
+    ignoreAntialiasing: false,
+    outputDir: ` ${path.join(dir, "out")} `,
+  });
+  assert.equal(path.dirname(padded.diffPath), path.join(dir, "out"));
+
+  await fs.writeFile(path.join(dir, "notes.txt"), "hello");
+  await assert.rejects(
+    () => writeImageDiffArtifact({ beforePath, afterPath: path.join(dir, "notes.txt"), threshold: 0.1, ignoreAntialiasing: true }),
+    /Not a PNG, JPEG or WebP/
+  );
+});
+
+function noisyPng(width, height) {
+  const img = createImage(width, height);
+  let seed = 1;
+  for (let i = 0; i < img.data.length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    img.data[i] = (i & 3) === 3 ? 255 : seed & 0xff;
+  }
+  return encodePng(img).toString("base64");
+}
+
+test("artifacts: fit downscales to max dimensions and keeps the format", () => {
+  const fitted = fitScreenshotData({
+    base64Data: encodePng(createImage(400, 200)).toString("base64"),
+    mimeType: "image/png",
+    maxWidth: 100,
+    jpegQuality: 80,
+  });
+  assert.equal(fitted.mimeType, "image/png");
+  assert.equal(fitted.width, 100);
+  assert.equal(fitted.height, 50);
+  assert.equal(fitted.originalWidth, 400);
+  assert.equal(fitted.originalHeight, 200);
+  assert.equal(fitted.jpegQuality, undefined);
+
+  const untouched = encodePng(createImage(50, 50)).toString("base64");
+  const same = fitScreenshotData({ base64Data: untouched, mimeType: "image/png", maxWidth: 100, jpegQuality: 80 });
+  assert.equal(same.base64Data, untouched);
+});
+
+test("artifacts: fit re-encodes as JPEG and shrinks to meet maxBytes", () => {
+  const base64Data = noisyPng(300, 300);
+  const fitted = fitScreenshotData({ base64Data, mimeType: "image/png", maxBytes: 12_000, jpegQuality: 80 });
+  assert.equal(fitted.mimeType, "image/jpeg");
+  assert.ok(fitted.byteSize <= 12_000, `byteSize ${fitted.byteSize}`);
+  assert.equal(Buffer.from(fitted.base64Data, "base64").byteLength, fitted.byteSize);
+  assert.ok(fitted.width < 300);
+  assert.equal(fitted.jpegQuality, 35);
+});
+
+function stripedPng(width, height) {
+  const img = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) img.data.set([y % 256, 0, 0, 255], (y * width + x) * 4);
+  }
+  return encodePng(img).toString("base64");
+}
+
+test("artifacts: tiles overlap and the last tile is bottom-aligned", () => {
+  const { tiles, fullWidth, fullHeight } = tileScreenshotData({
+    base64Data: stripedPng(10, 250),
+    mimeType: "image/png",
+    tileHeight: 100,
+    overlap: 20,
+    jpegQuality: 80,
+  });
+  assert.equal(fullWidth, 10);
+  assert.equal(fullHeight, 250);
+  assert.deepEqual(tiles.map((t) => t.y), [0, 80, 150]);
+  assert.ok(tiles.every((t) => t.width === 10 && t.height === 100));
+
+  const last = decodePng(Buffer.from(tiles[2].base64Data, "base64"));
+  assert.equal(last.data[0], 150);
+  assert.equal(last.data[(99 * 10) * 4], 249);
+
+  const single = tileScreenshotData({
+    base64Data: stripedPng(10, 60),
+    mimeType: "image/png",
+    tileHeight: 100,
+    overlap: 20,
+    jpegQuality: 80,
+  });
+  assert.deepEqual(single.tiles.map((t) => [t.y, t.height]), [[0, 60]]);
+});
+
+test("artifacts: tiling refuses captures that need too many tiles", () => {
+  assert.throws(
+    () =>
+      tileScreenshotData({
+        base64Data: stripedPng(1, 5200),
+        mimeType: "image/png",
+        tileHeight: 100,
+        overlap: 0,
+        jpegQuality: 80,
+      }),
+    /52 tiles/
+  );
+});
+
+test("artifacts: tiled artifact writes numbered tiles and an index", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-tiles-"));
+  try {
+    const { tiles, fullWidth, fullHeight } = tileScreenshotData({
+      base64Data: stripedPng(8, 150),
+      mimeType: "image/png",
+      tileHeight: 100,
+      overlap: 10,
+      jpegQuality: 80,
+    });
+    const artifact = await writeTiledScreenshotArtifact({
+      tiles,
+      fullWidth,
+      fullHeight,
+      artifactDir: dir,
+      index: { url: "http://localhost:5173/" },
+    });
+
+    assert.match(path.basename(artifact.indexPath), /^shot-.+-tiles\.json$/);
+    assert.deepEqual(
+      artifact.tiles.map((t) => path.basename(t.artifactPath).replace(/^shot-.+-(tile-\d+\.png)$/, "$1")),
+      ["tile-1.png", "tile-2.png"]
+    );
+    const index = JSON.parse(await fs.readFile(artifact.indexPath, "utf8"));
+    assert.equal(index.url, "http://localhost:5173/");
+    assert.equal(index.fullHeight, 150);
+    assert.deepEqual(index.tiles.map((t) => t.y), [0, 50]);
+    const second = await fs.readFile(artifact.tiles[1].artifactPath);
+    assert.equal(second.byteLength, artifact.tiles[1].byteSize);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("artifacts: HAR artifact writes a net-*.har file", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-har-"));
+  try {
+    const entry = {
+      seq: 1,
+      requestId: "1",
+      url: "http://localhost:5173/api/items",
+      method: "POST",
+      resourceType: "Fetch",
+      requestHeaders: { "Content-Type": "application/json" },
+      postData: '{"a":1}',
+      startedAt: 1_700_000_000_000,
+      startTime: 10,
+      endTime: 10.05,
+      status: 201,
+      statusText: "Created",
+      mimeType: "application/json",
+      protocol: "h2",
+      responseHeaders: {},
+      timing: null,
+      remoteIPAddress: null,
+      fromCache: false,
+      encodedBytes: 300,
+      bodyBytes: 120,
+    };
+    const artifact = await writeHarArtifact({
+      entries: [entry],
+      pageUrl: "http://localhost:5173/",
+      pageTitle: "App",
+      startedAt: entry.startedAt,
+      creatorName: "mcp-test",
+      creatorVersion: "0.0.0",
+      artifactDir: dir,
+    });
+
+    assert.match(path.basename(artifact.harPath), /^net-.+\.har$/);
+    assert.equal(artifact.entryCount, 1);
+    const text = await fs.readFile(artifact.harPath, "utf8");
+    assert.equal(Buffer.byteLength(text), artifact.byteSize);
+    const har = JSON.parse(text);
+    assert.equal(har.log.creator.name, "mcp-test");
+    assert.equal(har.log.pages[0].title, "App");
+    assert.deepEqual(har.log.entries[0].request.postData, {
+      mimeType: "application/json",
+      text: '{"a":1}',
+    });
+    assert.equal(har.log.entries[0].response.httpVersion, "HTTP/2.0");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  approveBaseline,
+  compareBaseline,
+  readBaselineMeta,
+  resolveBaselineDir,
+  saveBaseline,
+  validateBaselineName,
+} from "../src/baselines.ts";
+import { createImage, encodePng, fillImage } from "../src/image.ts";
+
+function pngBase64(rgba, width = 6, height = 4) {
+  const img = createImage(width, height);
+  fillImage(img, rgba);
+  return encodePng(img).toString("base64");
+}
+
+const WHITE = pngBase64([255, 255, 255, 255]);
+const BLACK = pngBase64([0, 0, 0, 255]);
+
+async function tempDirs() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "chrome-mcp-baselines-"));
+  return { baselineDir: path.join(root, "visual-baselines"), artifactDir: path.join(root, "cache") };
+}
+
+test("baselines: validates names and resolves the directory", () => {
+  assert.equal(validateBaselineName("home-desktop.v2"), "home-desktop.v2");
+  for (const bad of ["", "../etc", "a/b", ".hidden", 42]) {
+    assert.throws(() => validateBaselineName(bad), /Invalid baseline name/);
+  }
+  assert.equal(resolveBaselineDir("/tmp/goldens"), path.resolve("/tmp/goldens"));
+  const previous = process.env.MCP_CHROME_BASELINE_DIR;
+  try {
+    process.env.MCP_CHROME_BASELINE_DIR = "/tmp/from-env";
+    assert.equal(resolveBaselineDir(), path.resolve("/tmp/from-env"));
+    delete process.env.MCP_CHROME_BASELINE_DIR;
+    assert.equal(resolveBaselineDir(), path.resolve("visual-baselines"));
+  } finally {
+    if (previous === undefined) delete process.env.MCP_CHROME_BASELINE_DIR;
+    else process.env.MCP_CHROME_BASELINE_DIR = previous;
+  }
+});
+
+test("baselines: save stores golden and capture args, refuses to overwrite", async () => {
+  const { baselineDir } = await tempDirs();
+  const capture = { url: "http://localhost:3000/", fullPage: true };
+
+  const saved = await saveBaseline({ name: "home", baselineDir, base64Data: WHITE, capture, overwrite: false });
+  assert.equal(saved.baselinePath, path.join(baselineDir, "home.png"));
+  const meta = await readBaselineMeta("home", baselineDir);
+  assert.deepEqual(meta.capture, capture);
+  assert.equal(meta.width, 6);
+
+  await assert.rejects(
+    () => saveBaseline({ name: "home", baselineDir, base64Data: BLACK, capture, overwrite: false }),
+    (err) => err.reason === "baseline_exists"
+  );
+  await saveBaseline({ name: "home", baselineDir, base64Data: BLACK, capture, overwrite: true });
+  assert.equal((await readBaselineMeta("home", baselineDir)).createdAt, meta.createdAt);
+});
+
+test("baselines: compare reports pass/fail and approve promotes the candidate", async () => {
+  const { baselineDir, artifactDir } = await tempDirs();
+  await saveBaseline({ name: "card", baselineDir, base64Data: WHITE, capture: {}, overwrite: false });
+  const compare = (base64Data) =>
+    compareBaseline({
+      name: "card",
+      baselineDir,
+      base64Data,
+      threshold: 0.1,
+      ignoreAntialiasing: true,
+      maxMismatchPercentage: 0,
+      artifactDir,
+    });
+
+  const same = await compare(WHITE);
+  assert.equal(same.passed, true);
+  assert.equal(same.mismatchedPixels, 0);
+  assert.ok(same.diffPath.startsWith(artifactDir));
+
+  const changed = await compare(BLACK);
+  assert.equal(changed.passed, false);
+  assert.equal(changed.mismatchPercentage, 100);
+
+  const approved = await approveBaseline({ name: "card", baselineDir, artifactDir });
+  assert.equal(approved.approvedFrom, changed.candidatePath);
+  await assert.rejects(() => fs.stat(changed.candidatePath));
+  assert.equal((await compare(BLACK)).passed, true);
+
+  await assert.rejects(
+    () => approveBaseline({ name: "card", baselineDir, artifactDir: path.join(artifactDir, "other") }),
+    (err) => err.reason === "no_pending_capture"
+  );
+  await assert.rejects(
+    () => compareBaseline({ name: "missing", baselineDir, base64Data: WHITE, threshold: 0.1, ignoreAntialiasing: true, maxMismatchPercentage: 0, artifactDir }),
+    (err) => err.reason === "baseline_not_found"
+  );
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { captureConsoleReport, pageConsoleEntries, selectConsoleEntries } from "../src/console-logs.ts";
+
+const entry = (seq, level, text = `message ${seq}`) => ({
+  seq,
+  timestamp: 1_700_000_000_000 + seq,
+  level,
+  source: level === "error" && seq % 2 === 0 ? "exception" : "console",
+  text,
+});
+
+const entries = [
+  entry(1, "log"),
+  entry(2, "error"),
+  entry(3, "warn"),
+  entry(4, "debug"),
+  entry(5, "error"),
+  entry(6, "info"),
+  entry(7, "warn"),
+];
+
+test("console-logs: filters by level and keeps the oldest matches for paging", () => {
+  const all = selectConsoleEntries(entries, { levels: ["error", "warn"], maxEntries: 10 });
+  assert.deepEqual(all.entries.map((e) => e.seq), [2, 3, 5, 7]);
+  assert.equal(all.truncated, false);
+
+  const page = selectConsoleEntries(entries, { levels: ["error", "warn"], maxEntries: 2 });
+  assert.deepEqual(page.entries.map((e) => e.seq), [2, 3]);
+  assert.equal(page.matched, 4);
+  assert.equal(page.truncated, true);
+});
+
+test("console-logs: tail keeps the newest matches", () => {
+  const tail = selectConsoleEntries(entries, { levels: ["error", "warn"], maxEntries: 2, tail: true });
+  assert.deepEqual(tail.entries.map((e) => e.seq), [5, 7]);
+});
+
+test("console-logs: capture report counts problems and carries the cursor", () => {
+  const report = captureConsoleReport({ cursor: 7, dropped: 3, entries });
+  assert.equal(report.cursor, 7);
+  assert.equal(report.dropped, 3);
+  assert.equal(report.errors, 2);
+  assert.equal(report.warnings, 2);
+  assert.equal(report.truncated, false);
+  assert.deepEqual(report.entries.map((e) => e.level), ["error", "warn", "error", "warn"]);
+
+  const quiet = captureConsoleReport({ cursor: 0, dropped: 0, entries: [] });
+  assert.deepEqual(quiet.entries, []);
+  assert.equal(quiet.errors, 0);
+});
+
+test("console-logs: clear with a truncated page keeps everything not returned", () => {
+  let buffer = { cursor: 7, entries: [...entries] };
+  const first = pageConsoleEntries(buffer, { levels: ["error", "warn"], maxEntries: 2 });
+  assert.deepEqual(first.entries.map((e) => e.seq), [2, 3]);
+  assert.equal(first.truncated, true);
+  assert.equal(first.nextSince, 3);
+  assert.deepEqual(first.clearSeqs, [2, 3]);
+
+  // What the extension does for clear: drop only the returned seqs.
+  const cleared = new Set(first.clearSeqs);
+  buffer = { ...buffer, entries: buffer.entries.filter((e) => !cleared.has(e.seq)) };
+  assert.deepEqual(buffer.entries.map((e) => e.seq), [1, 4, 5, 6, 7]);
+
+  const rest = buffer.entries.filter((e) => e.seq > first.nextSince);
+  const second = pageConsoleEntries({ ...buffer, entries: rest }, { levels: ["error", "warn"], maxEntries: 2 });
+  assert.deepEqual(second.entries.map((e) => e.seq), [5, 7]);
+  assert.equal(second.truncated, false);
+  assert.equal(second.nextSince, 7);
+});
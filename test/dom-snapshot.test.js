@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { formatDomNodeLine, formatDomSnapshot } from "../src/dom-snapshot.ts";
+
+const box = (x, y, width, height) => ({ x, y, width, height });
+
+const nodes = [
+  { depth: 0, tag: "body", box: box(0, 0, 1280, 2000) },
+  { depth: 1, tag: "nav", id: "top", role: "navigation", box: box(0, 0, 1280, 60) },
+  { depth: 2, tag: "a", role: "link", attrs: { href: "/docs" }, text: "Docs", box: box(10, 20, 40, 18) },
+  { depth: 1, tag: "main", role: "main", box: box(0, 60, 1280, 900) },
+  {
+    depth: 2,
+    tag: "button",
+    role: "button",
+    testId: "save",
+    attrs: { type: "submit", disabled: "" },
+    text: "Save \"draft\"",
+    box: box(120, 340, 80, 32),
+  },
+];
+
+test("dom-snapshot: outline lines carry role, testid, attributes, text and box", () => {
+  assert.equal(formatDomNodeLine(nodes[1]), "  nav#top [navigation] @0,0 1280x60");
+  assert.equal(formatDomNodeLine(nodes[3]), "  main @0,60 1280x900");
+  assert.equal(
+    formatDomNodeLine(nodes[4]),
+    '    button [testid=save] type="submit" disabled "Save \\"draft\\"" @120,340 80x32'
+  );
+});
+
+test("dom-snapshot: outline stops at the last whole line within maxChars", () => {
+  const full = formatDomSnapshot({ nodes, truncated: false }, { format: "outline", maxChars: 10_000 });
+  assert.equal(full.nodeCount, 5);
+  assert.equal(full.truncated, false);
+  assert.equal(full.content.split("\n").length, 5);
+
+  const limit = full.content.split("\n").slice(0, 2).join("\n").length + 1;
+  const cut = formatDomSnapshot({ nodes, truncated: false }, { format: "outline", maxChars: limit });
+  assert.equal(cut.nodeCount, 2);
+  assert.equal(cut.truncated, true);
+  assert.ok(cut.content.length <= limit);
+});
+
+test("dom-snapshot: json rebuilds the tree from depths", () => {
+  const out = formatDomSnapshot({ nodes, truncated: true }, { format: "json", maxChars: 10_000 });
+  assert.equal(out.truncated, true);
+  const [body] = JSON.parse(out.content);
+  assert.equal(body.tag, "body");
+  assert.equal(body.depth, undefined);
+  assert.deepEqual(body.children.map((c) => c.tag), ["nav", "main"]);
+  assert.equal(body.children[0].children[0].attrs.href, "/docs");
+  assert.equal(body.children[1].children[0].testId, "save");
+});
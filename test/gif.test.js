@@ -0,0 +1,143 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { encodeGif } from "../src/gif.ts";
+import { createImage } from "../src/image.ts";
+
+// Minimal GIF reader: returns the palette, frame delays and per-frame RGB pixels.
+function decodeGif(bytes) {
+  assert.equal(bytes.toString("ascii", 0, 6), "GIF89a");
+  const width = bytes.readUInt16LE(6);
+  const height = bytes.readUInt16LE(8);
+  const palette = bytes.subarray(13, 13 + 768);
+  let o = 13 + 768;
+  const frames = [];
+  let delay = 0;
+  let loops = false;
+
+  const skipSubBlocks = () => {
+    const chunks = [];
+    while (bytes[o] !== 0) {
+      chunks.push(bytes.subarray(o + 1, o + 1 + bytes[o]));
+      o += 1 + bytes[o];
+    }
+    o += 1;
+    return Buffer.concat(chunks);
+  };
+
+  while (bytes[o] !== 0x3b) {
+    if (bytes[o] === 0x21) {
+      const label = bytes[o + 1];
+      o += 2;
+      const body = skipSubBlocks();
+      if (label === 0xf9) delay = body.readUInt16LE(1) * 10;
+      if (label === 0xff && body.toString("ascii", 0, 11) === "NETSCAPE2.0") loops = true;
+    } else if (bytes[o] === 0x2c) {
+      o += 10;
+      const minCodeSize = bytes[o++];
+      const data = skipSubBlocks();
+      frames.push({ delayMs: delay, indices: lzwDecode(data, minCodeSize, width * height) });
+    } else {
+      throw new Error(`Unexpected block 0x${bytes[o].toString(16)}`);
+    }
+  }
+  return { width, height, palette, frames, loops };
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let codeSize = minCodeSize + 1;
+  let dict = [];
+  const reset = () => {
+    dict = Array.from({ length: end + 1 }, (_, i) => (i < clear ? [i] : []));
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+
+  const out = [];
+  let bitPos = 0;
+  let prev = null;
+  while (out.length < pixelCount) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPos++) {
+      code |= ((data[bitPos >> 3] >> (bitPos & 7)) & 1) << i;
+    }
+    if (code === clear) {
+      reset();
+      prev = null;
+      continue;
+    }
+    if (code === end) break;
+    let entry;
+    if (code < dict.length) entry = dict[code];
+    else entry = [...prev, prev[0]];
+    out.push(...entry);
+    if (prev) {
+      if (dict.length < 4096) dict.push([...prev, entry[0]]);
+      if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+    }
+    prev = entry;
+  }
+  return out;
+}
+
+function paletteImage(width, height, colorAt) {
+  const img = createImage(width, height);
+  for (let i = 0; i < width * height; i++) {
+    const [r, g, b] = colorAt(i);
+    img.data.set([r, g, b, 255], i * 4);
+  }
+  return img;
+}
+
+function rgbAt(decoded, frame, i) {
+  const idx = decoded.frames[frame].indices[i];
+  return [...decoded.palette.subarray(idx * 3, idx * 3 + 3)];
+}
+
+test("gif: encodes looping frames with delays and exact colors", () => {
+  const red = paletteImage(4, 3, () => [255, 0, 0]);
+  const split = paletteImage(4, 3, (i) => (i % 4 < 2 ? [0, 0, 255] : [255, 255, 255]));
+
+  const decoded = decodeGif(encodeGif([
+    { image: red, delayMs: 200 },
+    { image: split, delayMs: 5 },
+  ]));
+
+  assert.equal(decoded.width, 4);
+  assert.equal(decoded.height, 3);
+  assert.equal(decoded.loops, true);
+  assert.deepEqual(decoded.frames.map((f) => f.delayMs), [200, 20]);
+  assert.deepEqual(rgbAt(decoded, 0, 5), [255, 0, 0]);
+  assert.deepEqual(rgbAt(decoded, 1, 0), [0, 0, 255]);
+  assert.deepEqual(rgbAt(decoded, 1, 3), [255, 255, 255]);
+});
+
+test("gif: LZW survives dictionary resets on busy images", () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed;
+  };
+  const colors = Array.from({ length: 200 }, (_, i) => [(i % 32) * 8, (i >> 5) * 8, 64]);
+  const picks = Array.from({ length: 160 * 120 }, () => random() % colors.length);
+  const img = paletteImage(160, 120, (i) => colors[picks[i]]);
+
+  const decoded = decodeGif(encodeGif([{ image: img, delayMs: 100 }]));
+  assert.equal(decoded.frames[0].indices.length, 160 * 120);
+  for (const i of [0, 1, 4095, 4096, 9000, 160 * 120 - 1]) {
+    assert.deepEqual(rgbAt(decoded, 0, i), colors[picks[i]]);
+  }
+});
+
+test("gif: rejects empty or mismatched frames", () => {
+  assert.throws(() => encodeGif([]), /without frames/);
+  assert.throws(
+    () => encodeGif([
+      { image: createImage(2, 2), delayMs: 100 },
+      { image: createImage(3, 2), delayMs: 100 },
+    ]),
+    /same size/
+  );
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { diffImages } from "../src/image-diff.ts";
+import { createImage, fillImage } from "../src/image.ts";
+
+function solid(width, height, rgba) {
+  const img = createImage(width, height);
+  fillImage(img, rgba);
+  return img;
+}
+
+function setPixel(img, x, y, rgba) {
+  img.data.set(rgba, (y * img.width + x) * 4);
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+test("image-diff: identical images have no mismatches", () => {
+  const result = diffImages(solid(5, 4, WHITE), solid(5, 4, WHITE), {
+    threshold: 0,
+    ignoreAntialiasing: true,
+  });
+  assert.equal(result.mismatchedPixels, 0);
+  assert.equal(result.totalPixels, 20);
+  // Unchanged pixels are drawn as faded grayscale.
+  assert.deepEqual([...result.diff.data.subarray(0, 4)], [255, 255, 255, 255]);
+});
+
+test("image-diff: counts changed pixels and paints them red", () => {
+  const after = solid(4, 4, WHITE);
+  setPixel(after, 1, 2, BLACK);
+  const result = diffImages(solid(4, 4, WHITE), after, { threshold: 0.1, ignoreAntialiasing: true });
+  assert.equal(result.mismatchedPixels, 1);
+  const o = (2 * 4 + 1) * 4;
+  assert.deepEqual([...result.diff.data.subarray(o, o + 4)], [255, 0, 0, 255]);
+});
+
+test("image-diff: threshold tolerates small color shifts", () => {
+  const before = solid(3, 3, [200, 200, 200, 255]);
+  const after = solid(3, 3, [205, 200, 200, 255]);
+  assert.equal(diffImages(before, after, { threshold: 0.1, ignoreAntialiasing: false }).mismatchedPixels, 0);
+  assert.equal(diffImages(before, after, { threshold: 0, ignoreAntialiasing: false }).mismatchedPixels, 9);
+});
+
+test("image-diff: anti-aliased edge pixels can be ignored", () => {
+  // Left half black, right half white; the "after" image softens the edge column.
+  const before = createImage(8, 8);
+  const after = createImage(8, 8);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      setPixel(before, x, y, x < 4 ? BLACK : WHITE);
+      setPixel(after, x, y, x < 4 ? BLACK : x === 4 ? [128, 128, 128, 255] : WHITE);
+    }
+  }
+  const strict = diffImages(before, after, { threshold: 0.1, ignoreAntialiasing: false });
+  assert.equal(strict.mismatchedPixels, 8);
+  const lenient = diffImages(before, after, { threshold: 0.1, ignoreAntialiasing: true });
+  assert.equal(lenient.mismatchedPixels, 0);
+  assert.equal(lenient.antialiasedPixels, 8);
+});
+
+test("image-diff: size mismatches count the non-overlapping area", () => {
+  const result = diffImages(solid(4, 4, WHITE), solid(4, 6, WHITE), {
+    threshold: 0.1,
+    ignoreAntialiasing: true,
+  });
+  assert.equal(result.diff.height, 6);
+  assert.equal(result.totalPixels, 24);
+  assert.equal(result.mismatchedPixels, 8);
+});
@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createImage,
+  cropImage,
+  decodeImage,
+  decodePng,
+  encodeImage,
+  encodePng,
+  resizeImage,
+} from "../src/image.ts";
+
+const PNG_1X1_BASE64 =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+lm5QAAAAASUVORK5CYII=";
+
+function gradient(width, height) {
+  const img = createImage(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      img.data[o] = x * 10;
+      img.data[o + 1] = y * 10;
+      img.data[o + 2] = (x + y) * 5;
+      img.data[o + 3] = 255;
+    }
+  }
+  return img;
+}
+
+test("image: decodes a gray+alpha PNG", () => {
+  const img = decodePng(Buffer.from(PNG_1X1_BASE64, "base64"));
+  assert.equal(img.width, 1);
+  assert.equal(img.height, 1);
+  assert.equal(img.data.length, 4);
+});
+
+test("image: PNG encode/decode round trip is lossless", () => {
+  const src = gradient(13, 7);
+  const decoded = decodePng(encodePng(src));
+  assert.equal(decoded.width, 13);
+  assert.equal(decoded.height, 7);
+  assert.deepEqual(decoded.data, src.data);
+});
+
+test("image: crop copies the requested region and clamps to bounds", () => {
+  const src = gradient(10, 10);
+  const cropped = cropImage(src, { x: 2, y: 3, width: 4, height: 2 });
+  assert.equal(cropped.width, 4);
+  assert.equal(cropped.height, 2);
+  assert.equal(cropped.data[0], 20);
+  assert.equal(cropped.data[1], 30);
+
+  const clamped = cropImage(src, { x: 8, y: -5, width: 10, height: 7 });
+  assert.equal(clamped.width, 2);
+  assert.equal(clamped.height, 2);
+
+  assert.throws(() => cropImage(src, { x: 20, y: 0, width: 5, height: 5 }), /outside/);
+});
+
+test("image: JPEG encode/decode keeps dimensions", () => {
+  const bytes = encodeImage(gradient(16, 8), "image/jpeg", 90);
+  assert.equal(bytes[0], 0xff);
+  assert.equal(bytes[1], 0xd8);
+  const decoded = decodeImage(bytes, "image/jpeg");
+  assert.equal(decoded.width, 16);
+  assert.equal(decoded.height, 8);
+});
+
+test("image: rejects unsupported formats", () => {
+  assert.throws(() => decodeImage(Buffer.alloc(4), "image/gif"), /Cannot decode/);
+  assert.throws(() => decodePng(Buffer.from("nope")), /Not a PNG/);
+});
+
+test("image: resize averages the source pixels each target pixel covers", () => {
+  const src = createImage(4, 2);
+  // Columns alternate black and white, so a 2x downscale turns every pixel mid-gray.
+  for (let x = 0; x < 4; x++) {
+    for (let y = 0; y < 2; y++) {
+      const v = x % 2 === 0 ? 0 : 254;
+      src.data.set([v, v, v, 255], (y * 4 + x) * 4);
+    }
+  }
+  const out = resizeImage(src, 2, 1);
+  assert.equal(out.width, 2);
+  assert.equal(out.height, 1);
+  assert.deepEqual([...out.data], [127, 127, 127, 255, 127, 127, 127, 255]);
+
+  const thirds = resizeImage(gradient(9, 9), 3, 3);
+  assert.equal(thirds.data[0], 10); // mean of x * 10 over x = 0..2
+
+  assert.throws(() => resizeImage(src, 8, 2), /Cannot resize/);
+});
@@ -0,0 +1,98 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { selectStyles, visibilityReport } from "../src/inspect-element.ts";
+
+const styles = {
+  display: "flex",
+  "margin-top": "8px",
+  "margin-left": "0px",
+  "padding-top": "4px",
+  "--brand": "#0a84ff",
+};
+
+test("inspect-element: selects styles by name, prefix or all", () => {
+  assert.deepEqual(selectStyles(styles), { styles, unknownProperties: [] });
+  assert.deepEqual(selectStyles(styles, ["margin*", "display", "--brand", "gap", "grid-*"]), {
+    styles: { "margin-top": "8px", "margin-left": "0px", display: "flex", "--brand": "#0a84ff" },
+    unknownProperties: ["gap", "grid-*"],
+  });
+});
+
+test("inspect-element: inherited object keys are not style names", () => {
+  assert.deepEqual(selectStyles(styles, ["toString", "constructor", "display"]), {
+    styles: { display: "flex" },
+    unknownProperties: ["toString", "constructor"],
+  });
+});
+
+const base = {
+  box: { x: 10, y: 10, width: 100, height: 40 },
+  viewport: { width: 800, height: 600 },
+  visibility: {
+    rendered: true,
+    visibilityCSS: "visible",
+    transparent: false,
+    samples: [
+      { x: 60, y: 30, covered: false },
+      { x: 12, y: 12, covered: false },
+    ],
+  },
+};
+
+test("inspect-element: visible and occluded elements", () => {
+  assert.deepEqual(visibilityReport(base), {
+    status: "visible",
+    reasons: [],
+    inViewport: 1,
+    sampledPoints: 2,
+    coveredPoints: 0,
+  });
+
+  const partly = visibilityReport({
+    ...base,
+    visibility: {
+      ...base.visibility,
+      samples: [
+        { x: 60, y: 30, covered: true, by: "div.toast" },
+        { x: 12, y: 12, covered: false },
+      ],
+    },
+  });
+  assert.equal(partly.status, "partially_occluded");
+  assert.deepEqual(partly.coveredBy, ["div.toast"]);
+
+  const covered = visibilityReport({
+    ...base,
+    visibility: {
+      ...base.visibility,
+      samples: base.visibility.samples.map((s) => ({ ...s, covered: true, by: "div#modal" })),
+    },
+  });
+  assert.equal(covered.status, "occluded");
+  assert.deepEqual(covered.coveredBy, ["div#modal"]);
+});
+
+test("inspect-element: hidden and offscreen elements", () => {
+  const hidden = visibilityReport({
+    ...base,
+    box: { x: 0, y: 0, width: 0, height: 0 },
+    visibility: { rendered: false, visibilityCSS: "visible", transparent: true, samples: [] },
+  });
+  assert.equal(hidden.status, "hidden");
+  assert.deepEqual(hidden.reasons, ["not_rendered", "zero_size"]);
+
+  const faded = visibilityReport({
+    ...base,
+    visibility: { ...base.visibility, visibilityCSS: "hidden", transparent: true },
+  });
+  assert.deepEqual(faded.reasons, ["visibility_hidden", "opacity_zero"]);
+
+  const below = visibilityReport({
+    ...base,
+    box: { x: 10, y: 580, width: 100, height: 40 },
+    visibility: { ...base.visibility, samples: [] },
+  });
+  assert.equal(below.status, "offscreen");
+  assert.equal(below.inViewport, 0.5);
+});
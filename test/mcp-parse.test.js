@@ -1,9 +1,26 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import {
+  offsetMarksToCrop,
+  parseAccessibilityTreeArgs,
+  parseBaselineArgs,
+  parseBreakpointsArgs,
+  parseConsoleLogsArgs,
+  parseDomSnapshotArgs,
+  parseImageDiffArgs,
+  parseInspectElementArgs,
+  parseNetworkLogArgs,
   parseOpenUrlArgs,
+  parsePageTextArgs,
+  parsePerformanceMetricsArgs,
+  parseRecordArgs,
   parseScreenshotArgs,
+  parseViewport,
+  parseWaitFor,
+  scaleMarks,
+  markImageScale,
   DEFAULT_URL,
+  VIEWPORT_PRESETS,
 } from "../src/mcp.ts";
 
 test("parseScreenshotArgs: defaults", () => {
@@ -18,8 +35,75 @@ test("parseScreenshotArgs: defaults", () => {
   assert.equal(p.extraWaitMs, 250);
   assert.equal(p.format, "png");
   assert.equal(p.jpegQuality, 80);
+  assert.equal(p.webpQuality, 80);
   assert.equal(p.returnMode, "artifact");
   assert.equal(p.artifactDir, undefined);
+  assert.equal(p.fullPage, false);
+  assert.equal(p.selector, undefined);
+  assert.equal(p.padding, 0);
+  assert.equal(p.captureMode, "visible");
+  assert.equal(p.viewport, undefined);
+});
+
+test("parseViewport: presets and custom sizes", () => {
+  assert.deepEqual(parseViewport("iphone-14"), VIEWPORT_PRESETS["iphone-14"]);
+  assert.deepEqual(parseViewport(" Desktop-1080p "), VIEWPORT_PRESETS["desktop-1080p"]);
+  assert.throws(() => parseViewport("nokia-3310"), /Unknown viewport preset/);
+
+  assert.deepEqual(parseViewport({ width: 768, height: 1024 }), {
+    width: 768,
+    height: 1024,
+    deviceScaleFactor: 1,
+    mobile: false,
+  });
+  const clamped = parseViewport({ width: 5, height: 99999, deviceScaleFactor: 10, mobile: true });
+  assert.equal(clamped.width, 100);
+  assert.equal(clamped.height, 10000);
+  assert.equal(clamped.deviceScaleFactor, 4);
+  assert.equal(clamped.mobile, true);
+  assert.throws(() => parseViewport({ width: 375 }), /Invalid viewport/);
+  assert.equal(parseScreenshotArgs({ viewport: "pixel-7" }).viewport.width, 412);
+});
+
+test("parseScreenshotArgs: captureMode handling", () => {
+  assert.equal(parseScreenshotArgs({ captureMode: "background" }).captureMode, "background");
+  assert.equal(parseScreenshotArgs({ captureMode: "visible" }).captureMode, "visible");
+  assert.equal(parseScreenshotArgs({ captureMode: "nope" }).captureMode, "visible");
+});
+
+test("parseScreenshotArgs: selector and padding", () => {
+  const p = parseScreenshotArgs({ selector: "  .modal ", padding: 9999 });
+  assert.equal(p.selector, ".modal");
+  assert.equal(p.padding, 500);
+  assert.equal(parseScreenshotArgs({ selector: "   ", padding: -4 }).selector, undefined);
+  assert.equal(parseScreenshotArgs({ padding: -4 }).padding, 0);
+});
+
+test("parseScreenshotArgs: clip validation", () => {
+  assert.equal(parseScreenshotArgs({}).clip, undefined);
+  assert.deepEqual(
+    parseScreenshotArgs({ clip: { x: -3, y: 10, width: 200, height: 100 } }).clip,
+    { x: 0, y: 10, width: 197, height: 100 }
+  );
+  assert.throws(
+    () => parseScreenshotArgs({ clip: { x: 0, y: -20, width: 10, height: 20 } }),
+    /entirely above or left/
+  );
+  assert.throws(() => parseScreenshotArgs({ clip: "0,0,10,10" }), /Invalid clip/);
+  assert.throws(() => parseScreenshotArgs({ clip: { x: 0, y: 0, width: 10 } }), /Invalid clip/);
+  assert.throws(
+    () => parseScreenshotArgs({ clip: { x: 0, y: 0, width: 0, height: 10 } }),
+    /greater than 0/
+  );
+  assert.throws(
+    () => parseScreenshotArgs({ selector: ".card", clip: { x: 0, y: 0, width: 5, height: 5 } }),
+    /cannot be combined/
+  );
+});
+
+test("parseScreenshotArgs: fullPage flag", () => {
+  assert.equal(parseScreenshotArgs({ fullPage: true }).fullPage, true);
+  assert.equal(parseScreenshotArgs({ fullPage: "yes" }).fullPage, false);
 });
 
 test("parseScreenshotArgs: clamps values", () => {
@@ -35,12 +119,44 @@ test("parseScreenshotArgs: clamps values", () => {
   assert.equal(p.jpegQuality, 100);
 });
 
+test("parseScreenshotArgs: webp format and quality", () => {
+  const p = parseScreenshotArgs({ format: "webp", webpQuality: 150 });
+  assert.equal(p.format, "webp");
+  assert.equal(p.webpQuality, 100);
+  assert.equal(parseScreenshotArgs({ format: "gif" }).format, "png");
+});
+
 test("parseScreenshotArgs: match handling", () => {
   assert.equal(parseScreenshotArgs({ match: "exact" }).match, "exact");
   assert.equal(parseScreenshotArgs({ match: "prefix" }).match, "prefix");
   assert.equal(parseScreenshotArgs({ match: "nope" }).match, "prefix");
 });
 
+test("parseScreenshotArgs: regex, glob and origin matching", () => {
+  const regex = parseScreenshotArgs({ url: "^http://localhost:\\d+/app", match: "regex" });
+  assert.equal(regex.match, "regex");
+  assert.equal(regex.url, "^http://localhost:\\d+/app");
+  assert.throws(() => parseScreenshotArgs({ url: "(", match: "regex" }), /Invalid regex pattern/);
+
+  const glob = parseScreenshotArgs({ url: "http://localhost:*/app*", match: "glob" });
+  assert.equal(glob.match, "glob");
+
+  assert.equal(parseScreenshotArgs({ match: "origin" }).match, "origin");
+  assert.throws(() => parseScreenshotArgs({ url: "nope", match: "origin" }), /Invalid URL format/);
+});
+
+test("parseScreenshotArgs: title and query/hash filters", () => {
+  const defaults = parseScreenshotArgs({});
+  assert.equal(defaults.titleIncludes, undefined);
+  assert.equal(defaults.ignoreQuery, false);
+  assert.equal(defaults.ignoreHash, true);
+
+  const p = parseScreenshotArgs({ titleIncludes: " Dashboard ", ignoreQuery: true, ignoreHash: false });
+  assert.equal(p.titleIncludes, "Dashboard");
+  assert.equal(p.ignoreQuery, true);
+  assert.equal(p.ignoreHash, false);
+});
+
 test("parseScreenshotArgs: return mode and artifact dir", () => {
   const p = parseScreenshotArgs({
     returnMode: "image",
@@ -50,6 +166,21 @@ test("parseScreenshotArgs: return mode and artifact dir", () => {
   assert.equal(p.artifactDir, "/tmp/custom-captures");
 });
 
+test("parseScreenshotArgs: tiles mode and tile sizes", () => {
+  const p = parseScreenshotArgs({ returnMode: "tiles", tileHeight: 50, tileOverlap: 500 });
+  assert.equal(p.returnMode, "tiles");
+  assert.equal(p.tiled, false);
+  assert.equal(p.tileHeight, 200);
+  assert.equal(p.tileOverlap, 100);
+
+  const defaults = parseScreenshotArgs({ tiled: true });
+  assert.equal(defaults.tiled, true);
+  assert.equal(defaults.tileHeight, 1000);
+  assert.equal(defaults.tileOverlap, 100);
+
+  assert.equal(parseScreenshotArgs({ returnMode: "image", tiled: true }).tiled, false);
+});
+
 test("parseScreenshotArgs: invalid return mode falls back to artifact", () => {
   const p = parseScreenshotArgs({ returnMode: "nope" });
   assert.equal(p.returnMode, "artifact");
@@ -69,6 +200,202 @@ test("parseScreenshotArgs: clamps lower bounds", () => {
   assert.equal(p.jpegQuality, 0);
 });
 
+test("parseScreenshotArgs: tabId and windowId", () => {
+  const p = parseScreenshotArgs({ tabId: 42, windowId: 7 });
+  assert.equal(p.tabId, 42);
+  assert.equal(p.windowId, 7);
+  assert.equal(parseScreenshotArgs({}).tabId, undefined);
+  assert.throws(() => parseScreenshotArgs({ tabId: "42" }), /Invalid tabId/);
+  assert.throws(() => parseScreenshotArgs({ windowId: 1.5 }), /Invalid windowId/);
+});
+
+test("parseOpenUrlArgs: tabId and windowId", () => {
+  const p = parseOpenUrlArgs({ windowId: 3 });
+  assert.equal(p.tabId, undefined);
+  assert.equal(p.windowId, 3);
+  assert.throws(() => parseOpenUrlArgs({ tabId: -1 }), /Invalid tabId/);
+});
+
+test("parseWaitFor: single object, arrays and per-condition timeouts", () => {
+  assert.deepEqual(parseWaitFor(undefined, 15000), []);
+  assert.deepEqual(parseWaitFor({ type: "selector", selector: "#app" }, 15000), [
+    { type: "selector", selector: "#app", state: "attached", timeoutMs: 15000 },
+  ]);
+
+  const conditions = parseWaitFor(
+    [
+      { type: "selector", selector: ".card", state: "visible", timeoutMs: 2000 },
+      { type: "text", text: "Loaded" },
+      { type: "networkIdle" },
+      { type: "fonts", timeoutMs: 999999 },
+      { type: "predicate", expression: "window.appReady === true" },
+    ],
+    5000
+  );
+  assert.equal(conditions[0].state, "visible");
+  assert.equal(conditions[0].timeoutMs, 2000);
+  assert.equal(conditions[1].timeoutMs, 5000);
+  assert.equal(conditions[2].idleMs, 500);
+  assert.equal(conditions[3].timeoutMs, 120000);
+  assert.equal(conditions[4].expression, "window.appReady === true");
+});
+
+test("parseWaitFor: rejects unknown types and missing fields", () => {
+  assert.throws(() => parseWaitFor({ type: "sleep" }, 1000), /waitFor\[0\]\.type/);
+  assert.throws(() => parseWaitFor([{ type: "fonts" }, { type: "text" }], 1000), /text requires/);
+  assert.throws(() => parseWaitFor(["#app"], 1000), /expected an object/);
+  assert.throws(
+    () => parseWaitFor(Array.from({ length: 11 }, () => ({ type: "fonts" })), 1000),
+    /At most 10/
+  );
+});
+
+test("parseScreenshotArgs and parseOpenUrlArgs: waitFor defaults to tool timeout", () => {
+  assert.deepEqual(parseScreenshotArgs({}).waitFor, []);
+  const s = parseScreenshotArgs({ timeoutMs: 3000, waitFor: { type: "fonts" } });
+  assert.deepEqual(s.waitFor, [{ type: "fonts", timeoutMs: 3000 }]);
+  const o = parseOpenUrlArgs({ waitFor: [{ type: "text", text: "Hi" }] });
+  assert.deepEqual(o.waitFor, [{ type: "text", text: "Hi", timeoutMs: 15000 }]);
+});
+
+test("parseScreenshotArgs: mask, hide and maskColor", () => {
+  const d = parseScreenshotArgs({});
+  assert.deepEqual(d.mask, []);
+  assert.deepEqual(d.hide, []);
+  assert.equal(d.maskColor, "#ff00ff");
+
+  const p = parseScreenshotArgs({ mask: ".timestamp", hide: [" .ad ", "#carousel"], maskColor: "#000" });
+  assert.deepEqual(p.mask, [".timestamp"]);
+  assert.deepEqual(p.hide, [".ad", "#carousel"]);
+  assert.equal(p.maskColor, "#000");
+
+  assert.throws(() => parseScreenshotArgs({ mask: [".a", ""] }), /Invalid mask/);
+  assert.throws(() => parseScreenshotArgs({ hide: [42] }), /Invalid hide/);
+  assert.throws(() => parseScreenshotArgs({ maskColor: "red; display:none" }), /Invalid maskColor/);
+});
+
+test("parseScreenshotArgs: deterministic and clockTime", () => {
+  const d = parseScreenshotArgs({});
+  assert.equal(d.deterministic, false);
+  assert.equal(d.clockTime, undefined);
+
+  const iso = parseScreenshotArgs({ deterministic: true, clockTime: "2024-01-02T03:04:05Z" });
+  assert.equal(iso.deterministic, true);
+  assert.equal(iso.clockTime, Date.UTC(2024, 0, 2, 3, 4, 5));
+  assert.equal(parseScreenshotArgs({ deterministic: true, clockTime: 1700000000000 }).clockTime, 1700000000000);
+
+  assert.throws(() => parseScreenshotArgs({ deterministic: true, clockTime: "soon" }), /Invalid clockTime/);
+  assert.throws(() => parseScreenshotArgs({ clockTime: 0 }), /requires deterministic/);
+});
+
+test("parseScreenshotArgs: annotate and maxMarks", () => {
+  const d = parseScreenshotArgs({});
+  assert.equal(d.annotate, undefined);
+  assert.equal(d.maxMarks, 200);
+  const p = parseScreenshotArgs({ annotate: "interactive", maxMarks: 9999 });
+  assert.equal(p.annotate, "interactive");
+  assert.equal(p.maxMarks, 500);
+  assert.throws(() => parseScreenshotArgs({ annotate: "all" }), /Invalid annotate/);
+});
+
+test("offsetMarksToCrop: translates, clips and drops marks", () => {
+  const mark = (id, x, y, width, height) => ({
+    id,
+    role: "button",
+    name: `b${id}`,
+    selector: `#b${id}`,
+    box: { x, y, width, height },
+  });
+  const out = offsetMarksToCrop(
+    [mark(1, 110, 220, 20, 10), mark(2, 90, 200, 20, 30), mark(3, 0, 0, 10, 10)],
+    { x: 100, y: 200, width: 50, height: 50 }
+  );
+  assert.deepEqual(
+    out.map((m) => [m.id, m.box]),
+    [
+      [1, { x: 10, y: 20, width: 20, height: 10 }],
+      [2, { x: 0, y: 0, width: 10, height: 30 }],
+    ]
+  );
+});
+
+test("scaleMarks: follows a downscaled image", () => {
+  const marks = [{ id: 1, role: "link", name: "Home", selector: "a", box: { x: 100, y: 40, width: 81, height: 20 } }];
+  assert.deepEqual(scaleMarks(marks, 0.5)[0].box, { x: 50, y: 20, width: 40.5, height: 10 });
+  assert.equal(scaleMarks(marks, 1), marks);
+});
+
+test("markImageScale: maps CSS px to delivered image px", () => {
+  assert.equal(markImageScale(1), 1);
+  assert.equal(markImageScale(2), 2);
+  // DPR 2 capture of a 1280 CSS px viewport fitted to maxWidth 1280.
+  assert.equal(markImageScale(2, { width: 1280, originalWidth: 2560 }), 1);
+  assert.equal(markImageScale(1, { width: 640, originalWidth: 1280 }), 0.5);
+});
+
+test("parseRecordArgs: defaults and clamping", () => {
+  const p = parseRecordArgs({});
+  assert.equal(p.action, "record");
+  assert.equal(p.url, DEFAULT_URL);
+  assert.equal(p.fps, 5);
+  assert.equal(p.durationMs, 3000);
+  assert.equal(p.maxDurationMs, 8000);
+  assert.equal(p.format, "gif");
+  assert.equal(p.maxWidth, 800);
+
+  const s = parseRecordArgs({ action: "start", fps: 60, maxDurationMs: 1e9, format: "frames" });
+  assert.equal(s.fps, 15);
+  assert.equal(s.maxDurationMs, 120000);
+  assert.equal(s.format, "frames");
+});
+
+test("parseRecordArgs: stop requires a recordingId and skips URL checks", () => {
+  assert.throws(() => parseRecordArgs({ action: "stop" }), /recordingId is required/);
+  const p = parseRecordArgs({ action: "stop", recordingId: "rec-1", url: "not a url" });
+  assert.equal(p.recordingId, "rec-1");
+  assert.throws(() => parseRecordArgs({ url: "not a url" }), /Invalid URL/);
+});
+
+test("parseImageDiffArgs: requires both paths and clamps threshold", () => {
+  const p = parseImageDiffArgs({ beforePath: "/a.png", afterPath: "/b.png" });
+  assert.equal(p.threshold, 0.1);
+  assert.equal(p.ignoreAntialiasing, true);
+  assert.equal(p.outputDir, undefined);
+  assert.equal(parseImageDiffArgs({ beforePath: "a", afterPath: "b", threshold: 3 }).threshold, 1);
+  assert.throws(() => parseImageDiffArgs({ beforePath: "/a.png" }), /beforePath and afterPath are required/);
+});
+
+test("parseBaselineArgs: splits baseline options from capture args", () => {
+  const p = parseBaselineArgs({
+    name: "home",
+    baselineDir: "/tmp/goldens",
+    maxMismatchPercentage: 0.5,
+    url: "http://localhost:3000/",
+    fullPage: true,
+    format: "jpeg",
+    returnMode: "image",
+  });
+  assert.equal(p.name, "home");
+  assert.equal(p.baselineDir, "/tmp/goldens");
+  assert.equal(p.overwrite, false);
+  assert.equal(p.threshold, 0.1);
+  assert.equal(p.maxMismatchPercentage, 0.5);
+  assert.deepEqual(p.capture, { url: "http://localhost:3000/", fullPage: true });
+  assert.throws(() => parseBaselineArgs({ name: "../x" }), /Invalid baseline name/);
+});
+
+test("parseScreenshotArgs: maxWidth, maxHeight and maxBytes", () => {
+  const d = parseScreenshotArgs({});
+  assert.equal(d.maxWidth, undefined);
+  assert.equal(d.maxBytes, undefined);
+  const p = parseScreenshotArgs({ maxWidth: 1280.4, maxHeight: 10, maxBytes: 500 });
+  assert.equal(p.maxWidth, 1280);
+  assert.equal(p.maxHeight, 64);
+  assert.equal(p.maxBytes, 10000);
+  assert.throws(() => parseScreenshotArgs({ maxWidth: -1 }), /Invalid maxWidth/);
+  assert.throws(() => parseScreenshotArgs({ maxBytes: "1mb" }), /Invalid maxBytes/);
+});
+
 test("parseOpenUrlArgs: defaults", () => {
   const p = parseOpenUrlArgs(undefined);
   assert.equal(p.url, DEFAULT_URL);
@@ -105,6 +432,20 @@ test("parseOpenUrlArgs: clamps timeout and falls back invalid match", () => {
   assert.equal(pMin.timeoutMs, 1000);
 });
 
+test("parseOpenUrlArgs: extended match modes and filters", () => {
+  const p = parseOpenUrlArgs({
+    url: "https://*.example.com/*",
+    match: "glob",
+    titleIncludes: "Orders",
+    ignoreQuery: true,
+  });
+  assert.equal(p.match, "glob");
+  assert.equal(p.titleIncludes, "Orders");
+  assert.equal(p.ignoreQuery, true);
+  assert.equal(p.ignoreHash, true);
+  assert.equal(parseOpenUrlArgs({ match: "origin" }).match, "origin");
+});
+
 test("parseOpenUrlArgs: boolean params - focusWindow, activateTab, waitForComplete", () => {
   const pFalse = parseOpenUrlArgs({
     focusWindow: false,
@@ -171,3 +512,179 @@ test("parseScreenshotArgs: empty URL uses DEFAULT_URL and passes", () => {
   const p = parseScreenshotArgs({ url: "" });
   assert.equal(p.url, DEFAULT_URL);
 });
+
+test("parseBreakpointsArgs: widths, defaults and shared screenshot args", () => {
+  const p = parseBreakpointsArgs({
+    url: "http://localhost:3000/",
+    widths: [375, 768, 768, 50],
+    fullPage: true,
+    returnMode: "image",
+  });
+  assert.deepEqual(p.widths, [375, 768, 100]);
+  assert.equal(p.height, 900);
+  assert.equal(p.deviceScaleFactor, 1);
+  assert.equal(p.mobile, false);
+  assert.equal(p.screenshot.url, "http://localhost:3000/");
+  assert.equal(p.screenshot.fullPage, true);
+  assert.equal(p.screenshot.returnMode, "artifact");
+});
+
+test("parseBreakpointsArgs: rejects missing or invalid widths", () => {
+  assert.throws(() => parseBreakpointsArgs({}), /non-empty array/);
+  assert.throws(() => parseBreakpointsArgs({ widths: [] }), /non-empty array/);
+  assert.throws(() => parseBreakpointsArgs({ widths: [375, "wide"] }), /Invalid breakpoint width/);
+  assert.throws(
+    () => parseBreakpointsArgs({ widths: Array.from({ length: 13 }, (_, i) => 300 + i) }),
+    /At most 12/
+  );
+  assert.throws(
+    () => parseBreakpointsArgs({ widths: [375], format: "webp" }),
+    /supports png or jpeg/
+  );
+});
+
+test("parseDomSnapshotArgs: defaults and clamping", () => {
+  const p = parseDomSnapshotArgs(undefined);
+  assert.equal(p.url, DEFAULT_URL);
+  assert.equal(p.match, "prefix");
+  assert.equal(p.openIfMissing, true);
+  assert.equal(p.format, "outline");
+  assert.equal(p.maxNodes, 500);
+  assert.equal(p.maxChars, 20000);
+  assert.equal(p.includeHidden, false);
+  assert.deepEqual(p.waitFor, []);
+
+  const q = parseDomSnapshotArgs({
+    url: "http://localhost:3000/*",
+    match: "glob",
+    selector: " main ",
+    format: "json",
+    maxNodes: 1e9,
+    maxChars: 10,
+    waitFor: { type: "selector", selector: "main" },
+  });
+  assert.equal(q.selector, "main");
+  assert.equal(q.format, "json");
+  assert.equal(q.maxNodes, 5000);
+  assert.equal(q.maxChars, 1000);
+  assert.equal(q.waitFor[0].timeoutMs, 15000);
+});
+
+test("parseDomSnapshotArgs: rejects invalid targets", () => {
+  assert.throws(() => parseDomSnapshotArgs({ url: "not a url" }), /Invalid URL/);
+  assert.throws(() => parseDomSnapshotArgs({ tabId: -1 }), /tabId/);
+});
+
+test("parseAccessibilityTreeArgs: defaults and options", () => {
+  const p = parseAccessibilityTreeArgs(undefined);
+  assert.equal(p.url, DEFAULT_URL);
+  assert.equal(p.interestingOnly, true);
+  assert.equal(p.format, "outline");
+  assert.equal(p.maxNodes, 1000);
+  assert.equal(p.selector, undefined);
+
+  const q = parseAccessibilityTreeArgs({ selector: "form", interestingOnly: false, maxNodes: 0, format: "json", tabId: 7 });
+  assert.equal(q.selector, "form");
+  assert.equal(q.interestingOnly, false);
+  assert.equal(q.maxNodes, 1);
+  assert.equal(q.format, "json");
+  assert.equal(q.tabId, 7);
+});
+
+test("parseConsoleLogsArgs: defaults, levels and cursor", () => {
+  const p = parseConsoleLogsArgs(undefined);
+  assert.deepEqual(p.levels, ["error", "warn", "info", "log", "debug"]);
+  assert.equal(p.since, 0);
+  assert.equal(p.maxEntries, 100);
+  assert.equal(p.clear, false);
+  assert.equal(p.stop, false);
+
+  const q = parseConsoleLogsArgs({ levels: ["warning", "error", "warn"], since: 41.7, maxEntries: 5000 });
+  assert.deepEqual(q.levels, ["warn", "error"]);
+  assert.equal(q.since, 41);
+  assert.equal(q.maxEntries, 1000);
+
+  assert.deepEqual(parseConsoleLogsArgs({ levels: "error" }).levels, ["error"]);
+  assert.equal(parseConsoleLogsArgs({ since: -3 }).since, 0);
+  assert.throws(() => parseConsoleLogsArgs({ levels: ["fatal"] }), /Invalid console level/);
+  assert.throws(() => parseConsoleLogsArgs({ levels: [] }), /must not be empty/);
+});
+
+test("parseScreenshotArgs: includeConsole", () => {
+  assert.equal(parseScreenshotArgs(undefined).includeConsole, false);
+  assert.equal(parseScreenshotArgs({ includeConsole: true }).includeConsole, true);
+});
+
+test("parseNetworkLogArgs: defaults, filters and HAR export", () => {
+  const p = parseNetworkLogArgs(undefined);
+  assert.equal(p.since, 0);
+  assert.equal(p.maxEntries, 100);
+  assert.equal(p.failedOnly, false);
+  assert.equal(p.urlIncludes, undefined);
+  assert.equal(p.types, undefined);
+  assert.equal(p.clear, false);
+  assert.equal(p.stop, false);
+  assert.equal(p.exportHar, false);
+
+  const q = parseNetworkLogArgs({
+    since: 12.9,
+    maxEntries: 5000,
+    failedOnly: true,
+    urlIncludes: "/api/",
+    types: ["Fetch", " XHR "],
+    exportHar: true,
+  });
+  assert.equal(q.since, 12);
+  assert.equal(q.maxEntries, 1000);
+  assert.equal(q.failedOnly, true);
+  assert.equal(q.urlIncludes, "/api/");
+  assert.deepEqual(q.types, ["Fetch", "XHR"]);
+  assert.equal(q.exportHar, true);
+
+  assert.deepEqual(parseNetworkLogArgs({ types: "Document" }).types, ["Document"]);
+  assert.throws(() => parseNetworkLogArgs({ types: [""] }), /Invalid types/);
+});
+
+test("parsePageTextArgs: defaults, format and limits", () => {
+  const p = parsePageTextArgs(undefined);
+  assert.equal(p.selector, undefined);
+  assert.equal(p.format, "text");
+  assert.equal(p.maxChars, 20000);
+  assert.equal(p.openIfMissing, true);
+
+  const q = parsePageTextArgs({ selector: "main", format: "markdown", maxChars: 10, url: "http://localhost:3000/" });
+  assert.equal(q.selector, "main");
+  assert.equal(q.format, "markdown");
+  assert.equal(q.maxChars, 1000);
+  assert.equal(q.url, "http://localhost:3000/");
+});
+
+test("parseInspectElementArgs: selector, index and properties", () => {
+  const p = parseInspectElementArgs({ selector: " .card " });
+  assert.equal(p.selector, ".card");
+  assert.equal(p.index, 0);
+  assert.equal(p.properties, undefined);
+
+  const q = parseInspectElementArgs({ selector: "li", index: 2, properties: ["Margin*", "--Brand", " display "] });
+  assert.equal(q.index, 2);
+  assert.deepEqual(q.properties, ["margin*", "--Brand", "display"]);
+  assert.deepEqual(parseInspectElementArgs({ selector: "a", properties: "color" }).properties, ["color"]);
+
+  assert.throws(() => parseInspectElementArgs({}), /Invalid selector/);
+  assert.throws(() => parseInspectElementArgs({ selector: "a", index: -1 }), /Invalid index/);
+  assert.throws(() => parseInspectElementArgs({ selector: "a", properties: [""] }), /Invalid properties/);
+});
+
+test("parsePerformanceMetricsArgs: reload, settle time and history", () => {
+  const p = parsePerformanceMetricsArgs(undefined);
+  assert.equal(p.reload, false);
+  assert.equal(p.settleMs, 0);
+  assert.equal(p.saveHistory, false);
+  assert.equal(p.artifactDir, undefined);
+
+  const q = parsePerformanceMetricsArgs({ reload: true, saveHistory: true, artifactDir: "/tmp/perf" });
+  assert.equal(q.settleMs, 1000);
+  assert.equal(q.saveHistory, true);
+  assert.equal(q.artifactDir, "/tmp/perf");
+  assert.equal(parsePerformanceMetricsArgs({ reload: true, settleMs: 99999 }).settleMs, 30000);
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildHar,
+  filterNetworkEntries,
+  harTimings,
+  pageNetworkEntries,
+  summarizeNetworkEntry,
+} from "../src/network-log.ts";
+
+const entry = (seq, overrides = {}) => ({
+  seq,
+  requestId: `r${seq}`,
+  url: `http://localhost:5173/api/item/${seq}?page=2&q=a+b`,
+  method: "GET",
+  resourceType: "Fetch",
+  requestHeaders: { Accept: "application/json" },
+  startedAt: 1_700_000_000_000 + seq * 10,
+  startTime: 100 + seq,
+  endTime: 100 + seq + 0.25,
+  status: 200,
+  statusText: "OK",
+  mimeType: "application/json",
+  protocol: "http/1.1",
+  responseHeaders: { "Content-Type": "application/json", "Set-Cookie": "a=1\nb=2" },
+  timing: {
+    requestTime: 100 + seq + 0.01,
+    dnsStart: 0,
+    dnsEnd: 5,
+    connectStart: 5,
+    connectEnd: 30,
+    sslStart: 10,
+    sslEnd: 30,
+    sendStart: 31,
+    sendEnd: 32,
+    receiveHeadersEnd: 200,
+  },
+  remoteIPAddress: "127.0.0.1",
+  fromCache: false,
+  encodedBytes: 1234,
+  bodyBytes: 4000,
+  ...overrides,
+});
+
+const entries = [
+  entry(1),
+  entry(2, { status: 500, statusText: "Internal Server Error" }),
+  entry(3, { resourceType: "Script", url: "http://localhost:5173/app.js" }),
+  entry(4, { status: 0, failure: "net::ERR_CONNECTION_REFUSED", timing: null, responseHeaders: {} }),
+];
+
+test("network-log: filters failed requests, URL text and resource types", () => {
+  assert.deepEqual(filterNetworkEntries(entries, { failedOnly: true }).map((e) => e.seq), [2, 4]);
+  assert.deepEqual(filterNetworkEntries(entries, { failedOnly: false, urlIncludes: "/api/" }).map((e) => e.seq), [1, 2, 4]);
+  assert.deepEqual(filterNetworkEntries(entries, { failedOnly: false, types: ["script"] }).map((e) => e.seq), [3]);
+});
+
+test("network-log: summaries carry status, duration, size and failure", () => {
+  assert.deepEqual(summarizeNetworkEntry(entries[1]), {
+    seq: 2,
+    method: "GET",
+    url: entries[1].url,
+    status: 500,
+    type: "Fetch",
+    mimeType: "application/json",
+    durationMs: 250,
+    encodedBytes: 1234,
+  });
+  assert.equal(summarizeNetworkEntry(entries[3]).failure, "net::ERR_CONNECTION_REFUSED");
+  assert.equal(summarizeNetworkEntry(entry(5, { endTime: null })).durationMs, null);
+});
+
+test("network-log: HAR timings split the request into phases", () => {
+  const t = harTimings(entries[0]);
+  assert.equal(t.blocked, 10);
+  assert.equal(t.dns, 5);
+  assert.equal(t.connect, 25);
+  assert.equal(t.ssl, 20);
+  assert.equal(t.send, 1);
+  assert.equal(t.wait, 168);
+  assert.equal(t.receive, 40);
+
+  const failed = harTimings(entries[3]);
+  assert.deepEqual(failed, { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 250, receive: 0 });
+});
+
+test("network-log: builds a HAR 1.2 log", () => {
+  const har = buildHar([entries[1], entries[0]], {
+    creatorName: "test",
+    creatorVersion: "1.0",
+    pageUrl: "http://localhost:5173/",
+    pageTitle: "",
+    startedAt: 0,
+  });
+  assert.equal(har.log.version, "1.2");
+  assert.equal(har.log.pages[0].title, "http://localhost:5173/");
+  assert.deepEqual(har.log.entries.map((e) => e.response.status), [200, 500]);
+
+  const first = har.log.entries[0];
+  assert.equal(first.pageref, "page_1");
+  assert.equal(first.startedDateTime, new Date(entries[0].startedAt).toISOString());
+  assert.equal(first.time, 249);
+  assert.equal(first.request.httpVersion, "HTTP/1.1");
+  assert.deepEqual(first.request.queryString, [
+    { name: "page", value: "2" },
+    { name: "q", value: "a b" },
+  ]);
+  assert.deepEqual(
+    first.response.headers.filter((h) => h.name === "Set-Cookie").map((h) => h.value),
+    ["a=1", "b=2"]
+  );
+  assert.deepEqual(first.response.content, { size: 4000, mimeType: "application/json" });
+  assert.equal(first.serverIPAddress, "127.0.0.1");
+});
+
+test("network-log: clear with a truncated page keeps unreturned failures", () => {
+  let log = { cursor: 4, entries: [...entries] };
+  const first = pageNetworkEntries(log, { failedOnly: true, maxEntries: 1 });
+  assert.deepEqual(first.entries.map((e) => e.seq), [2]);
+  assert.deepEqual(first.matching.map((e) => e.seq), [2, 4]);
+  assert.equal(first.truncated, true);
+  assert.equal(first.nextSince, 2);
+  assert.deepEqual(first.clearSeqs, [2]);
+
+  const cleared = new Set(first.clearSeqs);
+  log = { ...log, entries: log.entries.filter((e) => !cleared.has(e.seq)) };
+  assert.deepEqual(log.entries.map((e) => e.seq), [1, 3, 4]);
+
+  const second = pageNetworkEntries(
+    { ...log, entries: log.entries.filter((e) => e.seq > first.nextSince) },
+    { failedOnly: true, maxEntries: 1 }
+  );
+  assert.deepEqual(second.entries.map((e) => e.seq), [4]);
+  assert.equal(second.truncated, false);
+  assert.equal(second.nextSince, 4);
+});
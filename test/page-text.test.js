@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { formatPageText, renderPageText } from "../src/page-text.ts";
+
+const nodes = [
+  { tag: "h1", children: ["Orders"] },
+  {
+    tag: "div",
+    children: [
+      { tag: "p", children: ["Signed in as ", { tag: "strong", children: ["Ada "] }, "- ", { tag: "a", href: "http://localhost:5173/logout", children: [" Log out "] }] },
+      " ",
+      {
+        tag: "ul",
+        children: [
+          { tag: "li", children: ["Open"] },
+          { tag: "li", children: ["Closed", { tag: "ol", children: [{ tag: "li", children: ["Refunded"] }, { tag: "li", children: ["Paid"] }] }] },
+        ],
+      },
+    ],
+  },
+  {
+    tag: "table",
+    children: [
+      { tag: "caption", children: ["Recent"] },
+      {
+        tag: "div",
+        children: [
+          { tag: "tr", children: [{ tag: "th", children: ["Id"] }, { tag: "th", children: ["Total"] }] },
+          { tag: "tr", children: [{ tag: "td", children: ["1"] }, { tag: "td", children: ["a|b"] }] },
+        ],
+      },
+    ],
+  },
+  { tag: "pre", text: "npm test\n  ok\n" },
+  { tag: "blockquote", children: [{ tag: "p", children: ["Quoted ", { tag: "code", children: ["x"] }] }] },
+  { tag: "hr" },
+  { tag: "p", children: ["Line one", { tag: "br" }, "Line two ", { tag: "img", alt: "logo", src: "http://localhost:5173/logo.png" }] },
+];
+
+test("page-text: markdown keeps headings, lists, links, tables and code", () => {
+  assert.equal(
+    renderPageText(nodes, "markdown"),
+    [
+      "# Orders",
+      "",
+      "Signed in as **Ada** - [Log out](http://localhost:5173/logout)",
+      "",
+      "- Open\n- Closed\n  1. Refunded\n  2. Paid",
+      "",
+      "**Recent**",
+      "",
+      "| Id | Total |\n| --- | --- |\n| 1 | a\\|b |",
+      "",
+      "```\nnpm test\n  ok\n```",
+      "",
+      "> Quoted `x`",
+      "",
+      "---",
+      "",
+      "Line one\nLine two ![logo](http://localhost:5173/logo.png)",
+    ].join("\n")
+  );
+});
+
+test("page-text: plain text puts one block per line", () => {
+  assert.equal(
+    renderPageText(nodes, "text"),
+    [
+      "Orders",
+      "Signed in as Ada - Log out",
+      "Open",
+      "Closed",
+      "Refunded",
+      "Paid",
+      "Recent",
+      "Id\tTotal",
+      "1\ta|b",
+      "npm test\n  ok",
+      "Quoted x",
+      "Line one\nLine two logo",
+    ].join("\n")
+  );
+});
+
+test("page-text: blocks inside links flatten into the link text", () => {
+  const card = [
+    { tag: "a", href: "http://localhost:5173/p/1", children: [{ tag: "div", children: ["Lamp"] }, { tag: "div", children: ["$20"] }] },
+  ];
+  assert.equal(renderPageText(card, "markdown"), "[Lamp $20](http://localhost:5173/p/1)");
+});
+
+test("page-text: caps output at a line break and reports truncation", () => {
+  const long = Array.from({ length: 50 }, (_, i) => ({ tag: "p", children: [`Paragraph ${i}`] }));
+  const out = formatPageText({ nodes: long, truncated: false }, { format: "text", maxChars: 100 });
+  assert.equal(out.truncated, true);
+  assert.ok(out.content.length <= 100);
+  assert.match(out.content, /Paragraph \d+$/);
+  assert.equal(out.charCount, out.content.length);
+
+  const full = formatPageText({ nodes: long.slice(0, 2), truncated: true }, { format: "markdown", maxChars: 100 });
+  assert.equal(full.content, "Paragraph 0\n\nParagraph 1");
+  assert.equal(full.truncated, true);
+});
@@ -0,0 +1,164 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  appendPerformanceHistory,
+  cumulativeLayoutShift,
+  historyMetrics,
+  interactionToNextPaint,
+  performanceHistoryPath,
+  rate,
+  summarizePerformance,
+} from "../src/performance.ts";
+
+const raw = {
+  tabId: 1,
+  windowId: 1,
+  url: "http://localhost:5173/",
+  title: "App",
+  reloaded: true,
+  visibilityState: "visible",
+  timeOrigin: 1_700_000_000_000,
+  now: 3000,
+  supportedEntryTypes: ["largest-contentful-paint", "layout-shift", "longtask", "event", "first-input"],
+  navigation: {
+    type: "reload",
+    redirectCount: 0,
+    domainLookupStart: 2,
+    domainLookupEnd: 5,
+    connectStart: 5,
+    secureConnectionStart: 0,
+    connectEnd: 9,
+    requestStart: 10,
+    responseStart: 120,
+    responseEnd: 130,
+    domInteractive: 400,
+    domContentLoadedEventEnd: 450,
+    loadEventEnd: 900,
+    transferSize: 2000,
+    decodedBodySize: 6000,
+  },
+  paints: { "first-paint": 500, "first-contentful-paint": 500 },
+  lcp: { startTime: 2600, size: 50000, element: "img.hero" },
+  layoutShifts: [
+    { startTime: 600, value: 0.05, hadRecentInput: false },
+    { startTime: 900, value: 0.04, hadRecentInput: false },
+    { startTime: 1000, value: 0.5, hadRecentInput: true },
+  ],
+  longTasks: [
+    { startTime: 300, duration: 200 },
+    { startTime: 700, duration: 120 },
+    { startTime: 1200, duration: 40 },
+  ],
+  firstInput: { name: "pointerdown", startTime: 2000, processingStart: 2030, duration: 48, interactionId: 7 },
+  interactions: [
+    { interactionId: 7, name: "pointerdown", startTime: 2000, duration: 48 },
+    { interactionId: 7, name: "click", startTime: 2000, duration: 64 },
+  ],
+  resourceCount: 3,
+  resources: [
+    { name: "http://localhost:5173/app.js", type: "script", transferSize: 30000, decodedBodySize: 90000, duration: 80 },
+    { name: "http://localhost:5173/app.css", type: "link", transferSize: 0, decodedBodySize: 4000, duration: 2 },
+    { name: "http://localhost:5173/api", type: "fetch", transferSize: 500, decodedBodySize: 300, duration: 40 },
+  ],
+  memory: { usedJSHeapSize: 10_000_000, totalJSHeapSize: 20_000_000, jsHeapSizeLimit: 4_000_000_000 },
+};
+
+test("performance: ratings follow the web vitals thresholds", () => {
+  assert.equal(rate("lcp", 2500), "good");
+  assert.equal(rate("lcp", 2600), "needs-improvement");
+  assert.equal(rate("cls", 0.3), "poor");
+});
+
+test("performance: CLS takes the worst session window and skips input shifts", () => {
+  assert.equal(cumulativeLayoutShift(raw.layoutShifts), 0.09);
+  const spread = [
+    { startTime: 0, value: 0.1, hadRecentInput: false },
+    { startTime: 2000, value: 0.2, hadRecentInput: false },
+    { startTime: 2500, value: 0.05, hadRecentInput: false },
+  ];
+  assert.equal(Math.round(cumulativeLayoutShift(spread) * 100) / 100, 0.25);
+  assert.equal(cumulativeLayoutShift([]), 0);
+});
+
+test("performance: INP uses the slowest interaction, ignoring one outlier per 50", () => {
+  assert.deepEqual(interactionToNextPaint(raw.interactions), { value: 64, interactions: 1 });
+  assert.equal(interactionToNextPaint([]), null);
+  const many = Array.from({ length: 60 }, (_, i) => ({ interactionId: i + 1, name: "click", startTime: i, duration: i }));
+  assert.deepEqual(interactionToNextPaint(many), { value: 58, interactions: 60 });
+});
+
+test("performance: summary derives timings, vitals, blocking time and resources", () => {
+  const s = summarizePerformance(raw);
+  assert.equal(s.navigation.ttfbMs, 120);
+  assert.equal(s.navigation.dnsMs, 3);
+  assert.equal(s.navigation.tlsMs, null);
+  assert.equal(s.navigation.loadMs, 900);
+  assert.deepEqual(s.webVitals.lcp, { value: 2600, rating: "needs-improvement", element: "img.hero", size: 50000 });
+  assert.deepEqual(s.webVitals.cls, { value: 0.09, rating: "good", shifts: 3 });
+  assert.deepEqual(s.webVitals.inp, { value: 64, rating: "good", interactions: 1 });
+  assert.deepEqual(s.webVitals.fid, { value: 30, rating: "good" });
+  // Only the task after FCP (500 ms) blocks: 120 - 50.
+  assert.deepEqual(s.longTasks, { count: 3, totalMs: 360, longestMs: 200, totalBlockingTimeMs: 70 });
+  assert.equal(s.jsHeap.usedBytes, 10_000_000);
+  assert.equal(s.resources.count, 3);
+  assert.equal(s.resources.transferBytes, 30500);
+  assert.equal(s.resources.cached, 1);
+  assert.deepEqual(s.resources.byType.script, { count: 1, transferBytes: 30000 });
+  assert.deepEqual(s.resources.largest.map((r) => r.type), ["script", "fetch"]);
+  assert.deepEqual(s.warnings, []);
+});
+
+test("performance: hidden tabs and missing data produce warnings", () => {
+  const s = summarizePerformance({
+    ...raw,
+    visibilityState: "hidden",
+    lcp: null,
+    paints: {},
+    interactions: [],
+    firstInput: null,
+    resourceCount: 5000,
+  });
+  assert.equal(s.webVitals.lcp, null);
+  assert.equal(s.webVitals.fcp, null);
+  assert.equal(s.webVitals.inp, null);
+  assert.equal(s.longTasks.totalBlockingTimeMs, 220);
+  assert.equal(s.warnings.length, 3);
+  assert.match(s.warnings[0], /background/);
+});
+
+test("performance: history files are per URL, ignoring the hash", () => {
+  const a = performanceHistoryPath("http://localhost:5173/cart?step=2#top", "/tmp/x");
+  assert.equal(a, performanceHistoryPath("http://localhost:5173/cart?step=2", "/tmp/x"));
+  assert.notEqual(a, performanceHistoryPath("http://localhost:5173/cart?step=3", "/tmp/x"));
+  assert.match(path.basename(a), /^localhost_5173_cart-[0-9a-f]{8}\.jsonl$/);
+  assert.equal(path.dirname(a), path.join("/tmp/x", "perf-history"));
+});
+
+test("performance: history appends runs and reports the change", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "mcp-perf-"));
+  try {
+    const metrics = historyMetrics(summarizePerformance(raw));
+    const first = await appendPerformanceHistory({ url: raw.url, reloaded: true, metrics, artifactDir: dir });
+    assert.equal(first.runs, 1);
+    assert.equal(first.previous, undefined);
+
+    const slower = { ...metrics, lcpMs: 3100, cls: 0.12, inpMs: null };
+    const second = await appendPerformanceHistory({ url: raw.url, reloaded: true, metrics: slower, artifactDir: dir });
+    assert.equal(second.runs, 2);
+    assert.equal(second.historyPath, first.historyPath);
+    assert.equal(second.previous.metrics.lcpMs, 2600);
+    assert.equal(second.delta.lcpMs, 500);
+    assert.equal(second.delta.cls, 0.03);
+    assert.equal("inpMs" in second.delta, false);
+
+    const lines = (await fs.readFile(first.historyPath, "utf8")).trim().split("\n");
+    assert.equal(lines.length, 2);
+    assert.equal(JSON.parse(lines[1]).metrics.lcpMs, 3100);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});